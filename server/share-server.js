@@ -0,0 +1,129 @@
+// LAN share server for r1-analog exports: no cloud account needed.
+//
+// The app POSTs a file to /share?name=<file name> and gets back { url }, a
+// link on this machine's LAN address that the QR code points at. Files are
+// kept in memory and expire after SHARE_TTL_MINUTES; past SHARE_MAX_FILES or
+// SHARE_MAX_TOTAL_MB the oldest go first. There is no auth: anyone on the
+// network can post, so files are never served as anything a browser runs.
+//
+//   node server/share-server.js   (then set REACT_APP_SHARE_SERVER_URL)
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
+
+const PORT = process.env.PORT || 8788;
+const TTL_MS = (Number(process.env.SHARE_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_BYTES = (Number(process.env.SHARE_MAX_MB) || 200) * 1024 * 1024;
+const MAX_FILES = Number(process.env.SHARE_MAX_FILES) || 50;
+const MAX_TOTAL_BYTES = (Number(process.env.SHARE_MAX_TOTAL_MB) || 500) * 1024 * 1024;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+
+// First external IPv4 address, so phones on the same network can reach us
+const lanAddress = () => {
+  const addresses = Object.values(os.networkInterfaces()).flat();
+  const lan = addresses.find(a => a && a.family === 'IPv4' && !a.internal);
+  return lan ? lan.address : 'localhost';
+};
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://${lanAddress()}:${PORT}`).replace(/\/$/, '');
+
+// Photo types that open in the browser; anything else (the roll ZIP, a log,
+// an SVG) downloads as plain bytes
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif'];
+
+// id -> file, oldest first (Map keeps insertion order)
+const files = new Map();
+
+const storedBytes = () => [...files.values()].reduce((total, file) => total + file.data.length, 0);
+
+const prune = () => {
+  const now = Date.now();
+  files.forEach((file, id) => {
+    if (file.expiresAt < now) files.delete(id);
+  });
+};
+
+// Drops the oldest files until one more of `bytes` fits the caps
+const makeRoom = (bytes) => {
+  prune();
+  let total = storedBytes();
+  for (const [id, file] of files) {
+    if (files.size < MAX_FILES && total + bytes <= MAX_TOTAL_BYTES) break;
+    files.delete(id);
+    total -= file.data.length;
+  }
+};
+
+const cors = {
+  'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...cors });
+  res.end(body ? JSON.stringify(body) : undefined);
+};
+
+const safeName = (name) => String(name || 'file').replace(/[^\w.-]+/g, '_').slice(0, 100);
+
+const receive = (req, res, name) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BYTES) {
+      send(res, 413, { error: 'File too large' });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (size > MAX_BYTES) return;
+    const data = Buffer.concat(chunks);
+    makeRoom(data.length);
+    const id = crypto.randomBytes(8).toString('hex');
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    files.set(id, {
+      name,
+      type: INLINE_TYPES.includes(type) ? type : 'application/octet-stream',
+      data,
+      expiresAt: Date.now() + TTL_MS,
+    });
+    send(res, 200, { url: `${PUBLIC_URL}/share/${id}/${encodeURIComponent(name)}` });
+  });
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, PUBLIC_URL);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (req.method === 'POST' && url.pathname === '/share') {
+    return receive(req, res, safeName(url.searchParams.get('name')));
+  }
+
+  const match = url.pathname.match(/^\/share\/([0-9a-f]+)\//);
+  if (req.method === 'GET' && match) {
+    prune();
+    const file = files.get(match[1]);
+    if (!file) return send(res, 404, { error: 'Not found or expired' });
+
+    const disposition = INLINE_TYPES.includes(file.type) ? 'inline' : 'attachment';
+    res.writeHead(200, {
+      'Content-Type': file.type,
+      'Content-Length': file.data.length,
+      'Content-Disposition': `${disposition}; filename="${file.name}"`,
+      'X-Content-Type-Options': 'nosniff',
+      ...cors,
+    });
+    return res.end(file.data);
+  }
+
+  send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Share server listening on ${PUBLIC_URL}`);
+});
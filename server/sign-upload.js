@@ -0,0 +1,61 @@
+// Minimal Cloudinary signing endpoint for r1-analog uploads.
+//
+// The browser POSTs { folder } and receives { signature, timestamp, apiKey }.
+// The API secret never leaves this process. Only folders under the configured
+// prefix are signed, so a leaked signature can't be used to write elsewhere.
+//
+//   CLOUDINARY_API_KEY=... CLOUDINARY_API_SECRET=... node server/sign-upload.js
+const http = require('http');
+const { generateSignature, isAllowedFolder } = require('./signature');
+
+const PORT = process.env.PORT || 8787;
+const API_KEY = process.env.CLOUDINARY_API_KEY;
+const API_SECRET = process.env.CLOUDINARY_API_SECRET;
+const FOLDER_PREFIX = process.env.UPLOAD_FOLDER_PREFIX || 'r1-analog';
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+
+if (!API_KEY || !API_SECRET) {
+  console.error('CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET must be set');
+  process.exit(1);
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body ? JSON.stringify(body) : undefined);
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+    if (raw.length > 1024) req.destroy();
+  });
+  req.on('end', () => {
+    let folder;
+    try {
+      ({ folder } = JSON.parse(raw));
+    } catch (err) {
+      return send(res, 400, { error: 'Invalid JSON' });
+    }
+
+    if (!isAllowedFolder(folder, FOLDER_PREFIX)) {
+      return send(res, 403, { error: 'Folder not allowed' });
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = generateSignature({ folder, timestamp }, API_SECRET);
+    send(res, 200, { signature, timestamp, apiKey: API_KEY });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Signing endpoint listening on :${PORT}`);
+});
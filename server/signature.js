@@ -0,0 +1,21 @@
+// Cloudinary upload signing, shared by the signing endpoint and its tests.
+const crypto = require('crypto');
+
+// Cloudinary signature: SHA-1 of sorted key=value pairs joined by & plus the secret
+const generateSignature = (paramsToSign, apiSecret) => {
+  const sortedParams = Object.keys(paramsToSign)
+    .sort()
+    .map(key => `${key}=${paramsToSign[key]}`)
+    .join('&');
+
+  return crypto.createHash('sha1').update(sortedParams + apiSecret).digest('hex');
+};
+
+// Only <prefix>-<unix seconds> folders are signed. The prefix comes from the
+// environment, so it is compared as text rather than built into a RegExp.
+const isAllowedFolder = (folder, prefix) =>
+  typeof folder === 'string' &&
+  folder.startsWith(`${prefix}-`) &&
+  /^\d+$/.test(folder.slice(prefix.length + 1));
+
+module.exports = { generateSignature, isAllowedFolder };
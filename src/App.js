@@ -1,114 +1,161 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Zap, ZapOff, X, Terminal, Power } from 'lucide-react';
+import { X, Power, RotateCcw } from 'lucide-react';
 import { QRCodeSVG } from 'qrcode.react';
+import Gallery from './components/Gallery';
+import LoadFilm from './components/LoadFilm';
+import RollHistory from './components/RollHistory';
+import Settings from './components/Settings';
+import DebugOverlay from './components/DebugOverlay';
+import StatusBar from './components/StatusBar';
+import { settingsRows } from './components/settingsRows';
+import { nextFrameNumber, isRollFinished, formatFrameNumber, isDelayed, isDeveloped } from './roll/rollModel';
+import { getStocks, loadStockLuts } from './film/registry';
+import { getDriveMode, nextDriveMode } from './capture/driveModes';
+import { ghostStyle } from './capture/multiExposure';
+import { getPreviewFilter, getPreviewOverlays, getGainMatrix } from './film/preview';
+import { EXPOSURE_CONTROLS, formatExposureValue, isNeutralSoftwareExposure } from './camera/exposure';
+import useExposure from './hooks/useExposure';
+import useR1Input from './hooks/useR1Input';
+import useServiceWorker from './hooks/useServiceWorker';
+import useCamera from './hooks/useCamera';
+import useSwipe from './hooks/useSwipe';
+import useUploads from './hooks/useUploads';
+import useRoll from './hooks/useRoll';
+import useCapture from './hooks/useCapture';
+import useViewfinderAnalysis from './hooks/useViewfinderAnalysis';
+import useDeviceLevel, { requestOrientationPermission } from './hooks/useDeviceLevel';
+import { VIEWFINDER_OVERLAYS, viewfinderLayout, histogramPoints, isLevel } from './camera/viewfinder';
+import { DEFAULT_PROFILE, getAspect, getResolution, getFormat, cycleProfile, formatProfile, isHalfFrame } from './capture/captureProfile';
+import { getBoothLayout, getBoothBorder, cycleBooth } from './capture/photoBooth';
+import usePreferences from './hooks/usePreferences';
+import { appVersion } from './pwa/serviceWorker';
+import useDiagnostics, { describeTrack } from './hooks/useDiagnostics';
+import { logger } from './debug/logger';
+
+// What the start screen says for each camera error kind (see cameraManager)
+const CAMERA_ERROR_HINTS = {
+  denied: { title: 'CAMERA BLOCKED', hint: 'Allow camera access for this app' },
+  notFound: { title: 'NO CAMERA', hint: 'No camera was found on this device' },
+  inUse: { title: 'CAMERA BUSY', hint: 'Close other apps using the camera' },
+  unsupported: { title: 'NO CAMERA ACCESS', hint: 'This browser cannot use the camera' },
+  lost: { title: 'CAMERA LOST', hint: 'The camera stopped responding' },
+  unknown: { title: 'CAMERA ERROR', hint: 'The camera failed to start' },
+};
 
 const RabbitCamera = () => {
-  const [hasPermission, setHasPermission] = useState(false);
-  const [stream, setStream] = useState(null);
-  const [flash, setFlash] = useState(false);
-  const [shotsLeft, setShotsLeft] = useState(5);
-  const [filterIndex, setFilterIndex] = useState(0);
-  const [isDeveloping, setIsDeveloping] = useState(false);
-  const [photos, setPhotos] = useState([]);
-  const [shutterPressed, setShutterPressed] = useState(false);
+  // Persisted preferences (src/storage/preferences.js); the shooting settings
+  // below are read from and saved to them
+  const { preferences, set: setPreference, reset: resetPreferences } = usePreferences((msg, level) => logger.log(level || 'info', 'app', msg));
+  const { flashMode, overlays, profile: captureProfile, booth, imprint: imprintSettings } = preferences.capture;
+  const setFlashMode = setPreference('capture', 'flashMode');
+  const setOverlays = setPreference('capture', 'overlays');
+  const setCaptureProfile = setPreference('capture', 'profile');
+  const setBooth = setPreference('capture', 'booth');
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [viewfinderPanel, setViewfinderPanel] = useState(false);
+  // Video and on-screen size, for placing the framing guide
+  const [videoFrame, setVideoFrame] = useState(null);
+  // What the scroll wheel drives in the viewfinder: 'stock' or 'exposure'
+  const [wheelMode, setWheelMode] = useState('stock');
 
   // Debug State
   const [debugMode, setDebugMode] = useState(false);
-  const [logs, setLogs] = useState([]);
-  const [tapCount, setTapCount] = useState(0);
-
-  // Swipe state for initialize gesture
-  const [swipeStartY, setSwipeStartY] = useState(null);
-  const [swipeProgress, setSwipeProgress] = useState(0);
-
-  // Upload state
-  const [isUploading, setIsUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [albumUrl, setAlbumUrl] = useState(null);
-  const [uploadError, setUploadError] = useState(null);
 
   const videoRef = useRef(null);
-  const canvasRef = useRef(null);
-  const debugLogRef = useRef(null);
-
-  const filters = [
-    { name: 'STD', class: 'brightness-105 contrast-110 saturate-100', label: 'Standard' },
-    { name: 'BW', class: 'grayscale contrast-125 brightness-90 sepia-[.2]', label: 'Tri-X 400' },
-    { name: 'VIVID', class: 'saturate-150 contrast-110 hue-rotate-[-10deg]', label: 'ColorPlus' },
-    { name: 'WARM', class: 'sepia-[.4] contrast-100 brightness-105 saturate-100', label: 'Gold 200' },
-  ];
-
-  // Custom Logger
-  const addLog = (msg) => {
-    const time = new Date().toLocaleTimeString().split(' ')[0];
-    setLogs(prev => [`[${time}] ${msg}`, ...prev]);
-    console.log(msg);
-  };
-
-  // Camera Management
-  const stopCamera = () => {
-    if (stream) {
-      stream.getTracks().forEach(track => {
-        track.stop();
-        addLog(`Stopped track: ${track.label}`);
-      });
-      setStream(null);
-    }
-  };
-
-  // Request high resolution for capture, viewfinder will scale down for display
-  const ENV_CONSTRAINTS = {
-    video: {
-      facingMode: 'environment',
-      width: { ideal: 1920 },
-      height: { ideal: 1080 }
-    }
-  };
-
-  const startCamera = async (constraints = ENV_CONSTRAINTS) => {
-    stopCamera();
-    addLog(`Req constraints: ${JSON.stringify(constraints)}`);
-
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-      addLog("Error: navigator.mediaDevices not supported");
-      setHasPermission(false);
-      return;
-    }
-
-    try {
-      const mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
-      addLog(`Stream active: ${mediaStream.id}`);
-
-      mediaStream.getVideoTracks().forEach(track => {
-        addLog(`Track: ${track.label} (${track.readyState})`);
-        const settings = track.getSettings();
-        addLog(`Res: ${settings.width}x${settings.height}`);
-      });
-
-      setHasPermission(true);
-      setStream(mediaStream);
-    } catch (err) {
-      addLog(`Error: ${err.name} - ${err.message}`);
-      console.error("Camera error", err);
-      setHasPermission(false);
-    }
+  const zebraCanvasRef = useRef(null);
+
+  const [stocks, setStocks] = useState(getStocks);
+
+  // Persisted roll, its frames and the roll history (src/hooks/useRoll.js)
+  const {
+    roll,
+    rollRef,
+    photos,
+    rollRestored,
+    lastStockId,
+    lastDevelopment,
+    labNotice,
+    storageError,
+    historyOpen,
+    archivedRolls,
+    galleryOpen,
+    galleryRoll,
+    archivePhotos,
+    ...film
+  } = useRoll((msg, level) => logger.log(level || 'info', 'roll', msg), stocks, { onUnload: () => capture.discardPartialFrame() });
+
+  // The stock is locked to the loaded roll
+  const activeStock = (roll && stocks.find(s => s.id === roll.stockId)) || stocks[0];
+  const shotsLeft = roll ? roll.shotsLeft : 0;
+  const boothStock = (booth.stockId && stocks.find(s => s.id === booth.stockId)) || activeStock;
+
+  // Camera lifecycle (src/camera/cameraManager.js): device choice, recovery, sleep / wake
+  const camera = useCamera((level, msg, data) => logger.log(level, 'camera', msg, data), preferences.camera);
+  const { stream } = camera;
+  const hasPermission = camera.status === 'active' && !!stream;
+  const exposureState = useExposure(stream, activeStock.iso, (msg, level) => logger.log(level || 'info', 'camera', msg));
+  const serviceWorker = useServiceWorker((msg, level) => logger.log(level || 'info', 'app', msg));
+  const diagnostics = useDiagnostics(videoRef, stream, debugMode);
+  // Cloud uploads, zip exports and shares (src/hooks/useUploads.js)
+  const uploads = useUploads((msg, level) => logger.log(level || 'info', 'upload', msg), preferences.upload);
+  const [updateDismissed, setUpdateDismissed] = useState(false);
+  const { exposure, caps: exposureCaps, control: exposureControl, software: softwareExposure } = exposureState;
+  const softwareExposureActive = !isNeutralSoftwareExposure(softwareExposure);
+  // Shutter, drive modes, multiple exposures and booth prints (src/hooks/useCapture.js)
+  const {
+    flashFired,
+    shutterPressed,
+    isDeveloping,
+    driveMode,
+    driveProgress,
+    multiExposure,
+    latentExposures,
+    ghostUrl,
+    pendingHalf,
+    ...capture
+  } = useCapture((msg, level) => logger.log(level || 'info', 'capture', msg), preferences.capture, {
+    videoRef,
+    stream,
+    stock: activeStock,
+    boothStock,
+    softwareExposure,
+    rollRef,
+    addFrame: film.addFrame,
+    updatePhoto: film.updatePhoto,
+  });
+  const boothMode = driveMode === 'booth';
+  // What the viewfinder previews: booth prints can use another stock
+  const viewfinderStock = boothMode ? boothStock : activeStock;
+  const showOverlays = hasPermission && !debugMode;
+  const histogram = useViewfinderAnalysis(videoRef, zebraCanvasRef, {
+    histogram: showOverlays && overlays.histogram,
+    zebra: showOverlays && overlays.zebra,
+    gain: softwareExposure.gain,
+  });
+  const tilt = useDeviceLevel(showOverlays && overlays.level);
+  // The video is fitted so the capture crop fills the guide exactly
+  const { aspect } = captureProfile;
+  const frameAspect = boothMode ? getBoothLayout(booth.layout).cellAspect : aspect;
+  const layout = videoFrame ? viewfinderLayout(videoFrame.view, videoFrame.video, frameAspect) : null;
+  const guide = layout ? layout.guide : null;
+  const guideStyle = guide || { left: 0, top: 0, width: '100%', height: '100%' };
+  const zoomTransform = softwareExposure.zoom !== 1 ? `scale(${softwareExposure.zoom})` : undefined;
+
+  // Structured log (src/debug/logger.js): category is camera, capture, roll, upload, input or app
+  const addLog = (message, category = 'app', data) => logger.info(category, message, data);
+  const logError = (message, category = 'app', data) => logger.error(category, message, data);
+
+  // Steps to the next camera; the choice is remembered across launches
+  const switchCamera = () => {
+    const { devices, deviceId } = camera;
+    if (devices.length < 2) return;
+    const index = devices.findIndex(d => d.deviceId === deviceId);
+    camera.selectDevice(devices[(index + 1) % devices.length].deviceId);
   };
 
-  const listDevices = async () => {
-    try {
-      const devices = await navigator.mediaDevices.enumerateDevices();
-      const videoInputs = devices.filter(d => d.kind === 'videoinput');
-      addLog(`Found ${videoInputs.length} cameras:`);
-      videoInputs.forEach(d => addLog(`- ${d.label || 'Unlabeled'} (ID: ${d.deviceId.slice(0,5)}...)`));
-    } catch (err) {
-      addLog(`Enum error: ${err.message}`);
-    }
-  };
-
-  // Initial Camera Start
+  // Load .cube LUTs referenced by the stock registry
   useEffect(() => {
-    startCamera();
-    return () => stopCamera();
+    loadStockLuts(err => logError(`LUT load error: ${err.message}`, 'capture')).then(setStocks);
   }, []);
 
   // Ensure video element gets the stream when it's rendered
@@ -118,292 +165,120 @@ const RabbitCamera = () => {
         if (videoRef.current && stream) {
           videoRef.current.srcObject = stream;
           videoRef.current.play()
-            .then(() => addLog("Video element playback started"))
-            .catch(e => addLog(`Video play error: ${e.message}`));
+            .then(() => addLog("Video element playback started", 'camera'))
+            .catch(e => logError(`Video play error: ${e.message}`, 'camera'));
         }
       }, 50);
       return () => clearTimeout(timer);
     }
   }, [stream, hasPermission]);
 
-  // Auto-scroll debug log
-  useEffect(() => {
-    if (debugLogRef.current && debugMode) {
-      debugLogRef.current.scrollTop = 0;
-    }
-  }, [logs, debugMode]);
-
-  // Debug Toggle Logic
-  const handleLogoTap = () => {
-    setTapCount(prev => {
-      const newCount = prev + 1;
-      if (newCount >= 5) {
-        setDebugMode(prevMode => !prevMode);
-        addLog("Debug Mode Toggled");
-        return 0;
-      }
-      return newCount;
-    });
-    setTimeout(() => setTapCount(0), 3000);
+  const toggleDebug = () => {
+    setDebugMode(prevMode => !prevMode);
+    addLog("Debug Mode Toggled", 'app');
   };
 
+  // The log is copied to the console while debugging
+  useEffect(() => {
+    logger.setOutput(debugMode ? console : null);
+  }, [debugMode]);
+
   // Manual Play Trigger
   const handleManualPlay = () => {
     if (videoRef.current) {
-      addLog("Attempting manual play...");
+      addLog("Attempting manual play...", 'camera');
       videoRef.current.play()
-        .then(() => addLog("Manual play success"))
-        .catch(e => addLog(`Manual play fail: ${e.message}`));
+        .then(() => addLog("Manual play success", 'camera'))
+        .catch(e => logError(`Manual play fail: ${e.message}`, 'camera'));
     }
   };
 
-  // Swipe up to initialize camera
-  const SWIPE_THRESHOLD = 60;
-
-  const handleSwipeStart = (e) => {
-    const y = e.touches ? e.touches[0].clientY : e.clientY;
-    setSwipeStartY(y);
-    setSwipeProgress(0);
+  // The video element fills the viewfinder, so its parent is the view
+  const measureVideo = () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth || !video.parentElement) return;
+    setVideoFrame({
+      view: { width: video.parentElement.clientWidth, height: video.parentElement.clientHeight },
+      video: { width: video.videoWidth, height: video.videoHeight },
+    });
   };
 
-  const handleSwipeMove = (e) => {
-    if (swipeStartY === null) return;
-    const y = e.touches ? e.touches[0].clientY : e.clientY;
-    const delta = swipeStartY - y;
-    const progress = Math.min(Math.max(delta / SWIPE_THRESHOLD, 0), 1);
-    setSwipeProgress(progress);
+  const handleVideoMetadata = () => {
+    measureVideo();
+    handleManualPlay();
   };
 
-  const handleSwipeEnd = () => {
-    if (swipeProgress >= 1) {
-      startCamera(ENV_CONSTRAINTS);
+  const toggleOverlay = async (id) => {
+    if (id === 'level' && !overlays.level) {
+      const permission = await requestOrientationPermission();
+      if (permission !== 'granted') {
+        addLog(`Level unavailable: orientation ${permission}`, 'camera');
+        return;
+      }
     }
-    setSwipeStartY(null);
-    setSwipeProgress(0);
+    setOverlays(prev => ({ ...prev, [id]: !prev[id] }));
   };
 
-  // Rabbit R1 Scroll Wheel Integration
-  useEffect(() => {
-    const handleScrollUp = (event) => {
-      event.preventDefault();
-      setFilterIndex(prev => (prev + 1) % filters.length);
-    };
-
-    const handleScrollDown = (event) => {
-      event.preventDefault();
-      setFilterIndex(prev => (prev - 1 + filters.length) % filters.length);
-    };
-
-    window.addEventListener('scrollUp', handleScrollUp, { passive: false, capture: true });
-    window.addEventListener('scrollDown', handleScrollDown, { passive: false, capture: true });
-    document.addEventListener('scrollUp', handleScrollUp, { passive: false, capture: true });
-    document.addEventListener('scrollDown', handleScrollDown, { passive: false, capture: true });
-
-    return () => {
-      window.removeEventListener('scrollUp', handleScrollUp, { capture: true });
-      window.removeEventListener('scrollDown', handleScrollDown, { capture: true });
-      document.removeEventListener('scrollUp', handleScrollUp, { capture: true });
-      document.removeEventListener('scrollDown', handleScrollDown, { capture: true });
-    };
-  }, [filters.length]);
-
-  // Shutter Action
-  const takePhoto = () => {
-    if (shotsLeft <= 0 || isDeveloping) return;
-
-    setShutterPressed(true);
-    setTimeout(() => setShutterPressed(false), 200);
-
-    const flashEl = document.getElementById('flash-overlay');
-    if (flash && flashEl) {
-      flashEl.style.opacity = '1';
-      setTimeout(() => flashEl.style.opacity = '0', 100);
+  // A partly exposed frame keeps the profile it was started with
+  const changeProfile = (key) => {
+    if (capture.framePending()) {
+      addLog('Capture profile is locked until the frame is finished', 'capture');
+      return;
     }
-
-    setIsDeveloping(true);
-
-    setTimeout(() => {
-      captureImage();
-      setShotsLeft(prev => prev - 1);
-      setIsDeveloping(false);
-    }, 800);
+    const next = cycleProfile(captureProfile, key);
+    setCaptureProfile(next);
+    addLog(`Capture profile: ${formatProfile(next)}`, 'capture');
   };
 
-  // Convert filter class names to canvas filter string
-  const getCanvasFilter = (filterObj) => {
-    const filterClass = filterObj.class;
-    let canvasFilter = '';
-
-    // Parse Tailwind classes to CSS filter values
-    if (filterClass.includes('grayscale')) canvasFilter += 'grayscale(100%) ';
-    if (filterClass.includes('sepia-[.4]')) canvasFilter += 'sepia(40%) ';
-    if (filterClass.includes('sepia-[.2]')) canvasFilter += 'sepia(20%) ';
-
-    const brightnessMatch = filterClass.match(/brightness-(\d+)/);
-    if (brightnessMatch) canvasFilter += `brightness(${parseInt(brightnessMatch[1]) / 100}) `;
-
-    const contrastMatch = filterClass.match(/contrast-(\d+)/);
-    if (contrastMatch) canvasFilter += `contrast(${parseInt(contrastMatch[1]) / 100}) `;
-
-    const saturateMatch = filterClass.match(/saturate-(\d+)/);
-    if (saturateMatch) canvasFilter += `saturate(${parseInt(saturateMatch[1]) / 100}) `;
-
-    const hueMatch = filterClass.match(/hue-rotate-\[(-?\d+)deg\]/);
-    if (hueMatch) canvasFilter += `hue-rotate(${hueMatch[1]}deg) `;
-
-    return canvasFilter.trim() || 'none';
-  };
-
-  const captureImage = () => {
-    if (!videoRef.current || !canvasRef.current) return;
-
-    const video = videoRef.current;
-    const canvas = canvasRef.current;
-    const context = canvas.getContext('2d');
-
-    // Use full video resolution
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
-
-    // Apply filter to canvas context
-    const currentFilter = filters[filterIndex];
-    context.filter = getCanvasFilter(currentFilter);
-
-    context.drawImage(video, 0, 0, canvas.width, canvas.height);
-
-    // Reset filter
-    context.filter = 'none';
-
-    const imgUrl = canvas.toDataURL('image/jpeg', 0.92);
-    const newPhoto = {
-      id: Date.now(),
-      url: imgUrl,
-      filter: currentFilter,
-      date: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-    };
-
-    setPhotos(prev => [newPhoto, ...prev]);
-  };
-
-  // Helper to convert Data URL to Blob for sharing
-  const dataURItoBlob = (dataURI) => {
-    const byteString = atob(dataURI.split(',')[1]);
-    const mimeString = dataURI.split(',')[0].split(':')[1].split(';')[0];
-    const ab = new ArrayBuffer(byteString.length);
-    const ia = new Uint8Array(ab);
-    for (let i = 0; i < byteString.length; i++) {
-      ia[i] = byteString.charCodeAt(i);
+  // Rabbit R1 scroll wheel in the viewfinder: stock or exposure, depending on the mode
+  const handleWheel = (delta) => {
+    if (wheelMode === 'exposure') {
+      exposureState.step(delta);
+    } else {
+      film.changeStock(delta);
     }
-    return new Blob([ab], { type: mimeString });
   };
 
-  // Cloudinary configuration
-  const CLOUDINARY_CLOUD_NAME = 'dvyjecxco';
-  const CLOUDINARY_API_KEY = '593788555271441';
-  const CLOUDINARY_API_SECRET = 'HZpuTToHEWEINlS837tGQMcrpH4';
-
-  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-  // Generate SHA-1 signature for Cloudinary
-  const generateSignature = async (paramsToSign) => {
-    const sortedParams = Object.keys(paramsToSign)
-      .sort()
-      .map(key => `${key}=${paramsToSign[key]}`)
-      .join('&');
-
-    const stringToSign = sortedParams + CLOUDINARY_API_SECRET;
-
-    const encoder = new TextEncoder();
-    const data = encoder.encode(stringToSign);
-    const hashBuffer = await crypto.subtle.digest('SHA-1', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-
-    return hashHex;
+  // Swipe up to initialize camera
+  const { swipeThreshold } = preferences.input;
+  const { progress: swipeProgress, handlers: swipeHandlers } = useSwipe(swipeThreshold, () => camera.start());
+
+  const handleShutter = () => {
+    if (capture.isDriving()) {
+      capture.cancelDrive();
+    } else if (hasPermission) {
+      capture.startDrive();
+    } else {
+      camera.start();
+    }
   };
 
-  const handleUploadGallery = async () => {
-    if (photos.length === 0) return;
-
-    setIsUploading(true);
-    setUploadProgress(0);
-    setUploadError(null);
-    setAlbumUrl(null);
-
+  // R1 hardware input for the viewfinder; overlays push their own input layer on top.
+  // A long press runs the selected drive mode, or the 10s self-timer in single mode.
+  useR1Input({
+    sideClick: handleShutter,
+    longPressStart: () => hasPermission && capture.startDrive(driveMode === 'single' ? 'timer10' : driveMode),
+    scrollUp: () => handleWheel(1),
+    scrollDown: () => handleWheel(-1),
+  }, !galleryOpen && !historyOpen && !settingsOpen && !!roll);
+
+  // Log snapshot with enough context to read it off the device
+  const exportLogs = async () => {
+    const json = logger.exportJSON({
+      version: appVersion,
+      userAgent: navigator.userAgent,
+      serviceWorker: serviceWorker.status,
+      track: describeTrack(stream),
+    });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
     try {
-      const uploadedIds = [];
-      const totalPhotos = photos.length;
-      const timestamp = Math.floor(Date.now() / 1000);
-      const folder = `r1-analog-${timestamp}`;
-
-      // Upload each photo to Cloudinary
-      for (let i = 0; i < photos.length; i++) {
-        const photo = photos[i];
-        addLog(`Uploading photo ${i + 1}/${totalPhotos}...`);
-
-        const paramsToSign = {
-          folder: folder,
-          timestamp: timestamp,
-        };
-
-        const signature = await generateSignature(paramsToSign);
-
-        const formData = new FormData();
-        formData.append('file', photo.url);
-        formData.append('api_key', CLOUDINARY_API_KEY);
-        formData.append('timestamp', timestamp);
-        formData.append('signature', signature);
-        formData.append('folder', folder);
-
-        const response = await fetch(
-          `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/image/upload`,
-          {
-            method: 'POST',
-            body: formData,
-          }
-        );
-
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(errorData.error?.message || `Upload failed: ${response.status}`);
-        }
-
-        const data = await response.json();
-        uploadedIds.push(data.public_id);
-        addLog(`Uploaded: ${data.secure_url}`);
-
-        setUploadProgress(((i + 1) / totalPhotos) * 100);
-
-        // Small delay between uploads
-        if (i < photos.length - 1) {
-          await delay(300);
-        }
-      }
-
-      // Create a direct download URL for all images
-      // Using Cloudinary's URL-based archive: /image/archive with public_ids parameter
-      addLog('Creating download link...');
-
-      // Build a URL that triggers automatic ZIP download of all images
-      const publicIdsParam = uploadedIds.map(id => `public_ids[]=${encodeURIComponent(id)}`).join('&');
-      const downloadUrl = `https://res.cloudinary.com/${CLOUDINARY_CLOUD_NAME}/image/archive?${publicIdsParam}`;
-
-      setAlbumUrl(downloadUrl);
-      addLog(`Download ready: ${downloadUrl}`);
-
-    } catch (error) {
-      console.error('Upload failed:', error);
-      addLog(`Upload error: ${error.message}`);
-      setUploadError(error.message);
-    } finally {
-      setIsUploading(false);
+      await uploads.shareFile(new Blob([json], { type: 'application/json' }), `r1-analog-log-${stamp}.json`);
+    } catch (err) {
+      logError(`Log export error: ${err.message}`, 'app');
     }
   };
 
-  const reloadFilm = () => {
-    setShotsLeft(5);
-    setPhotos([]);
-  };
+  const formatReadyAt = (ts) => new Date(ts).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
 
   return (
     <div className="flex justify-center items-center w-full h-screen bg-neutral-900 font-mono overflow-hidden">
@@ -411,8 +286,8 @@ const RabbitCamera = () => {
       <div className="relative w-[240px] h-[300px] bg-black overflow-hidden shadow-2xl">
         {/* Full-screen Viewfinder */}
         <div className="absolute inset-0 bg-black">
-          {/* Hardware Flash Overlay */}
-          <div id="flash-overlay" className="absolute inset-0 bg-white opacity-0 z-50 pointer-events-none transition-opacity duration-75"></div>
+          {/* Software Flash Overlay - visual cue when there's no torch */}
+          <div className={`absolute inset-0 bg-white z-50 pointer-events-none transition-opacity duration-75 ${flashFired ? 'opacity-100' : 'opacity-0'}`}></div>
 
           {/* Video Feed or Swipe to Start */}
           {hasPermission ? (
@@ -422,18 +297,18 @@ const RabbitCamera = () => {
               playsInline
               muted
               onClick={handleManualPlay}
-              onLoadedMetadata={handleManualPlay}
-              className={`w-full h-full object-cover ${filters[filterIndex].class}`}
+              onLoadedMetadata={handleVideoMetadata}
+              onResize={measureVideo}
+              className={layout ? 'absolute max-w-none' : 'w-full h-full object-cover'}
+              style={{
+                ...(layout && layout.video),
+                filter: `${softwareExposureActive ? 'url(#software-exposure) ' : ''}${getPreviewFilter(viewfinderStock)}`,
+                transform: zoomTransform,
+              }}
             />
           ) : (
             <div
-              onTouchStart={handleSwipeStart}
-              onTouchMove={handleSwipeMove}
-              onTouchEnd={handleSwipeEnd}
-              onMouseDown={handleSwipeStart}
-              onMouseMove={swipeStartY !== null ? handleSwipeMove : undefined}
-              onMouseUp={handleSwipeEnd}
-              onMouseLeave={handleSwipeEnd}
+              {...swipeHandlers}
               className="w-full h-full flex flex-col items-center justify-center bg-[#1a1a1a] cursor-pointer select-none"
             >
               <div className="absolute bottom-0 left-0 right-0 h-1 bg-[#2a2a2a]">
@@ -447,133 +322,418 @@ const RabbitCamera = () => {
                       <path d="M10 0L20 12H0L10 0Z" />
                     </svg>
                   </div>
-                  <span className="text-[#666] font-black text-[9px] tracking-widest mt-2">SWIPE UP</span>
+                  <span className="text-[#666] font-black text-[9px] tracking-widest mt-2">
+                    {camera.status === 'starting' ? 'STARTING...' : camera.error ? 'SWIPE UP TO RETRY' : 'SWIPE UP'}
+                  </span>
                 </div>
+                {camera.status === 'error' && camera.error && (
+                  <div className="mt-3 px-4 text-center">
+                    <div className="text-[#D32F2F] font-black text-[8px] tracking-wider">{CAMERA_ERROR_HINTS[camera.error.kind].title}</div>
+                    <div className="text-[#888] text-[7px] mt-0.5">{CAMERA_ERROR_HINTS[camera.error.kind].hint}</div>
+                  </div>
+                )}
               </div>
             </div>
           )}
 
           {/* Debug Overlay */}
           {debugMode && (
-            <div className="absolute inset-0 bg-black/90 z-[60] text-[#00ff00] font-mono text-[8px] p-2 overflow-hidden flex flex-col">
-              <div className="flex justify-between items-center border-b border-green-900 pb-1 mb-1">
-                <span className="font-bold flex gap-1 items-center"><Terminal size={8}/> DEBUG</span>
-                <button onClick={() => setDebugMode(false)}><X size={10} /></button>
+            <DebugOverlay
+              camera={camera}
+              diagnostics={diagnostics}
+              serviceWorkerStatus={serviceWorker.status}
+              onExport={exportLogs}
+              onClose={() => setDebugMode(false)}
+            />
+          )}
+
+          {/* Film look preview layers (vignette, light leak, grain) */}
+          {hasPermission && getPreviewOverlays(viewfinderStock).map(({ key, ...style }) => (
+            <div key={key} className="absolute pointer-events-none" style={{ ...guideStyle, ...style }}></div>
+          ))}
+
+          {/* Ghost of the pending multiple exposure */}
+          {hasPermission && ghostUrl && (
+            <img
+              src={ghostUrl}
+              alt=""
+              className="absolute object-cover pointer-events-none"
+              style={{ ...guideStyle, ...ghostStyle(multiExposure.blend) }}
+            />
+          )}
+
+          {/* Software exposure gain for the preview, matching the capture pipeline */}
+          <svg width="0" height="0" className="absolute">
+            <filter id="software-exposure">
+              <feColorMatrix type="matrix" values={getGainMatrix(softwareExposure.gain)} />
+            </filter>
+          </svg>
+
+          {/* Exposure HUD - tap a value to pick what the scroll wheel adjusts (* = software fallback) */}
+          {!debugMode && hasPermission && wheelMode === 'exposure' && (
+            <div className="absolute top-7 left-0 right-0 z-30 flex justify-center gap-1 px-2">
+              {EXPOSURE_CONTROLS.map(c => (
+                <button
+                  key={c}
+                  onClick={() => exposureState.setControl(c)}
+                  className={`px-1 py-0.5 rounded text-[6px] font-bold leading-tight flex flex-col items-center ${c === exposureControl ? 'bg-[#D32F2F] text-white' : 'bg-black/50 text-white/70'}`}
+                >
+                  <span className="opacity-60">{c.toUpperCase()}{exposureCaps[c] ? '' : '*'}</span>
+                  <span>{formatExposureValue(c, exposure)}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* New version installed by the service worker */}
+          {serviceWorker.updateAvailable && !updateDismissed && (
+            <div className="absolute top-14 left-2 right-2 z-40 flex items-center justify-between gap-1 px-2 py-1 rounded bg-black/80 border border-[#FF9800] text-[7px] font-bold">
+              <span className="text-[#FF9800]">UPDATE READY</span>
+              <div className="flex items-center gap-2">
+                <button onClick={serviceWorker.update} className="text-white active:scale-95 transition-transform">RELOAD</button>
+                <button onClick={() => setUpdateDismissed(true)} className="text-white/50 active:scale-95 transition-transform"><X size={8} /></button>
               </div>
-              <div className="flex-1 overflow-y-auto mb-1 break-all" ref={debugLogRef}>
-                {logs.map((log, i) => (<div key={i} className="mb-0.5 opacity-80">{log}</div>))}
+            </div>
+          )}
+
+          {/* Zebra stripes on clipped highlights, sized and zoomed like the video */}
+          {showOverlays && overlays.zebra && (
+            <canvas
+              ref={zebraCanvasRef}
+              className={`pointer-events-none ${layout ? 'absolute max-w-none' : 'absolute inset-0 w-full h-full object-cover'}`}
+              style={{ ...(layout && layout.video), transform: zoomTransform }}
+            />
+          )}
+
+          {/* Viewfinder HUD */}
+          {showOverlays && (
+            <div className="absolute inset-0 pointer-events-none overflow-hidden">
+              {aspect === 'full' && (
+                <>
+                  <div className="absolute top-3 left-3 w-4 h-4 border-l-2 border-t-2 border-white/40"></div>
+                  <div className="absolute top-3 right-3 w-4 h-4 border-r-2 border-t-2 border-white/40"></div>
+                  <div className="absolute bottom-24 left-3 w-4 h-4 border-l-2 border-b-2 border-white/40"></div>
+                  <div className="absolute bottom-24 right-3 w-4 h-4 border-r-2 border-b-2 border-white/40"></div>
+                </>
+              )}
+
+              {/* Framing guide: everything outside the crop is dimmed */}
+              {guide && (
+                <div
+                  className={`absolute ${aspect !== 'full' ? 'border border-white/50' : ''}`}
+                  style={{ ...guide, boxShadow: '0 0 0 999px rgba(0,0,0,0.55)' }}
+                >
+                  {overlays.grid && (
+                    <>
+                      <div className="absolute inset-y-0 left-1/3 w-px bg-white/30"></div>
+                      <div className="absolute inset-y-0 left-2/3 w-px bg-white/30"></div>
+                      <div className="absolute inset-x-0 top-1/3 h-px bg-white/30"></div>
+                      <div className="absolute inset-x-0 top-2/3 h-px bg-white/30"></div>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {overlays.histogram && histogram && (
+                <svg width="48" height="20" viewBox="0 0 48 20" className="absolute top-14 right-2 bg-black/50 rounded-sm">
+                  <polygon points={`0,20 ${histogramPoints(histogram, 48, 20)} 48,20`} fill="rgba(255,255,255,0.6)" />
+                </svg>
+              )}
+
+              {overlays.level && (
+                <div className="absolute inset-0 flex items-center justify-center">
+                  {tilt == null ? (
+                    <span className="text-white/40 text-[6px] font-bold">NO LEVEL</span>
+                  ) : (
+                    <div className="flex flex-col items-center" style={{ transform: `rotate(${-tilt}deg)` }}>
+                      <div className={`w-24 h-px ${isLevel(tilt) ? 'bg-[#FF9800]' : 'bg-white/60'}`}></div>
+                      <span className={`mt-1 text-[6px] font-bold ${isLevel(tilt) ? 'text-[#FF9800]' : 'text-white/60'}`}>{Math.round(tilt)}°</span>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Viewfinder overlay toggles and the capture profile */}
+          {showOverlays && viewfinderPanel && (
+            <div className="absolute bottom-24 left-0 right-0 z-30 flex flex-col items-center gap-1 px-2">
+              <div className="flex justify-center gap-1">
+                {VIEWFINDER_OVERLAYS.map(o => (
+                  <button
+                    key={o.id}
+                    onClick={() => toggleOverlay(o.id)}
+                    className={`px-1 py-0.5 rounded text-[6px] font-bold ${overlays[o.id] ? 'bg-[#D32F2F] text-white' : 'bg-black/50 text-white/70'}`}
+                  >
+                    {o.label}
+                  </button>
+                ))}
               </div>
-              <div className="grid grid-cols-2 gap-1">
-                <button onClick={() => startCamera(ENV_CONSTRAINTS)} className="bg-green-900/50 p-1 rounded hover:bg-green-800 text-[6px] border border-green-700">Start (Env)</button>
-                <button onClick={() => startCamera({ video: { facingMode: 'user' } })} className="bg-green-900/50 p-1 rounded hover:bg-green-800 text-[6px] border border-green-700">Start (User)</button>
-                <button onClick={() => startCamera({ video: true })} className="bg-green-900/50 p-1 rounded hover:bg-green-800 text-[6px] border border-green-700">Start (Basic)</button>
-                <button onClick={listDevices} className="bg-green-900/50 p-1 rounded hover:bg-green-800 text-[6px] border border-green-700">List Devices</button>
+              <div className="flex justify-center gap-1">
+                {[
+                  ['aspect', getAspect(aspect).label, aspect !== DEFAULT_PROFILE.aspect],
+                  ['resolution', getResolution(captureProfile.resolution).label, captureProfile.resolution !== DEFAULT_PROFILE.resolution],
+                  ['format', getFormat(captureProfile.format).label, captureProfile.format !== DEFAULT_PROFILE.format],
+                  getFormat(captureProfile.format).lossy && ['quality', `Q${Math.round(captureProfile.quality * 100)}`, captureProfile.quality !== DEFAULT_PROFILE.quality],
+                ].filter(Boolean).map(([key, label, changed]) => (
+                  <button
+                    key={key}
+                    onClick={() => changeProfile(key)}
+                    className={`px-1 py-0.5 rounded text-[6px] font-bold ${changed ? 'bg-[#FF9800] text-black' : 'bg-black/50 text-white/70'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
               </div>
             </div>
           )}
 
-          {/* Viewfinder HUD */}
-          {!debugMode && hasPermission && (
-            <div className="absolute inset-0 pointer-events-none">
-              <div className="absolute top-3 left-3 w-4 h-4 border-l-2 border-t-2 border-white/40"></div>
-              <div className="absolute top-3 right-3 w-4 h-4 border-r-2 border-t-2 border-white/40"></div>
-              <div className="absolute bottom-24 left-3 w-4 h-4 border-l-2 border-b-2 border-white/40"></div>
-              <div className="absolute bottom-24 right-3 w-4 h-4 border-r-2 border-b-2 border-white/40"></div>
+          {/* Photo booth print settings */}
+          {showOverlays && boothMode && !viewfinderPanel && !driveProgress && (
+            <div className="absolute bottom-24 left-0 right-0 z-30 flex justify-center gap-1 px-2">
+              {[
+                ['layout', getBoothLayout(booth.layout).label],
+                ['border', getBoothBorder(booth.border).label],
+                ['stockId', booth.stockId ? boothStock.name : 'ROLL'],
+              ].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setBooth(prev => cycleBooth(prev, key, stocks))}
+                  className="px-1 py-0.5 rounded text-[6px] font-bold uppercase bg-black/50 text-white/70"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Drive mode progress */}
+          {driveProgress && (
+            <div className="absolute inset-0 z-30 flex flex-col items-center justify-center pointer-events-none">
+              {driveProgress.countdown != null && (
+                <div className="text-[#D32F2F] font-black text-5xl leading-none animate-pulse">{driveProgress.countdown}</div>
+              )}
+              {driveProgress.of != null && (
+                <div className="text-[#D32F2F] font-black text-sm">{driveProgress.mode.label} {driveProgress.shot}/{driveProgress.of}</div>
+              )}
+              {driveProgress.mode.type === 'interval' && (
+                <div className="text-[#D32F2F] font-black text-sm text-center leading-tight">
+                  INTERVAL #{formatFrameNumber(driveProgress.shot || 1)}
+                  {driveProgress.next > 0 && <div className="text-white/70 text-[8px]">NEXT IN {driveProgress.next}S</div>}
+                </div>
+              )}
+              <button
+                onClick={capture.cancelDrive}
+                className="mt-2 px-3 py-1 rounded-full bg-black/60 border border-white/30 text-white text-[7px] font-bold pointer-events-auto active:scale-95 transition-transform"
+              >
+                CANCEL
+              </button>
             </div>
           )}
 
           {/* Developing Animation */}
           {isDeveloping && (
             <div className="absolute inset-0 bg-black flex items-center justify-center z-40">
-              <div className="text-[#D32F2F] font-black text-sm animate-bounce tracking-tighter">DEVELOPING...</div>
+              <div className="text-[#D32F2F] font-black text-sm animate-bounce tracking-tighter">{boothMode ? 'PRINTING...' : isDelayed(roll) || latentExposures + 1 < multiExposure.count || (isHalfFrame(captureProfile) && !pendingHalf) ? 'EXPOSING...' : 'DEVELOPING...'}</div>
             </div>
           )}
         </div>
 
         {/* Top Status Bar - Overlaid */}
-        <div className="absolute top-0 left-0 right-0 z-30 flex justify-between items-center p-2 bg-gradient-to-b from-black/70 to-transparent">
-          <div onClick={handleLogoTap} className="flex items-center gap-1 text-[#D32F2F] cursor-pointer select-none active:opacity-50">
-            <div className="w-1.5 h-1.5 bg-[#D32F2F] rounded-full animate-pulse"></div>
-            <span className="text-[8px] font-bold tracking-wider">R1-ANALOG</span>
-          </div>
-          <div className="flex items-center gap-2 text-white text-[8px] font-bold">
-            <button onClick={() => setFlash(!flash)} className="active:scale-90 transition-transform">
-              {flash ? <Zap size={12} fill="white" className="text-white" /> : <ZapOff size={12} className="opacity-50" />}
-            </button>
-          </div>
-        </div>
+        <StatusBar
+          canSwitchCamera={camera.devices.length > 1}
+          canRewind={!!roll && roll.frameCount > 0}
+          imprintEnabled={imprintSettings.enabled}
+          multiExposure={multiExposure}
+          latentExposures={latentExposures}
+          pendingHalf={pendingHalf}
+          flashMode={flashMode}
+          onSwitchCamera={switchCamera}
+          onHistory={film.openHistory}
+          onSettings={() => setSettingsOpen(true)}
+          onRewind={film.rewindFilm}
+          onMultiExposure={capture.setMultiExposure}
+          onDiscardPartial={capture.discardPartialFrame}
+          onFlashMode={setFlashMode}
+          onDebugToggle={toggleDebug}
+        />
 
         {/* Bottom Controls - Overlaid on viewfinder */}
         <div className="absolute bottom-0 left-0 right-0 z-30 bg-gradient-to-t from-black/80 via-black/60 to-transparent pt-6 pb-2 px-2">
-          {/* Filter indicator */}
+          {/* Loaded stock and frame counter */}
           <div className="flex justify-center items-center gap-2 mb-2">
-            <span className="text-[8px] font-bold text-white/60 uppercase">{filters[filterIndex].label}</span>
-            <div className="flex gap-1">
-              {filters.map((f, i) => (
-                <div key={i} className={`w-1.5 h-1.5 rounded-full transition-colors ${i === filterIndex ? 'bg-[#D32F2F]' : 'bg-white/30'}`}></div>
-              ))}
-            </div>
+            <button
+              onClick={() => setWheelMode(prev => (prev === 'stock' ? 'exposure' : 'stock'))}
+              className="px-1 rounded border border-white/30 text-[6px] font-bold text-white/70 active:scale-95 transition-transform"
+            >
+              {wheelMode === 'stock' ? 'STOCK' : 'EXP'}
+            </button>
+            <button
+              onClick={() => capture.setDriveMode(nextDriveMode)}
+              className={`px-1 rounded border text-[6px] font-bold active:scale-95 transition-transform ${driveMode === 'single' ? 'border-white/30 text-white/70' : 'border-[#FF9800] text-[#FF9800]'}`}
+            >
+              {getDriveMode(driveMode).label}
+            </button>
+            <button
+              onClick={() => setViewfinderPanel(prev => !prev)}
+              className={`px-1 rounded border text-[6px] font-bold active:scale-95 transition-transform ${viewfinderPanel ? 'border-white text-white' : aspect !== 'full' ? 'border-[#FF9800] text-[#FF9800]' : 'border-white/30 text-white/70'}`}
+            >
+              {aspect !== 'full' ? getAspect(aspect).label : 'VF'}
+            </button>
+            <span className="text-[8px] font-bold text-white/60 uppercase">{activeStock.name} · ISO {activeStock.iso}</span>
+            {roll && (
+              <span className="text-[8px] font-bold text-[#FF9800]">
+                #{formatFrameNumber(Math.min(nextFrameNumber(roll), roll.length))}/{roll.length}
+              </span>
+            )}
           </div>
 
           {/* Main controls row */}
           <div className="flex items-center justify-between">
-            {/* Photos taken counter - tap to upload gallery */}
+            {/* Photos taken counter - tap to open the contact sheet */}
             <div
-              onClick={photos.length > 0 ? handleUploadGallery : undefined}
+              onClick={photos.length > 0 ? film.openGallery : undefined}
               className={`w-12 h-12 bg-black/50 backdrop-blur rounded-lg flex flex-col items-center justify-center border border-white/10 ${photos.length > 0 ? 'cursor-pointer active:scale-95 transition-transform' : ''}`}
             >
               <span className={`text-lg font-black leading-none ${photos.length > 0 ? 'text-[#D32F2F]' : 'text-white/30'}`}>{photos.length}</span>
-              <span className="text-[6px] text-white/50 font-bold">{photos.length > 0 ? 'UPLOAD' : 'PHOTOS'}</span>
+              <span className="text-[6px] text-white/50 font-bold">{photos.length > 0 ? 'VIEW' : 'PHOTOS'}</span>
             </div>
 
             {/* Shutter Button */}
             <button
-              onClick={takePhoto}
-              disabled={shotsLeft <= 0}
+              onClick={handleShutter}
+              disabled={shotsLeft <= 0 && !driveProgress}
               className={`w-16 h-16 rounded-full border-4 border-white/30 flex items-center justify-center transition-all duration-100 ${shutterPressed ? 'scale-90' : 'scale-100'} ${shotsLeft <= 0 ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
             >
               <div className={`w-12 h-12 rounded-full ${shutterPressed ? 'bg-red-900' : 'bg-[#D32F2F]'}`}></div>
             </button>
 
-            {/* Shots remaining counter */}
-            <div className="w-12 h-12 bg-black/50 backdrop-blur rounded-lg flex flex-col items-center justify-center border border-white/10">
-              <span className="text-lg font-black text-white/70 leading-none">{shotsLeft}</span>
-              <span className="text-[6px] text-white/50 font-bold">LEFT</span>
-            </div>
+            {/* Shots remaining counter - becomes the rewind lever at the end of the roll */}
+            {isRollFinished(roll) ? (
+              <div
+                onClick={film.rewindFilm}
+                className="w-12 h-12 bg-[#D32F2F] rounded-lg flex flex-col items-center justify-center cursor-pointer active:scale-95 transition-transform"
+              >
+                <RotateCcw size={14} className="text-white" />
+                <span className="text-[6px] text-white font-bold mt-0.5">REWIND</span>
+              </div>
+            ) : (
+              <div className="w-12 h-12 bg-black/50 backdrop-blur rounded-lg flex flex-col items-center justify-center border border-white/10">
+                <span className="text-lg font-black text-white/70 leading-none">{shotsLeft}</span>
+                <span className="text-[6px] text-white/50 font-bold">LEFT</span>
+              </div>
+            )}
           </div>
         </div>
 
+        {/* Load Film */}
+        {rollRestored && !roll && !galleryOpen && !historyOpen && (
+          <LoadFilm
+            stocks={stocks}
+            initialStockIndex={Math.max(stocks.findIndex(s => s.id === (preferences.roll.stockId || lastStockId)), 0)}
+            defaultLength={preferences.roll.length}
+            initialDevelopment={lastDevelopment}
+            onLoad={film.loadFilm}
+            onHistory={film.openHistory}
+          />
+        )}
+
+        {/* Roll History */}
+        {historyOpen && (
+          <RollHistory
+            rolls={archivedRolls}
+            onOpen={film.openArchivedRoll}
+            onDelete={film.deleteArchivedRoll}
+            onClose={film.closeHistory}
+          />
+        )}
+
+        {/* Settings */}
+        {settingsOpen && (
+          <Settings
+            rows={settingsRows({
+              preferences,
+              setPreference,
+              stocks,
+              onReset: () => {
+                // The defaults may change the profile a pending frame was started with
+                capture.discardPartialFrame();
+                resetPreferences();
+              },
+            })}
+            onClose={() => setSettingsOpen(false)}
+          />
+        )}
+
+        {/* Contact Sheet */}
+        {galleryOpen && (
+          <Gallery
+            photos={galleryRoll ? archivePhotos : photos}
+            title={galleryRoll ? `${galleryRoll.stockName || galleryRoll.stockId} roll` : 'Contact sheet'}
+            latent={galleryRoll ? !isDeveloped(galleryRoll) : isDelayed(roll)}
+            latentNote={galleryRoll ? `AT THE LAB · READY ${formatReadyAt(galleryRoll.readyAt)}` : 'LATENT · REWIND TO DEVELOP'}
+            onClose={film.closeGallery}
+            onDelete={film.deletePhoto}
+            onUpload={uploads.upload}
+            onExport={(selection) => uploads.exportPhotos(selection, galleryRoll || roll)}
+            onShare={uploads.sharePhoto}
+            onImprint={capture.cycleImprint}
+          />
+        )}
+
         {/* Hidden Canvas for capture */}
-        <canvas ref={canvasRef} className="hidden" />
+        <canvas ref={capture.canvasRef} className="hidden" />
       </div>
 
       {/* Upload Progress Overlay */}
-      {isUploading && (
+      {uploads.isUploading && (
         <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/95 p-4">
           <div className="w-full max-w-[200px] text-center">
             <div className="text-[#D32F2F] font-bold text-sm mb-4">UPLOADING</div>
             <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden mb-2">
               <div
                 className="h-full bg-[#D32F2F] transition-all duration-300"
-                style={{ width: `${uploadProgress}%` }}
+                style={{ width: `${uploads.uploadProgress}%` }}
               />
             </div>
-            <div className="text-white/60 text-xs">{Math.round(uploadProgress)}%</div>
+            <div className="text-white/60 text-xs">{Math.round(uploads.uploadProgress)}%</div>
+            <button
+              onClick={uploads.hideProgress}
+              className="mt-4 text-white/40 text-[8px] font-bold active:scale-95 transition-transform"
+            >
+              CONTINUE IN BACKGROUND
+            </button>
           </div>
         </div>
       )}
 
+      {/* Export Overlay */}
+      {uploads.isExporting && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/95 p-4">
+          <div className="text-[#D32F2F] font-bold text-sm animate-pulse">PACKING ZIP...</div>
+        </div>
+      )}
+
       {/* QR Code Modal */}
-      {albumUrl && (
+      {uploads.albumUrl && (
         <div className="fixed inset-0 z-[70] flex items-center justify-center bg-black/95 p-2">
           <div className="bg-white w-full max-w-[220px] rounded-2xl overflow-hidden flex flex-col items-center p-4">
             <div className="text-[#D32F2F] font-bold text-sm mb-3">SCAN TO DOWNLOAD</div>
+            {uploads.sharedFile && <div className="-mt-2 mb-2 text-[8px] text-gray-500 font-bold">SAME WI-FI ONLY</div>}
             <div className="bg-white p-2 rounded-lg shadow-inner">
-              <QRCodeSVG value={albumUrl} size={140} level="M" />
+              <QRCodeSVG value={uploads.albumUrl} size={140} level="M" />
             </div>
-            <div className="mt-3 text-[8px] text-gray-500 text-center break-all px-2">{albumUrl}</div>
+            <div className="mt-3 text-[8px] text-gray-500 text-center break-all px-2">{uploads.albumUrl}</div>
+            {uploads.sharedFile && (
+              <button
+                onClick={uploads.saveShared}
+                className="mt-4 w-full py-2 bg-[#D32F2F] text-white rounded-lg font-bold text-xs active:scale-95 transition-transform"
+              >
+                SAVE HERE
+              </button>
+            )}
             <button
-              onClick={() => setAlbumUrl(null)}
+              onClick={uploads.closeQr}
               className="mt-4 w-full py-2 bg-black text-white rounded-lg font-bold text-xs active:scale-95 transition-transform"
             >
               DONE
@@ -582,14 +742,66 @@ const RabbitCamera = () => {
         </div>
       )}
 
+      {/* Development Notice Modal */}
+      {labNotice && (
+        <div className="fixed inset-0 z-[70] flex items-center justify-center bg-black/95 p-4">
+          <div className="bg-white w-full max-w-[200px] rounded-2xl overflow-hidden flex flex-col items-center p-4">
+            <div className="text-[#D32F2F] font-bold text-sm mb-2">{labNotice.developed ? 'ROLL DEVELOPED' : 'SENT TO THE LAB'}</div>
+            <div className="text-[10px] text-gray-600 text-center mb-4">
+              {labNotice.roll.stockName} · {labNotice.roll.frameCount} frames
+              {!labNotice.developed && <><br />Ready {formatReadyAt(labNotice.roll.readyAt)}</>}
+              {labNotice.more > 0 && <><br />+{labNotice.more} more in the archive</>}
+            </div>
+            {labNotice.developed && (
+              <button
+                onClick={() => { film.openArchivedRoll(labNotice.roll); film.dismissLabNotice(); }}
+                className="w-full py-2 mb-2 bg-[#D32F2F] text-white rounded-lg font-bold text-xs active:scale-95 transition-transform"
+              >
+                VIEW PRINTS
+              </button>
+            )}
+            <button
+              onClick={film.dismissLabNotice}
+              className="w-full py-2 bg-black text-white rounded-lg font-bold text-xs active:scale-95 transition-transform"
+            >
+              {labNotice.developed ? 'LATER' : 'OK'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Storage Error Modal */}
+      {storageError && (
+        <div className="fixed inset-0 z-[70] flex items-center justify-center bg-black/95 p-4">
+          <div className="bg-white w-full max-w-[200px] rounded-2xl overflow-hidden flex flex-col items-center p-4">
+            <div className="text-[#D32F2F] font-bold text-sm mb-2">STORAGE FULL</div>
+            <div className="text-[10px] text-gray-600 text-center mb-4">{storageError}</div>
+            <button
+              onClick={film.dismissStorageError}
+              className="w-full py-2 bg-black text-white rounded-lg font-bold text-xs active:scale-95 transition-transform"
+            >
+              OK
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Upload Error Modal */}
-      {uploadError && (
+      {uploads.uploadError && (
         <div className="fixed inset-0 z-[70] flex items-center justify-center bg-black/95 p-4">
           <div className="bg-white w-full max-w-[200px] rounded-2xl overflow-hidden flex flex-col items-center p-4">
             <div className="text-[#D32F2F] font-bold text-sm mb-2">UPLOAD FAILED</div>
-            <div className="text-[10px] text-gray-600 text-center mb-4">{uploadError}</div>
+            <div className="text-[10px] text-gray-600 text-center mb-4">{uploads.uploadError}</div>
+            {uploads.failedUploadId && (
+              <button
+                onClick={uploads.retry}
+                className="w-full py-2 mb-2 bg-[#D32F2F] text-white rounded-lg font-bold text-xs active:scale-95 transition-transform"
+              >
+                RETRY
+              </button>
+            )}
             <button
-              onClick={() => setUploadError(null)}
+              onClick={uploads.dismissError}
               className="w-full py-2 bg-black text-white rounded-lg font-bold text-xs active:scale-95 transition-transform"
             >
               OK
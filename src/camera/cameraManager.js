@@ -0,0 +1,286 @@
+// Camera lifecycle for the viewfinder. The manager owns the MediaStream, so
+// tracks are always stopped no matter which render started them. It
+// remembers the chosen camera, recovers from ended or muted tracks, and
+// releases the camera while the app is hidden (the R1 sleeps a lot) and
+// reacquires it when the app comes back.
+
+export const DEFAULT_CONSTRAINTS = {
+  video: {
+    facingMode: 'environment',
+    width: { ideal: 1920 },
+    height: { ideal: 1080 },
+  },
+};
+
+// getUserMedia constraints for a facing mode and an ideal resolution
+export const cameraConstraints = ({ facingMode, width, height }) => ({
+  video: { facingMode, width: { ideal: width }, height: { ideal: height } },
+});
+
+const DEVICE_KEY = 'r1-analog:cameraDeviceId';
+
+// A muted track often comes back on its own (e.g. a brief hardware hiccup)
+export const MUTE_GRACE_MS = 3000;
+
+// Delays between recovery attempts after a track ends; after the last one the
+// camera is reported as failed until started again
+export const RECOVERY_DELAYS_MS = [500, 2000, 5000];
+
+export const CAMERA_ERRORS = {
+  denied: 'Camera access was denied',
+  notFound: 'No camera found',
+  inUse: 'The camera is in use by another app',
+  unsupported: 'This browser cannot use the camera',
+  lost: 'The camera stopped responding',
+  unknown: 'The camera failed to start',
+};
+
+// getUserMedia error names across browsers -> the states the UI explains
+export const classifyCameraError = (err) => {
+  const name = err && err.name;
+  if (['NotAllowedError', 'PermissionDeniedError', 'SecurityError'].includes(name)) return 'denied';
+  if (['NotFoundError', 'DevicesNotFoundError', 'OverconstrainedError', 'ConstraintNotSatisfiedError'].includes(name)) return 'notFound';
+  if (['NotReadableError', 'TrackStartError', 'AbortError'].includes(name)) return 'inUse';
+  if (name === 'TypeError') return 'unsupported';
+  return 'unknown';
+};
+
+// A chosen camera replaces the facing mode with its exact deviceId
+export const constraintsForDevice = (deviceId, base = DEFAULT_CONSTRAINTS) => {
+  if (!deviceId) return base;
+  const { facingMode, ...video } = base.video;
+  return { video: { ...video, deviceId: { exact: deviceId } } };
+};
+
+const readDeviceId = (storage) => {
+  try {
+    return storage ? storage.getItem(DEVICE_KEY) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const writeDeviceId = (storage, deviceId) => {
+  try {
+    if (!storage) return;
+    if (deviceId) storage.setItem(DEVICE_KEY, deviceId);
+    else storage.removeItem(DEVICE_KEY);
+  } catch (err) {
+    // Private mode / quota: the choice just won't survive a reload
+  }
+};
+
+// State: { status, stream, error, deviceId, devices }
+//   status: 'idle' | 'starting' | 'active' | 'suspended' | 'error'
+//   error:  { kind, message } with kind one of the CAMERA_ERRORS keys
+export const createCameraManager = ({
+  mediaDevices = typeof navigator !== 'undefined' ? navigator.mediaDevices : undefined,
+  storage = typeof window !== 'undefined' ? window.localStorage : null,
+  // Facing mode and resolution when no explicit constraints are given
+  constraints = DEFAULT_CONSTRAINTS,
+  doc = typeof document !== 'undefined' ? document : null,
+  log = () => {},
+  onChange = () => {},
+} = {}) => {
+  let state = { status: 'idle', stream: null, error: null, deviceId: readDeviceId(storage), devices: [] };
+  // Explicit constraints from start(); null follows the remembered device
+  let requested = null;
+  let base = constraints;
+  // The app wants a camera (cleared by stop); hiding only suspends it
+  let wanted = false;
+  // Bumped on every acquire / release so late getUserMedia results are dropped
+  let generation = 0;
+  let recoveries = 0;
+  let recoveryTimer = null;
+  let muteTimer = null;
+
+  const set = (changes) => {
+    state = { ...state, ...changes };
+    onChange(state);
+  };
+
+  const clearTimers = () => {
+    clearTimeout(recoveryTimer);
+    clearTimeout(muteTimer);
+  };
+
+  const release = () => {
+    generation += 1;
+    clearTimers();
+    if (!state.stream) return;
+    state.stream.getTracks().forEach(track => {
+      track.onended = null;
+      track.onmute = null;
+      track.onunmute = null;
+      track.stop();
+    });
+    log('info', 'Camera released');
+  };
+
+  const fail = (kind, detail) => {
+    log('error', `Camera error (${kind}): ${detail}`);
+    set({ status: 'error', stream: null, error: { kind, message: CAMERA_ERRORS[kind] } });
+  };
+
+  const isHidden = () => !!doc && doc.visibilityState === 'hidden';
+
+  const current = () => requested || constraintsForDevice(state.deviceId, base);
+
+  const recover = (reason) => {
+    log('warn', reason);
+    release();
+
+    if (recoveries >= RECOVERY_DELAYS_MS.length) {
+      fail('lost', reason);
+      return;
+    }
+
+    const wait = RECOVERY_DELAYS_MS[recoveries];
+    recoveries += 1;
+    set({ status: 'starting', stream: null });
+    recoveryTimer = setTimeout(() => {
+      if (!wanted) return;
+      if (isHidden()) set({ status: 'suspended' });
+      else acquire(current());
+    }, wait);
+  };
+
+  const watch = (stream) => {
+    stream.getVideoTracks().forEach(track => {
+      track.onended = () => recover(`Track ended: ${track.label}`);
+      track.onmute = () => {
+        clearTimeout(muteTimer);
+        muteTimer = setTimeout(() => {
+          if (track.muted) recover(`Track muted: ${track.label}`);
+        }, MUTE_GRACE_MS);
+      };
+      track.onunmute = () => clearTimeout(muteTimer);
+    });
+  };
+
+  const listDevices = async () => {
+    if (!mediaDevices || !mediaDevices.enumerateDevices) return [];
+    try {
+      const devices = (await mediaDevices.enumerateDevices())
+        .filter(device => device.kind === 'videoinput')
+        .map(({ deviceId, label }) => ({ deviceId, label }));
+      set({ devices });
+      return devices;
+    } catch (err) {
+      log('error', `Enum error: ${err.message}`);
+      return [];
+    }
+  };
+
+  const acquire = async (constraints) => {
+    const token = ++generation;
+    set({ status: 'starting', error: null });
+
+    if (!mediaDevices || !mediaDevices.getUserMedia) {
+      fail('unsupported', 'navigator.mediaDevices not available');
+      return null;
+    }
+
+    log('info', 'Requesting camera', constraints);
+    try {
+      const stream = await mediaDevices.getUserMedia(constraints);
+      // Stopped, hidden or restarted while the request was pending
+      if (token !== generation || !wanted) {
+        stream.getTracks().forEach(track => track.stop());
+        return null;
+      }
+
+      watch(stream);
+      const track = stream.getVideoTracks()[0];
+      log('info', `Stream active: ${track ? track.label : stream.id}`, track && track.getSettings ? track.getSettings() : undefined);
+      set({ status: 'active', stream, error: null });
+      // Labels are only exposed once permission is granted
+      listDevices();
+      return stream;
+    } catch (err) {
+      if (token !== generation) return null;
+
+      const kind = classifyCameraError(err);
+      // The remembered camera is gone: forget it and use the default one
+      if (!requested && state.deviceId && kind === 'notFound') {
+        log('warn', `Saved camera unavailable, using default: ${err.name}`);
+        writeDeviceId(storage, null);
+        set({ deviceId: null });
+        return acquire(base);
+      }
+
+      fail(kind, `${err.name} - ${err.message}`);
+      return null;
+    }
+  };
+
+  // constraints: explicit getUserMedia constraints (debug buttons); omit to use
+  // the remembered camera, or the rear camera if none was chosen
+  const start = (constraints = null) => {
+    wanted = true;
+    requested = constraints;
+    recoveries = 0;
+    release();
+    set({ stream: null });
+    return acquire(current());
+  };
+
+  const stop = () => {
+    wanted = false;
+    release();
+    set({ status: 'idle', stream: null });
+  };
+
+  const selectDevice = (deviceId) => {
+    writeDeviceId(storage, deviceId);
+    set({ deviceId });
+    log('info', `Camera selected: ${deviceId ? deviceId.slice(0, 8) : 'default'}`);
+    return start();
+  };
+
+  // New default constraints (preferences); a running default camera restarts
+  // with them. A new facing mode (FRONT / BACK setting) forgets the chosen
+  // camera, which would otherwise override it.
+  const configure = (next) => {
+    if (state.deviceId && next.video.facingMode !== base.video.facingMode) {
+      log('info', `Facing mode ${next.video.facingMode}, forgetting the selected camera`);
+      writeDeviceId(storage, null);
+      set({ deviceId: null });
+    }
+    base = next;
+    if (wanted && !requested && state.status !== 'suspended') start();
+  };
+
+  const handleVisibility = () => {
+    if (!wanted) return;
+    if (isHidden()) {
+      if (state.status === 'idle' || state.status === 'suspended') return;
+      release();
+      set({ status: 'suspended', stream: null });
+    } else if (state.status === 'suspended') {
+      recoveries = 0;
+      log('info', 'App visible, reacquiring camera');
+      acquire(current());
+    }
+  };
+
+  // Page-level listeners; returns a detach function
+  const attach = () => {
+    if (doc) doc.addEventListener('visibilitychange', handleVisibility);
+    if (mediaDevices && mediaDevices.addEventListener) mediaDevices.addEventListener('devicechange', listDevices);
+    return () => {
+      if (doc) doc.removeEventListener('visibilitychange', handleVisibility);
+      if (mediaDevices && mediaDevices.removeEventListener) mediaDevices.removeEventListener('devicechange', listDevices);
+    };
+  };
+
+  return {
+    getState: () => state,
+    start,
+    stop,
+    selectDevice,
+    configure,
+    listDevices,
+    attach,
+  };
+};
@@ -0,0 +1,220 @@
+import { createCameraManager, classifyCameraError, constraintsForDevice, cameraConstraints, RECOVERY_DELAYS_MS, MUTE_GRACE_MS } from './cameraManager';
+
+const fakeTrack = (label = 'Back camera') => ({
+  label,
+  muted: false,
+  readyState: 'live',
+  stop: jest.fn(function stop() { this.readyState = 'ended'; }),
+  getSettings: () => ({ width: 1920, height: 1080 }),
+});
+
+const fakeStream = (track = fakeTrack()) => ({
+  id: `stream-${Math.random()}`,
+  getTracks: () => [track],
+  getVideoTracks: () => [track],
+});
+
+const fakeMediaDevices = (results = []) => {
+  const queue = [...results];
+  return {
+    getUserMedia: jest.fn(async () => {
+      const next = queue.length > 0 ? queue.shift() : fakeStream();
+      if (next instanceof Error) throw next;
+      return next;
+    }),
+    enumerateDevices: jest.fn(async () => [
+      { kind: 'videoinput', deviceId: 'cam-a', label: 'Back camera' },
+      { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+      { kind: 'videoinput', deviceId: 'cam-b', label: 'Front camera' },
+    ]),
+  };
+};
+
+const fakeDoc = () => {
+  const listeners = new Set();
+  return {
+    visibilityState: 'visible',
+    addEventListener: (type, fn) => listeners.add(fn),
+    removeEventListener: (type, fn) => listeners.delete(fn),
+    setHidden(hidden) {
+      this.visibilityState = hidden ? 'hidden' : 'visible';
+      listeners.forEach(fn => fn());
+    },
+  };
+};
+
+const fakeStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = value; },
+    removeItem: key => { delete data[key]; },
+    data,
+  };
+};
+
+const namedError = (name) => Object.assign(new Error(name), { name });
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const setup = ({ results, storage = fakeStorage(), doc = fakeDoc(), constraints } = {}) => {
+  const mediaDevices = fakeMediaDevices(results);
+  const manager = createCameraManager({ mediaDevices, storage, doc, constraints });
+  manager.attach();
+  return { manager, mediaDevices, storage, doc };
+};
+
+describe('classifyCameraError', () => {
+  it('maps browser error names to UI states', () => {
+    expect(classifyCameraError(namedError('NotAllowedError'))).toBe('denied');
+    expect(classifyCameraError(namedError('NotFoundError'))).toBe('notFound');
+    expect(classifyCameraError(namedError('NotReadableError'))).toBe('inUse');
+    expect(classifyCameraError(namedError('Weird'))).toBe('unknown');
+  });
+});
+
+describe('createCameraManager', () => {
+  afterEach(() => jest.useRealTimers());
+
+  it('stops the previous stream before starting another one', async () => {
+    const first = fakeTrack();
+    const { manager } = setup({ results: [fakeStream(first), fakeStream()] });
+
+    await manager.start();
+    expect(manager.getState().status).toBe('active');
+
+    await manager.start({ video: true });
+    expect(first.stop).toHaveBeenCalled();
+    expect(manager.getState().stream.getVideoTracks()[0]).not.toBe(first);
+  });
+
+  it('reports denied, missing and busy cameras as error states', async () => {
+    for (const [name, kind] of [['NotAllowedError', 'denied'], ['NotFoundError', 'notFound'], ['NotReadableError', 'inUse']]) {
+      const { manager } = setup({ results: [namedError(name)] });
+      await manager.start();
+      expect(manager.getState()).toMatchObject({ status: 'error', stream: null, error: { kind } });
+    }
+  });
+
+  it('remembers the selected camera and uses it on the next launch', async () => {
+    const storage = fakeStorage();
+    const { manager, mediaDevices } = setup({ storage });
+    await manager.start();
+    await flush();
+    expect(manager.getState().devices.map(d => d.deviceId)).toEqual(['cam-a', 'cam-b']);
+
+    await manager.selectDevice('cam-b');
+    expect(mediaDevices.getUserMedia).toHaveBeenLastCalledWith(constraintsForDevice('cam-b'));
+
+    const relaunched = setup({ storage });
+    await relaunched.manager.start();
+    expect(relaunched.mediaDevices.getUserMedia).toHaveBeenCalledWith(constraintsForDevice('cam-b'));
+  });
+
+  it('falls back to the default camera when the saved one is gone', async () => {
+    const storage = fakeStorage({ 'r1-analog:cameraDeviceId': 'unplugged' });
+    const { manager, mediaDevices } = setup({ storage, results: [namedError('OverconstrainedError')] });
+
+    await manager.start();
+
+    expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(2);
+    expect(manager.getState()).toMatchObject({ status: 'active', deviceId: null });
+    expect(storage.data).toEqual({});
+  });
+
+  it('reacquires the camera after the track ends, then gives up', async () => {
+    jest.useFakeTimers();
+    const { manager, mediaDevices } = setup();
+    await manager.start();
+
+    for (const wait of RECOVERY_DELAYS_MS) {
+      manager.getState().stream.getVideoTracks()[0].onended();
+      expect(manager.getState().status).toBe('starting');
+      jest.advanceTimersByTime(wait);
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(manager.getState().status).toBe('active');
+    }
+
+    manager.getState().stream.getVideoTracks()[0].onended();
+    expect(manager.getState()).toMatchObject({ status: 'error', error: { kind: 'lost' } });
+    expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(1 + RECOVERY_DELAYS_MS.length);
+  });
+
+  it('restarts a track that stays muted, but not one that recovers', async () => {
+    jest.useFakeTimers();
+    const { manager, mediaDevices } = setup();
+    await manager.start();
+
+    const track = manager.getState().stream.getVideoTracks()[0];
+    track.muted = true;
+    track.onmute();
+    track.muted = false;
+    track.onunmute();
+    jest.advanceTimersByTime(MUTE_GRACE_MS);
+    expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+
+    track.muted = true;
+    track.onmute();
+    jest.advanceTimersByTime(MUTE_GRACE_MS);
+    expect(track.stop).toHaveBeenCalled();
+    expect(manager.getState().status).toBe('starting');
+  });
+
+  it('releases the camera while hidden and resumes when visible', async () => {
+    const { manager, doc, mediaDevices } = setup();
+    await manager.start();
+    const track = manager.getState().stream.getVideoTracks()[0];
+
+    doc.setHidden(true);
+    expect(track.stop).toHaveBeenCalled();
+    expect(manager.getState()).toMatchObject({ status: 'suspended', stream: null });
+
+    doc.setHidden(false);
+    await flush();
+    expect(manager.getState().status).toBe('active');
+    expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not resume after an explicit stop', async () => {
+    const { manager, doc, mediaDevices } = setup();
+    await manager.start();
+    manager.stop();
+
+    doc.setHidden(true);
+    doc.setHidden(false);
+    await flush();
+    expect(manager.getState().status).toBe('idle');
+    expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+  });
+
+  it('restarts with new default constraints, keeping a chosen camera', async () => {
+    const front = cameraConstraints({ facingMode: 'user', width: 1280, height: 720 });
+    const { manager, mediaDevices } = setup({ constraints: cameraConstraints({ facingMode: 'environment', width: 1920, height: 1080 }) });
+    await manager.start();
+
+    manager.configure(front);
+    await flush();
+    expect(mediaDevices.getUserMedia).toHaveBeenLastCalledWith({ video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 720 } } });
+
+    await manager.selectDevice('cam-b');
+    expect(mediaDevices.getUserMedia).toHaveBeenLastCalledWith({ video: { width: { ideal: 1280 }, height: { ideal: 720 }, deviceId: { exact: 'cam-b' } } });
+
+    manager.configure(cameraConstraints({ facingMode: 'user', width: 1920, height: 1080 }));
+    await flush();
+    expect(mediaDevices.getUserMedia).toHaveBeenLastCalledWith({ video: { width: { ideal: 1920 }, height: { ideal: 1080 }, deviceId: { exact: 'cam-b' } } });
+  });
+
+  it('forgets a chosen camera when the facing mode changes', async () => {
+    const storage = fakeStorage({ 'r1-analog:cameraDeviceId': 'cam-b' });
+    const { manager, mediaDevices } = setup({ storage, constraints: cameraConstraints({ facingMode: 'user', width: 1920, height: 1080 }) });
+    await manager.start();
+    expect(mediaDevices.getUserMedia).toHaveBeenLastCalledWith(expect.objectContaining({ video: expect.objectContaining({ deviceId: { exact: 'cam-b' } }) }));
+
+    manager.configure(cameraConstraints({ facingMode: 'environment', width: 1920, height: 1080 }));
+    await flush();
+    expect(mediaDevices.getUserMedia).toHaveBeenLastCalledWith({ video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } } });
+    expect(manager.getState().deviceId).toBeNull();
+    expect(storage.data).toEqual({});
+  });
+});
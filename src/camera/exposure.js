@@ -0,0 +1,136 @@
+// Manual exposure controls. Each control is applied to the video track through
+// applyConstraints when getCapabilities() reports it; otherwise it falls back
+// to a software adjustment (gain / white balance multipliers / digital zoom)
+// applied in the viewfinder preview and in the capture pipeline.
+//
+// A null value means "auto".
+export const DEFAULT_EXPOSURE = { ev: 0, iso: null, wb: null, focus: null, zoom: 1 };
+
+export const EXPOSURE_CONTROLS = ['ev', 'iso', 'wb', 'focus', 'zoom'];
+
+// Ranges used when a control falls back to software
+const SOFTWARE_RANGES = {
+  ev: { min: -2, max: 2, step: 1 / 3 },
+  iso: { min: 100, max: 3200 },
+  wb: { min: 2500, max: 9000, step: 500 },
+  zoom: { min: 1, max: 4, step: 0.25 },
+};
+
+const ISO_STOPS = [100, 200, 400, 800, 1600, 3200];
+const NEUTRAL_WB = 6500;
+
+const range = (cap) => (cap && typeof cap.min === 'number' && cap.max > cap.min
+  ? { min: cap.min, max: cap.max, step: cap.step || (cap.max - cap.min) / 20 }
+  : null);
+
+// Which controls the track can do in hardware, with their ranges / options
+export const getExposureCapabilities = (track) => {
+  const caps = track && track.getCapabilities ? track.getCapabilities() : {};
+  const hasMode = (key, mode) => Array.isArray(caps[key]) && caps[key].includes(mode);
+
+  return {
+    ev: range(caps.exposureCompensation),
+    iso: hasMode('exposureMode', 'manual') ? range(caps.iso) : null,
+    wb: hasMode('whiteBalanceMode', 'manual') ? range(caps.colorTemperature) : null,
+    focus: Array.isArray(caps.focusMode) && caps.focusMode.length > 0 ? caps.focusMode : null,
+    zoom: range(caps.zoom),
+  };
+};
+
+const clampTo = (value, { min, max }) => Math.min(Math.max(value, min), max);
+
+// Scroll wheel step for one control; stepping below the minimum returns to auto
+export const stepExposure = (exposure, control, delta, caps) => {
+  const value = exposure[control];
+
+  switch (control) {
+    case 'ev':
+    case 'zoom': {
+      const r = caps[control] || SOFTWARE_RANGES[control];
+      const next = clampTo(value + delta * r.step, r);
+      return { ...exposure, [control]: Math.round(next * 100) / 100 };
+    }
+    case 'iso': {
+      if (caps.iso) {
+        const r = caps.iso;
+        if (value == null) return delta > 0 ? { ...exposure, iso: r.min } : exposure;
+        const next = value * Math.pow(2, delta);
+        return { ...exposure, iso: next < r.min ? null : Math.round(clampTo(next, r)) };
+      }
+      const index = value == null ? -1 : ISO_STOPS.indexOf(value);
+      const next = Math.min(index + delta, ISO_STOPS.length - 1);
+      return { ...exposure, iso: next < 0 ? null : ISO_STOPS[next] };
+    }
+    case 'wb': {
+      const r = caps.wb || SOFTWARE_RANGES.wb;
+      if (value == null) return delta > 0 ? { ...exposure, wb: r.min } : exposure;
+      const next = value + delta * r.step;
+      return { ...exposure, wb: next < r.min ? null : Math.round(clampTo(next, r)) };
+    }
+    case 'focus': {
+      const modes = caps.focus;
+      if (!modes) return exposure;
+      const index = value == null ? -1 : modes.indexOf(value);
+      const next = index + delta;
+      return { ...exposure, focus: next < 0 ? null : modes[Math.min(next, modes.length - 1)] };
+    }
+    default:
+      return exposure;
+  }
+};
+
+// Constraint set for the hardware-capable part of the exposure
+export const buildTrackConstraints = (exposure, caps) => {
+  const constraint = {};
+
+  if (caps.ev) constraint.exposureCompensation = clampTo(exposure.ev, caps.ev);
+  if (caps.iso) {
+    constraint.exposureMode = exposure.iso == null ? 'continuous' : 'manual';
+    if (exposure.iso != null) constraint.iso = exposure.iso;
+  }
+  if (caps.wb) {
+    constraint.whiteBalanceMode = exposure.wb == null ? 'continuous' : 'manual';
+    if (exposure.wb != null) constraint.colorTemperature = exposure.wb;
+  }
+  if (caps.focus && exposure.focus != null) constraint.focusMode = exposure.focus;
+  if (caps.zoom) constraint.zoom = clampTo(exposure.zoom, caps.zoom);
+
+  return Object.keys(constraint).length > 0 ? { advanced: [constraint] } : null;
+};
+
+// Software remainder: per-channel gain for EV / ISO / white balance, digital zoom.
+// stockIso is the reference for a software ISO push or pull.
+export const getSoftwareExposure = (exposure, caps, stockIso = 200) => {
+  let gain = 1;
+  if (!caps.ev) gain *= Math.pow(2, exposure.ev);
+  if (!caps.iso && exposure.iso != null) gain *= exposure.iso / stockIso;
+
+  let warm = 0;
+  if (!caps.wb && exposure.wb != null) warm = (exposure.wb - NEUTRAL_WB) / 4000;
+
+  return {
+    gain: [gain * (1 + 0.2 * warm), gain, gain * (1 - 0.2 * warm)],
+    zoom: caps.zoom ? 1 : exposure.zoom,
+  };
+};
+
+export const isNeutralSoftwareExposure = ({ gain, zoom }) =>
+  zoom === 1 && gain.every(g => Math.abs(g - 1) < 0.001);
+
+export const formatExposureValue = (control, exposure) => {
+  const value = exposure[control];
+  switch (control) {
+    case 'ev':
+      return `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+    case 'iso':
+      return value == null ? 'AUTO' : String(value);
+    case 'wb':
+      return value == null ? 'AUTO' : `${value}K`;
+    case 'focus':
+      return value == null ? 'AUTO' : value.replace('continuous', 'AF-C').replace('single-shot', 'AF-S').toUpperCase();
+    case 'zoom':
+      return `${value.toFixed(1)}x`;
+    default:
+      return String(value);
+  }
+};
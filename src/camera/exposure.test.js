@@ -0,0 +1,103 @@
+import {
+  DEFAULT_EXPOSURE,
+  getExposureCapabilities,
+  stepExposure,
+  buildTrackConstraints,
+  getSoftwareExposure,
+  isNeutralSoftwareExposure,
+  formatExposureValue,
+} from './exposure';
+
+const NO_CAPS = getExposureCapabilities(null);
+
+const fakeTrack = (capabilities) => ({ getCapabilities: () => capabilities });
+
+describe('getExposureCapabilities', () => {
+  it('reports nothing without a track', () => {
+    expect(NO_CAPS).toEqual({ ev: null, iso: null, wb: null, focus: null, zoom: null });
+  });
+
+  it('only offers ISO and white balance with a manual mode', () => {
+    const caps = getExposureCapabilities(fakeTrack({
+      exposureCompensation: { min: -3, max: 3, step: 0.5 },
+      exposureMode: ['continuous', 'manual'],
+      iso: { min: 50, max: 1600 },
+      whiteBalanceMode: ['continuous'],
+      colorTemperature: { min: 2800, max: 7000 },
+      focusMode: ['continuous', 'single-shot'],
+    }));
+    expect(caps.ev).toEqual({ min: -3, max: 3, step: 0.5 });
+    expect(caps.iso).toEqual({ min: 50, max: 1600, step: 77.5 });
+    expect(caps.wb).toBeNull();
+    expect(caps.focus).toEqual(['continuous', 'single-shot']);
+    expect(caps.zoom).toBeNull();
+  });
+});
+
+describe('stepExposure', () => {
+  it('steps EV in thirds in software and clamps to the range', () => {
+    expect(stepExposure(DEFAULT_EXPOSURE, 'ev', 1, NO_CAPS).ev).toBe(0.33);
+    expect(stepExposure({ ...DEFAULT_EXPOSURE, ev: 2 }, 'ev', 1, NO_CAPS).ev).toBe(2);
+  });
+
+  it('walks the software ISO stops, back to auto below the first', () => {
+    const iso100 = stepExposure(DEFAULT_EXPOSURE, 'iso', 1, NO_CAPS);
+    expect(iso100.iso).toBe(100);
+    expect(stepExposure(iso100, 'iso', 2, NO_CAPS).iso).toBe(400);
+    expect(stepExposure(iso100, 'iso', -1, NO_CAPS).iso).toBeNull();
+  });
+
+  it('doubles hardware ISO per step', () => {
+    const caps = { ...NO_CAPS, iso: { min: 50, max: 1600 } };
+    expect(stepExposure({ ...DEFAULT_EXPOSURE, iso: 200 }, 'iso', 1, caps).iso).toBe(400);
+    expect(stepExposure({ ...DEFAULT_EXPOSURE, iso: 50 }, 'iso', -1, caps).iso).toBeNull();
+  });
+
+  it('leaves focus alone when the track has no focus modes', () => {
+    expect(stepExposure(DEFAULT_EXPOSURE, 'focus', 1, NO_CAPS)).toBe(DEFAULT_EXPOSURE);
+  });
+});
+
+describe('buildTrackConstraints', () => {
+  it('has nothing to apply without hardware controls', () => {
+    expect(buildTrackConstraints(DEFAULT_EXPOSURE, NO_CAPS)).toBeNull();
+  });
+
+  it('switches to manual mode for a fixed ISO or white balance', () => {
+    const caps = { ...NO_CAPS, ev: { min: -2, max: 2, step: 1 }, iso: { min: 50, max: 1600 }, wb: { min: 2800, max: 7000 } };
+    expect(buildTrackConstraints({ ...DEFAULT_EXPOSURE, ev: 5, iso: 400 }, caps)).toEqual({
+      advanced: [{ exposureCompensation: 2, exposureMode: 'manual', iso: 400, whiteBalanceMode: 'continuous' }],
+    });
+  });
+});
+
+describe('getSoftwareExposure', () => {
+  it('turns software EV and ISO into gain relative to the stock', () => {
+    const { gain, zoom } = getSoftwareExposure({ ...DEFAULT_EXPOSURE, ev: 1, iso: 400 }, NO_CAPS, 200);
+    expect(gain).toEqual([4, 4, 4]);
+    expect(zoom).toBe(1);
+  });
+
+  it('warms or cools the red and blue channels for white balance', () => {
+    const [r, g, b] = getSoftwareExposure({ ...DEFAULT_EXPOSURE, wb: 8500 }, NO_CAPS).gain;
+    expect(g).toBe(1);
+    expect(r).toBeCloseTo(1.1);
+    expect(b).toBeCloseTo(0.9);
+  });
+
+  it('leaves what the hardware handles to the hardware', () => {
+    const caps = { ...NO_CAPS, ev: { min: -2, max: 2, step: 1 }, zoom: { min: 1, max: 5, step: 0.1 } };
+    const software = getSoftwareExposure({ ...DEFAULT_EXPOSURE, ev: 1, zoom: 3 }, caps);
+    expect(isNeutralSoftwareExposure(software)).toBe(true);
+  });
+});
+
+describe('formatExposureValue', () => {
+  it('labels each control for the HUD', () => {
+    expect(formatExposureValue('ev', { ev: 0.67 })).toBe('+0.7');
+    expect(formatExposureValue('iso', { iso: null })).toBe('AUTO');
+    expect(formatExposureValue('wb', { wb: 5500 })).toBe('5500K');
+    expect(formatExposureValue('focus', { focus: 'single-shot' })).toBe('AF-S');
+    expect(formatExposureValue('zoom', { zoom: 2 })).toBe('2.0x');
+  });
+});
@@ -0,0 +1,48 @@
+// Flash: uses the video track's torch when it has one (on before capture, a
+// short settle for auto exposure, off afterwards), otherwise a software fill
+// flash applied in the processing pipeline.
+export const FLASH_MODES = ['off', 'on', 'auto'];
+
+export const TORCH_SETTLE_MS = 400;
+
+// Average frame luma (0-255) below which auto mode fires
+export const AUTO_FLASH_THRESHOLD = 60;
+
+export const FILL_FLASH_AMOUNT = 0.35;
+
+export const nextFlashMode = (mode) => FLASH_MODES[(FLASH_MODES.indexOf(mode) + 1) % FLASH_MODES.length];
+
+export const hasTorch = (track) => {
+  if (!track || !track.getCapabilities) return false;
+  return track.getCapabilities().torch === true;
+};
+
+export const setTorch = (track, on) => track.applyConstraints({ advanced: [{ torch: on }] });
+
+// Average luma of the current video frame, sampled on a tiny canvas
+export const measureLuminance = (video) => {
+  if (!video || !video.videoWidth) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 18;
+  const context = canvas.getContext('2d');
+  context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    total += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return total / (data.length / 4);
+};
+
+// Without a reading, auto stays off rather than guessing
+export const shouldFireFlash = (mode, luminance) => {
+  if (mode === 'on') return true;
+  if (mode === 'auto') return luminance != null && luminance < AUTO_FLASH_THRESHOLD;
+  return false;
+};
+
+// The software fill flash stands in when the torch didn't come on
+export const fillFlashAmount = (fire, torchOn) => (fire && !torchOn ? FILL_FLASH_AMOUNT : 0);
@@ -0,0 +1,77 @@
+import {
+  nextFlashMode,
+  hasTorch,
+  setTorch,
+  measureLuminance,
+  shouldFireFlash,
+  fillFlashAmount,
+  AUTO_FLASH_THRESHOLD,
+  FILL_FLASH_AMOUNT,
+} from './flash';
+
+// 32x18 sample canvas filled with one grey level
+const fakeCanvas = (grey) => ({
+  getContext: () => ({
+    drawImage: () => {},
+    getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4).fill(grey) }),
+  }),
+});
+
+describe('nextFlashMode', () => {
+  it('cycles off, on, auto', () => {
+    expect(nextFlashMode('off')).toBe('on');
+    expect(nextFlashMode('on')).toBe('auto');
+    expect(nextFlashMode('auto')).toBe('off');
+  });
+});
+
+describe('torch', () => {
+  it('is only used when the track reports one', () => {
+    expect(hasTorch(null)).toBe(false);
+    expect(hasTorch({})).toBe(false);
+    expect(hasTorch({ getCapabilities: () => ({}) })).toBe(false);
+    expect(hasTorch({ getCapabilities: () => ({ torch: true }) })).toBe(true);
+  });
+
+  it('switches through the advanced constraints', () => {
+    const track = { applyConstraints: jest.fn(async () => {}) };
+    setTorch(track, true);
+    expect(track.applyConstraints).toHaveBeenCalledWith({ advanced: [{ torch: true }] });
+  });
+});
+
+describe('measureLuminance', () => {
+  let createElement;
+  afterEach(() => createElement && createElement.mockRestore());
+
+  it('has no reading without a playing video', () => {
+    expect(measureLuminance(null)).toBeNull();
+    expect(measureLuminance({ videoWidth: 0 })).toBeNull();
+  });
+
+  it('averages the frame luma', () => {
+    createElement = jest.spyOn(document, 'createElement').mockImplementation(() => fakeCanvas(40));
+    expect(measureLuminance({ videoWidth: 1920 })).toBeCloseTo(40);
+  });
+});
+
+describe('shouldFireFlash', () => {
+  it('follows on and off', () => {
+    expect(shouldFireFlash('on', 255)).toBe(true);
+    expect(shouldFireFlash('off', 0)).toBe(false);
+  });
+
+  it('fires in auto only in a dark scene', () => {
+    expect(shouldFireFlash('auto', AUTO_FLASH_THRESHOLD - 1)).toBe(true);
+    expect(shouldFireFlash('auto', AUTO_FLASH_THRESHOLD)).toBe(false);
+    expect(shouldFireFlash('auto', null)).toBe(false);
+  });
+});
+
+describe('fillFlashAmount', () => {
+  it('fills in software only when the torch did not fire', () => {
+    expect(fillFlashAmount(true, false)).toBe(FILL_FLASH_AMOUNT);
+    expect(fillFlashAmount(true, true)).toBe(0);
+    expect(fillFlashAmount(false, false)).toBe(0);
+  });
+});
@@ -0,0 +1,99 @@
+import { cropRect } from '../capture/captureProfile';
+
+// Viewfinder aids: framing guides, the rule-of-thirds grid, a luminance
+// histogram, zebra stripes on clipped highlights and an electronic level.
+// Everything here works on plain numbers / pixel arrays; the hooks do the
+// sampling and the DOM.
+export const VIEWFINDER_OVERLAYS = [
+  { id: 'grid', label: 'GRID' },
+  { id: 'histogram', label: 'HIST' },
+  { id: 'zebra', label: 'ZEBRA' },
+  { id: 'level', label: 'LEVEL' },
+];
+
+export const DEFAULT_OVERLAYS = { grid: false, histogram: false, zebra: false, level: false };
+
+// Where the video and the capture crop go in the viewfinder, in px. The
+// crop is fitted inside the view (letterboxed where the shapes differ), so the
+// guide shows exactly what is saved. The software zoom scales the video about
+// its centre by the same factor it crops the capture, so the guide holds at
+// any zoom.
+export const viewfinderLayout = (view, video, aspectId) => {
+  if (!view || !video || !view.width || !video.width) return null;
+  const crop = cropRect(video.width, video.height, aspectId);
+  const scale = Math.min(view.width / crop.width, view.height / crop.height);
+  const guide = {
+    left: (view.width - crop.width * scale) / 2,
+    top: (view.height - crop.height * scale) / 2,
+    width: crop.width * scale,
+    height: crop.height * scale,
+  };
+  return {
+    guide,
+    video: {
+      left: guide.left - crop.x * scale,
+      top: guide.top - crop.y * scale,
+      width: video.width * scale,
+      height: video.height * scale,
+    },
+  };
+};
+
+// Pixels at or above this luma (after software gain) get zebra stripes
+export const ZEBRA_THRESHOLD = 245;
+
+export const HISTOGRAM_BINS = 32;
+
+const luma = (data, i, gain) => {
+  const [gr, gg, gb] = gain || [1, 1, 1];
+  return Math.min(255, 0.299 * data[i] * gr + 0.587 * data[i + 1] * gg + 0.114 * data[i + 2] * gb);
+};
+
+// Luminance histogram of RGBA pixels, normalised so the tallest bin is 1
+export const lumaHistogram = (data, { bins = HISTOGRAM_BINS, gain } = {}) => {
+  const counts = new Array(bins).fill(0);
+  for (let i = 0; i < data.length; i += 4) {
+    counts[Math.min(bins - 1, Math.floor((luma(data, i, gain) / 256) * bins))] += 1;
+  }
+  const peak = Math.max(...counts);
+  return peak > 0 ? counts.map(count => count / peak) : counts;
+};
+
+// SVG points for the histogram in a width x height box
+export const histogramPoints = (histogram, width, height) => {
+  const step = width / (histogram.length - 1);
+  return histogram.map((value, i) => `${(i * step).toFixed(1)},${(height - value * height).toFixed(1)}`).join(' ');
+};
+
+// Paints diagonal stripes over clipped pixels into an RGBA buffer of the same
+// size; phase moves the stripes between samples so they read as marching ants
+export const paintZebra = (source, target, width, { gain, phase = 0, threshold = ZEBRA_THRESHOLD } = {}) => {
+  for (let i = 0; i < source.length; i += 4) {
+    const pixel = i / 4;
+    const x = pixel % width;
+    const y = Math.floor(pixel / width);
+    const clipped = luma(source, i, gain) >= threshold;
+    const stripe = (x + y + phase) % 4 < 2;
+    target[i] = 255;
+    target[i + 1] = 255;
+    target[i + 2] = 255;
+    target[i + 3] = clipped && stripe ? 200 : 0;
+  }
+  return target;
+};
+
+// Horizon tilt in degrees from DeviceOrientationEvent beta / gamma, for a
+// device held upright in portrait: 0 is level, positive is rotated clockwise.
+// Null when the device is lying flat and there is no horizon to level.
+export const levelAngle = (beta, gamma) => {
+  if (beta == null || gamma == null) return null;
+  const rad = Math.PI / 180;
+  const x = Math.cos(beta * rad) * Math.sin(gamma * rad);
+  const y = Math.sin(beta * rad);
+  if (Math.hypot(x, y) < 0.2) return null;
+  return Math.atan2(x, y) / rad;
+};
+
+export const LEVEL_TOLERANCE = 1;
+
+export const isLevel = (angle) => angle != null && Math.abs(angle) <= LEVEL_TOLERANCE;
@@ -0,0 +1,57 @@
+import { viewfinderLayout, lumaHistogram, paintZebra, levelAngle, isLevel } from './viewfinder';
+
+const pixels = (...lumas) => new Uint8ClampedArray(lumas.flatMap(l => [l, l, l, 255]));
+
+describe('viewfinderLayout', () => {
+  it('fits the crop inside the view and places the video around it', () => {
+    // 1:1 of 1600x1200 is 1200x1200 at x=200; fitted into 240x300 at 0.2 scale
+    expect(viewfinderLayout({ width: 240, height: 300 }, { width: 1600, height: 1200 }, '1:1')).toEqual({
+      guide: { left: 0, top: 30, width: 240, height: 240 },
+      video: { left: -40, top: 30, width: 320, height: 240 },
+    });
+  });
+
+  it('letterboxes the full frame', () => {
+    const { guide, video } = viewfinderLayout({ width: 240, height: 300 }, { width: 1920, height: 1080 }, 'full');
+    expect(guide).toEqual(video);
+    expect(guide).toEqual({ left: 0, top: 82.5, width: 240, height: 135 });
+  });
+
+  it('needs both sizes', () => {
+    expect(viewfinderLayout(null, { width: 1, height: 1 }, 'full')).toBeNull();
+  });
+});
+
+describe('lumaHistogram', () => {
+  it('bins luma and normalises to the peak', () => {
+    const histogram = lumaHistogram(pixels(0, 0, 160, 255), { bins: 4 });
+    expect(histogram).toEqual([1, 0, 0.5, 0.5]);
+  });
+
+  it('applies the software gain', () => {
+    expect(lumaHistogram(pixels(100), { bins: 4, gain: [3, 3, 3] })).toEqual([0, 0, 0, 1]);
+  });
+});
+
+describe('paintZebra', () => {
+  it('stripes clipped pixels only', () => {
+    const source = pixels(255, 255, 10, 255);
+    const mask = paintZebra(source, new Uint8ClampedArray(source.length), 4);
+    expect([mask[3], mask[7], mask[11], mask[15]]).toEqual([200, 200, 0, 0]);
+  });
+});
+
+describe('levelAngle', () => {
+  it('is zero when upright and follows a sideways roll', () => {
+    expect(levelAngle(90, 0)).toBeCloseTo(0);
+    expect(levelAngle(90, 10)).toBeCloseTo(0);
+    expect(levelAngle(80, 30)).toBeGreaterThan(0);
+    expect(levelAngle(80, -30)).toBeLessThan(0);
+  });
+
+  it('gives up when the device lies flat', () => {
+    expect(levelAngle(0, 0)).toBeNull();
+    expect(isLevel(null)).toBe(false);
+    expect(isLevel(0.5)).toBe(true);
+  });
+});
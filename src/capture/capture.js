@@ -0,0 +1,119 @@
+// One press of the shutter, from the live video to an encoded frame, without
+// React: the component keeps the roll, the UI state and storage. Frames that
+// take more than one press (multiple exposure, half frame) are carried between
+// presses in `pending` ({ latent, half }), which the caller holds on to.
+import { processFrame, applyExposure } from '../film/pipeline';
+import { embedMetadataInBlob } from './exif';
+import { createLatentFrame, blendExposure } from './multiExposure';
+import { outputSize, isHalfFrame, copyCanvas, composeHalfFrames, encodeFrame, getFormat } from './captureProfile';
+
+export const NO_PENDING = { latent: null, half: null };
+
+// Draws the video onto the canvas, cropped to the profile's aspect (what the
+// viewfinder guide shows) and scaled to its resolution. Software zoom crops
+// the centre further when the track can't zoom.
+export const drawVideoFrame = (canvas, video, profile, zoom = 1) => {
+  const output = outputSize(video.videoWidth, video.videoHeight, profile);
+  canvas.width = output.width;
+  canvas.height = output.height;
+
+  const sw = output.crop.width / zoom;
+  const sh = output.crop.height / zoom;
+  canvas.getContext('2d').drawImage(video, (video.videoWidth - sw) / 2, (video.videoHeight - sh) / 2, sw, sh, 0, 0, canvas.width, canvas.height);
+  return output;
+};
+
+const replaceWith = (canvas, source) => {
+  canvas.width = source.width;
+  canvas.height = source.height;
+  canvas.getContext('2d').drawImage(source, 0, 0);
+};
+
+// Exposes one press onto canvas. Returns
+//   { status: 'exposed', stage: 'exposure' | 'half', pending } while the frame
+//     still waits for presses (another multiple exposure, or the second half)
+//   { status: 'developed', pending: NO_PENDING } with the finished frame on canvas
+export const exposeCapture = ({
+  canvas,
+  video,
+  profile,
+  stock,
+  zoom = 1,
+  gain,
+  fillFlash = 0,
+  multiExposure = { count: 1, blend: 'screen' },
+  pending = NO_PENDING,
+}) => {
+  drawVideoFrame(canvas, video, profile, zoom);
+  const context = canvas.getContext('2d');
+  const exposure = { gain, fillFlash };
+
+  if (multiExposure.count > 1 || pending.latent) {
+    // Multiple exposure: blend into the latent frame and develop it on the last press
+    applyExposure(context, canvas.width, canvas.height, exposure);
+    const latent = pending.latent || createLatentFrame(canvas.width, canvas.height);
+    blendExposure(latent, canvas, multiExposure.blend);
+
+    if (latent.exposures < multiExposure.count) {
+      return { status: 'exposed', stage: 'exposure', pending: { ...pending, latent } };
+    }
+
+    replaceWith(canvas, latent.canvas);
+    processFrame(context, canvas.width, canvas.height, stock);
+  } else {
+    // Film emulation: software exposure, curves, LUT, grain, vignette, halation, light leaks
+    processFrame(context, canvas.width, canvas.height, stock, exposure);
+  }
+
+  // Half frame: hold the first half, develop both as one frame on the second press
+  if (isHalfFrame(profile)) {
+    if (!pending.half) {
+      return { status: 'exposed', stage: 'half', pending: { latent: null, half: copyCanvas(canvas) } };
+    }
+    replaceWith(canvas, composeHalfFrames(pending.half, canvas));
+  }
+
+  return { status: 'developed', pending: NO_PENDING };
+};
+
+// Encodes the developed canvas in the profile's format and writes EXIF / XMP
+// (capture time, size, stock, roll, frame number and any imprint text) into
+// JPEGs. fallback is set when the browser couldn't encode the chosen format; a
+// metadata failure keeps the untagged image and is reported in metadataError.
+export const encodeCapture = async (canvas, profile, { date, stock, rollId, frameNumber, imprint }) => {
+  const encoded = await encodeFrame(canvas, profile);
+  if (!encoded) throw new Error('canvas produced no image');
+
+  const result = { blob: encoded, fallback: encoded.type !== getFormat(profile.format).mime, metadataError: null };
+  if (encoded.type !== 'image/jpeg') return result;
+
+  try {
+    result.blob = await embedMetadataInBlob(encoded, {
+      date,
+      width: canvas.width,
+      height: canvas.height,
+      stockId: stock.id,
+      stockName: stock.name,
+      iso: stock.iso,
+      rollId,
+      frameNumber,
+      imprint: imprint ? imprint.text : undefined,
+    });
+  } catch (err) {
+    result.metadataError = err;
+  }
+  return result;
+};
+
+// Frame record as stored in IndexedDB (see storage/rollStore.js). Imprinted
+// frames also keep the imprint and the clean image (negative).
+export const createFrameRecord = ({ blob, rollId, frameNumber, stock, capturedAt, imprint = null, negative = null }) => ({
+  id: capturedAt.getTime(),
+  rollId,
+  frameNumber,
+  blob,
+  stockId: stock.id,
+  date: capturedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+  createdAt: capturedAt.getTime(),
+  ...(imprint && { imprint, negative }),
+});
@@ -0,0 +1,142 @@
+import { drawVideoFrame, exposeCapture, encodeCapture, createFrameRecord, NO_PENDING } from './capture';
+import { DEFAULT_PROFILE } from './captureProfile';
+import { readMetadata } from './exif';
+
+// Smallest JPEG the metadata writer accepts: SOI, a fake scan, EOI
+const JPEG = Uint8Array.of(0xff, 0xd8, 0xff, 0xda, 0x00, 0x04, 0x01, 0x02, 0x11, 0x22, 0xff, 0xd9);
+
+// jsdom has no canvas; this one records what is drawn onto it and encodes
+// to a blob of the requested type when the "browser" supports it
+const fakeCanvas = (supported = ['image/jpeg', 'image/png']) => {
+  const canvas = { width: 0, height: 0, drawn: [] };
+  const context = {
+    canvas,
+    drawImage: jest.fn((source, ...args) => canvas.drawn.push({ source, args })),
+    getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4).fill(128) }),
+    putImageData: jest.fn(),
+    fillRect: jest.fn(),
+    save: () => {},
+    restore: () => {},
+    createLinearGradient: () => ({ addColorStop: () => {} }),
+  };
+  canvas.getContext = () => context;
+  canvas.toBlob = (callback, mime) => {
+    const type = supported.includes(mime) ? mime : 'image/png';
+    callback(new Blob([type === 'image/jpeg' ? JPEG : 'png'], { type }));
+  };
+  return canvas;
+};
+
+const video = { videoWidth: 40, videoHeight: 30 };
+const stock = { id: 'STD', name: 'Standard', iso: 200, process: { curves: { master: [[0, 0], [255, 255]] } } };
+
+const readBytes = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+let createElement;
+beforeEach(() => {
+  const create = document.createElement.bind(document);
+  createElement = jest.spyOn(document, 'createElement').mockImplementation(tag => (tag === 'canvas' ? fakeCanvas() : create(tag)));
+});
+afterEach(() => createElement.mockRestore());
+
+const press = (options) => exposeCapture({ canvas: fakeCanvas(), video, profile: DEFAULT_PROFILE, stock, ...options });
+
+describe('drawVideoFrame', () => {
+  it('draws the profile crop, further cropped by software zoom', () => {
+    const canvas = fakeCanvas();
+    drawVideoFrame(canvas, video, { ...DEFAULT_PROFILE, aspect: '1:1' }, 2);
+
+    expect([canvas.width, canvas.height]).toEqual([30, 30]);
+    expect(canvas.drawn[0]).toEqual({ source: video, args: [12.5, 7.5, 15, 15, 0, 0, 30, 30] });
+  });
+});
+
+describe('exposeCapture', () => {
+  it('develops a single exposure straight away', () => {
+    const canvas = fakeCanvas();
+    const result = exposeCapture({ canvas, video, profile: DEFAULT_PROFILE, stock });
+
+    expect(result).toEqual({ status: 'developed', pending: NO_PENDING });
+    expect(canvas.getContext('2d').putImageData).toHaveBeenCalled();
+  });
+
+  it('blends multiple exposures and develops on the last press', () => {
+    const multiExposure = { count: 2, blend: 'screen' };
+    const first = press({ multiExposure });
+    expect(first).toMatchObject({ status: 'exposed', stage: 'exposure' });
+    expect(first.pending.latent.exposures).toBe(1);
+
+    const canvas = fakeCanvas();
+    const second = exposeCapture({ canvas, video, profile: DEFAULT_PROFILE, stock, multiExposure, pending: first.pending });
+    expect(second.status).toBe('developed');
+    expect(canvas.drawn.map(draw => draw.source)).toContain(first.pending.latent.canvas);
+  });
+
+  it('pairs two half frames into one diptych', () => {
+    const profile = { ...DEFAULT_PROFILE, aspect: 'half' };
+    const first = press({ profile });
+    expect(first).toMatchObject({ status: 'exposed', stage: 'half', pending: { latent: null } });
+    expect([first.pending.half.width, first.pending.half.height]).toEqual([23, 30]);
+
+    const canvas = fakeCanvas();
+    const second = exposeCapture({ canvas, video, profile, stock, pending: first.pending });
+    expect(second.status).toBe('developed');
+    // Two 23px halves side by side; the gap rounds away at this size
+    expect([canvas.width, canvas.height]).toEqual([46, 30]);
+  });
+});
+
+describe('encodeCapture', () => {
+  const meta = { date: new Date(2026, 9, 19, 14, 5, 9), stock, rollId: 'roll-1', frameNumber: 3 };
+
+  it('tags JPEGs with the frame metadata', async () => {
+    const canvas = Object.assign(fakeCanvas(), { width: 40, height: 30 });
+    const { blob, fallback } = await encodeCapture(canvas, DEFAULT_PROFILE, meta);
+
+    expect(fallback).toBe(false);
+    const { exif, xmp } = readMetadata(await readBytes(blob));
+    expect(exif).toMatchObject({ PixelXDimension: 40, PixelYDimension: 30 });
+    expect(xmp).toMatchObject({ RollId: 'roll-1', FrameNumber: '3', FilmStockId: 'STD' });
+  });
+
+  it('flags formats the browser could not encode', async () => {
+    const { blob, fallback } = await encodeCapture(fakeCanvas(), { ...DEFAULT_PROFILE, format: 'webp' }, meta);
+    expect(blob.type).toBe('image/jpeg');
+    expect(fallback).toBe(true);
+  });
+
+  it('leaves PNGs untagged', async () => {
+    const { blob, metadataError } = await encodeCapture(fakeCanvas(), { ...DEFAULT_PROFILE, format: 'png' }, meta);
+    expect(blob.type).toBe('image/png');
+    expect(metadataError).toBeNull();
+  });
+});
+
+describe('createFrameRecord', () => {
+  it('keys the frame by capture time', () => {
+    const capturedAt = new Date(2026, 9, 19, 14, 5, 9);
+    const blob = new Blob([]);
+    expect(createFrameRecord({ blob, rollId: 'roll-1', frameNumber: 3, stock, capturedAt })).toMatchObject({
+      id: capturedAt.getTime(),
+      rollId: 'roll-1',
+      frameNumber: 3,
+      blob,
+      stockId: 'STD',
+      createdAt: capturedAt.getTime(),
+    });
+  });
+
+  it('keeps the negative only for imprinted frames', () => {
+    const capturedAt = new Date(2026, 9, 19, 14, 5, 9);
+    const negative = new Blob([]);
+    const imprint = { content: 'date', position: 'br', text: "'26 10 19" };
+    expect(createFrameRecord({ blob: new Blob([]), rollId: 'roll-1', frameNumber: 3, stock, capturedAt, imprint, negative }))
+      .toMatchObject({ imprint, negative });
+    expect(createFrameRecord({ blob: new Blob([]), rollId: 'roll-1', frameNumber: 3, stock, capturedAt, negative })).not.toHaveProperty('negative');
+  });
+});
@@ -0,0 +1,149 @@
+// Capture profile: what a press of the shutter saves. The aspect crop is
+// taken from the centre of the video (and is exactly what the viewfinder
+// guide shows), resolution caps the long edge of the saved image, and the
+// format / quality go to canvas.toBlob.
+//
+// Half frame is a diptych: each press exposes one half, cropped 3:4 across
+// the frame's orientation, and the second press develops both halves side by
+// side as one frame, the way a half-frame camera fits two shots on 35mm.
+
+// ratio is long side / short side; the crop follows the frame's orientation,
+// so 3:2 on a portrait stream is 2:3. Half frame turns it the other way.
+export const ASPECT_RATIOS = [
+  { id: 'full', label: 'FULL', ratio: null },
+  { id: '3:2', label: '3:2', ratio: 3 / 2 },
+  { id: '1:1', label: '1:1', ratio: 1 },
+  { id: '6x7', label: '6×7', ratio: 7 / 6 },
+  { id: 'half', label: 'HALF', ratio: 4 / 3, halfFrame: true },
+];
+
+// maxEdge caps the long edge of the saved image; null keeps the camera's resolution
+export const RESOLUTIONS = [
+  { id: 'max', label: 'MAX', maxEdge: null },
+  { id: '2048', label: '2048', maxEdge: 2048 },
+  { id: '1280', label: '1280', maxEdge: 1280 },
+  { id: '640', label: '640', maxEdge: 640 },
+];
+
+export const OUTPUT_FORMATS = [
+  { id: 'jpeg', label: 'JPG', mime: 'image/jpeg', extension: 'jpg', lossy: true },
+  { id: 'webp', label: 'WEBP', mime: 'image/webp', extension: 'webp', lossy: true },
+  { id: 'png', label: 'PNG', mime: 'image/png', extension: 'png', lossy: false },
+];
+
+export const QUALITIES = [0.92, 0.8, 0.6];
+
+export const DEFAULT_PROFILE = { aspect: 'full', resolution: 'max', format: 'jpeg', quality: 0.92 };
+
+// Black gap between the two halves, as a fraction of the short edge
+export const HALF_FRAME_GAP = 0.02;
+
+export const getAspect = (id) => ASPECT_RATIOS.find(a => a.id === id) || ASPECT_RATIOS[0];
+export const getResolution = (id) => RESOLUTIONS.find(r => r.id === id) || RESOLUTIONS[0];
+export const getFormat = (id) => OUTPUT_FORMATS.find(f => f.id === id) || OUTPUT_FORMATS[0];
+export const getFormatByMime = (mime) => OUTPUT_FORMATS.find(f => f.mime === mime) || OUTPUT_FORMATS[0];
+
+export const isHalfFrame = (profile) => !!getAspect(profile.aspect).halfFrame;
+
+const OPTIONS = {
+  aspect: ASPECT_RATIOS.map(a => a.id),
+  resolution: RESOLUTIONS.map(r => r.id),
+  format: OUTPUT_FORMATS.map(f => f.id),
+  quality: QUALITIES,
+};
+
+// Profile with the next option for one setting
+export const cycleProfile = (profile, key) => {
+  const options = OPTIONS[key];
+  return { ...profile, [key]: options[(options.indexOf(profile[key]) + 1) % options.length] };
+};
+
+// Short label for the profile chip, e.g. '1:1 2048 WEBP 80'
+export const formatProfile = (profile) => {
+  const format = getFormat(profile.format);
+  return [
+    profile.aspect !== 'full' && getAspect(profile.aspect).label,
+    profile.resolution !== 'max' && getResolution(profile.resolution).label,
+    format.label,
+    format.lossy && Math.round(profile.quality * 100),
+  ].filter(Boolean).join(' ');
+};
+
+// Largest centred rectangle of the aspect inside a width x height frame
+export const cropRect = (width, height, aspectId) => {
+  const { ratio, halfFrame } = getAspect(aspectId);
+  if (!ratio) return { x: 0, y: 0, width, height };
+
+  const landscape = width >= height;
+  const target = landscape !== !!halfFrame ? ratio : 1 / ratio;
+  let w = width;
+  let h = Math.round(width / target);
+  if (h > height) {
+    h = height;
+    w = Math.round(height * target);
+  }
+  return { x: Math.round((width - w) / 2), y: Math.round((height - h) / 2), width: w, height: h };
+};
+
+// Source crop in the video and the canvas size one exposure is drawn at. For
+// half frame the cap applies to the finished diptych, two short edges wide.
+export const outputSize = (videoWidth, videoHeight, profile) => {
+  const crop = cropRect(videoWidth, videoHeight, profile.aspect);
+  const { maxEdge } = getResolution(profile.resolution);
+  const longEdge = isHalfFrame(profile) ? 2 * Math.min(crop.width, crop.height) : Math.max(crop.width, crop.height);
+  const scale = maxEdge ? Math.min(1, maxEdge / longEdge) : 1;
+  return {
+    crop,
+    width: Math.max(1, Math.round(crop.width * scale)),
+    height: Math.max(1, Math.round(crop.height * scale)),
+  };
+};
+
+// Where the two halves go: portrait halves side by side, landscape halves stacked
+export const halfFrameLayout = (width, height) => {
+  const gap = Math.round(Math.min(width, height) * HALF_FRAME_GAP);
+  return width <= height
+    ? { width: width * 2 + gap, height, second: { x: width + gap, y: 0 } }
+    : { width, height: height * 2 + gap, second: { x: 0, y: height + gap } };
+};
+
+// Copy of a canvas, for holding the first half until the second is exposed
+export const copyCanvas = (source) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  canvas.getContext('2d').drawImage(source, 0, 0);
+  return canvas;
+};
+
+// Both halves on a new canvas with the gap between them
+export const composeHalfFrames = (first, second) => {
+  const layout = halfFrameLayout(first.width, first.height);
+  const target = document.createElement('canvas');
+  target.width = layout.width;
+  target.height = layout.height;
+  const context = target.getContext('2d');
+  context.fillStyle = '#000';
+  context.fillRect(0, 0, layout.width, layout.height);
+  context.drawImage(first, 0, 0);
+  context.drawImage(second, layout.second.x, layout.second.y, first.width, first.height);
+  return target;
+};
+
+const toBlob = (canvas, mime, quality) => new Promise(resolve => canvas.toBlob(resolve, mime, quality));
+
+// Browsers without an encoder for a format (e.g. WebP on Safari) silently
+// return PNG; fall back to JPEG so the saved format is still a deliberate one
+export const encodeFrame = async (canvas, profile) => {
+  const format = getFormat(profile.format);
+  const quality = format.lossy ? profile.quality : undefined;
+  const blob = await toBlob(canvas, format.mime, quality);
+  if (!blob || blob.type === format.mime || format.id === 'jpeg') return blob;
+  return toBlob(canvas, 'image/jpeg', profile.quality);
+};
+
+// File extension for a saved frame's MIME type (frames from before profiles are JPEG)
+export const extensionFor = (mime) => {
+  const format = OUTPUT_FORMATS.find(f => f.mime === mime);
+  return format ? format.extension : 'jpg';
+};
@@ -0,0 +1,94 @@
+import {
+  DEFAULT_PROFILE,
+  cropRect,
+  outputSize,
+  halfFrameLayout,
+  cycleProfile,
+  formatProfile,
+  encodeFrame,
+  extensionFor,
+} from './captureProfile';
+
+// Canvas stand-in whose toBlob only knows the given MIME types (others come back as PNG)
+const fakeCanvas = (supported) => ({
+  toBlob: jest.fn((callback, mime) => {
+    callback(new Blob([], { type: supported.includes(mime) ? mime : 'image/png' }));
+  }),
+});
+
+describe('cropRect', () => {
+  it('keeps the whole frame for full', () => {
+    expect(cropRect(1920, 1080, 'full')).toEqual({ x: 0, y: 0, width: 1920, height: 1080 });
+  });
+
+  it('crops a centred rectangle in the frame orientation', () => {
+    expect(cropRect(1920, 1080, '3:2')).toEqual({ x: 150, y: 0, width: 1620, height: 1080 });
+    expect(cropRect(1080, 1920, '3:2')).toEqual({ x: 0, y: 150, width: 1080, height: 1620 });
+    expect(cropRect(1920, 1080, '1:1')).toEqual({ x: 420, y: 0, width: 1080, height: 1080 });
+    expect(cropRect(1200, 1600, '6x7')).toEqual({ x: 0, y: 100, width: 1200, height: 1400 });
+  });
+
+  it('turns half frames across the frame', () => {
+    expect(cropRect(1920, 1080, 'half')).toEqual({ x: 555, y: 0, width: 810, height: 1080 });
+    expect(cropRect(1080, 1920, 'half')).toEqual({ x: 0, y: 555, width: 1080, height: 810 });
+  });
+});
+
+describe('outputSize', () => {
+  it('keeps the crop at full resolution', () => {
+    expect(outputSize(1920, 1080, { ...DEFAULT_PROFILE, aspect: '1:1' })).toEqual({
+      crop: { x: 420, y: 0, width: 1080, height: 1080 },
+      width: 1080,
+      height: 1080,
+    });
+  });
+
+  it('caps the long edge without upscaling', () => {
+    expect(outputSize(1920, 1080, { ...DEFAULT_PROFILE, resolution: '1280' })).toMatchObject({ width: 1280, height: 720 });
+    expect(outputSize(640, 480, { ...DEFAULT_PROFILE, resolution: '1280' })).toMatchObject({ width: 640, height: 480 });
+  });
+
+  it('caps the finished diptych for half frame', () => {
+    // Each half is 810x1080; two side by side are 1620 wide, scaled to 640
+    expect(outputSize(1920, 1080, { ...DEFAULT_PROFILE, aspect: 'half', resolution: '640' })).toMatchObject({ width: 320, height: 427 });
+  });
+});
+
+describe('halfFrameLayout', () => {
+  it('puts portrait halves side by side and landscape halves on top of each other', () => {
+    expect(halfFrameLayout(300, 400)).toEqual({ width: 606, height: 400, second: { x: 306, y: 0 } });
+    expect(halfFrameLayout(400, 300)).toEqual({ width: 400, height: 606, second: { x: 0, y: 306 } });
+  });
+});
+
+describe('profile options', () => {
+  it('cycles one setting at a time', () => {
+    expect(cycleProfile(DEFAULT_PROFILE, 'format')).toEqual({ ...DEFAULT_PROFILE, format: 'webp' });
+    expect(cycleProfile({ ...DEFAULT_PROFILE, quality: 0.6 }, 'quality').quality).toBe(0.92);
+  });
+
+  it('summarises the profile', () => {
+    expect(formatProfile(DEFAULT_PROFILE)).toBe('JPG 92');
+    expect(formatProfile({ aspect: 'half', resolution: '2048', format: 'png', quality: 0.8 })).toBe('HALF 2048 PNG');
+  });
+});
+
+describe('encodeFrame', () => {
+  it('encodes lossy formats at the chosen quality', async () => {
+    const canvas = fakeCanvas(['image/jpeg', 'image/webp', 'image/png']);
+    const blob = await encodeFrame(canvas, { ...DEFAULT_PROFILE, format: 'webp', quality: 0.8 });
+    expect(blob.type).toBe('image/webp');
+    expect(canvas.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/webp', 0.8);
+  });
+
+  it('falls back to JPEG when the browser has no encoder', async () => {
+    const canvas = fakeCanvas(['image/jpeg', 'image/png']);
+    const blob = await encodeFrame(canvas, { ...DEFAULT_PROFILE, format: 'webp' });
+    expect(blob.type).toBe('image/jpeg');
+  });
+
+  it('names files after the saved format', () => {
+    expect(extensionFor('image/png')).toBe('png');
+    expect(extensionFor(undefined)).toBe('jpg');
+  });
+});
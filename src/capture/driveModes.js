@@ -0,0 +1,126 @@
+// Drive modes: how one shutter press turns into exposures.
+//
+//   single    one frame
+//   timer     countdown, then one frame
+//   burst     up to `frames` frames at a fixed rate
+//   interval  a frame every `intervalMs` until cancelled or the roll runs out
+//   booth     a countdown before each of `frames` frames (see photoBooth.js);
+//             the frames make one print, so it needs a single shot left
+//
+// runDriveMode only sequences; shoot() does the exposure and shotsLeft() reads
+// the live roll so a sequence never runs past the end of the film. shoot()
+// resolves to whether it exposed anything: a press can use no film yet (the
+// first exposure of a multiple exposure, the first half of a half frame).
+export const DRIVE_MODES = [
+  { id: 'single', label: 'S', type: 'single' },
+  { id: 'timer2', label: '2S', type: 'timer', seconds: 2 },
+  { id: 'timer10', label: '10S', type: 'timer', seconds: 10 },
+  { id: 'burst', label: 'BURST', type: 'burst', frames: 5, intervalMs: 333 },
+  { id: 'interval', label: 'INTVL', type: 'interval', intervalMs: 10000 },
+  { id: 'booth', label: 'BOOTH', type: 'booth', frames: 4, seconds: 3 },
+];
+
+export const getDriveMode = (id) => DRIVE_MODES.find(mode => mode.id === id) || DRIVE_MODES[0];
+
+export const nextDriveMode = (id) =>
+  DRIVE_MODES[(DRIVE_MODES.findIndex(mode => mode.id === id) + 1) % DRIVE_MODES.length].id;
+
+// Returns { cancel }. onTick receives progress for the HUD:
+//   { countdown }            timer seconds remaining
+//   { shot, of }             burst / booth frame in progress
+//   { countdown, shot, of }  booth countdown to that frame
+//   { shot, next }           interval frames taken, seconds to the next one
+// onDone({ shots, cancelled, error }) is called exactly once.
+export const runDriveMode = (mode, { shoot, shotsLeft, onTick = () => {}, onDone = () => {} }) => {
+  const timers = new Set();
+  let cancelled = false;
+  let finished = false;
+  let shots = 0;
+
+  const wait = (ms) => new Promise(resolve => {
+    const id = setTimeout(() => {
+      timers.delete(id);
+      resolve();
+    }, ms);
+    timers.add(id);
+  });
+
+  const finish = (result) => {
+    if (finished) return;
+    finished = true;
+    onDone({ shots, cancelled: false, ...result });
+  };
+
+  const exposeOne = async () => {
+    const exposed = await shoot();
+    shots += 1;
+    return exposed !== false;
+  };
+
+  const run = async () => {
+    switch (mode.type) {
+      case 'timer':
+        for (let remaining = mode.seconds; remaining > 0; remaining--) {
+          onTick({ countdown: remaining });
+          await wait(1000);
+          if (cancelled) return;
+        }
+        await exposeOne();
+        break;
+
+      case 'burst': {
+        const frames = Math.min(mode.frames, shotsLeft());
+        for (let i = 0; i < frames && !cancelled; i++) {
+          const started = Date.now();
+          onTick({ shot: i + 1, of: frames });
+          await exposeOne();
+          if (i < frames - 1) await wait(Math.max(0, mode.intervalMs - (Date.now() - started)));
+        }
+        break;
+      }
+
+      case 'interval':
+        while (!cancelled && shotsLeft() > 0) {
+          onTick({ shot: shots + 1, next: 0 });
+          // A failed capture (no video, failed encode) would repeat forever
+          const exposed = await exposeOne();
+          if (!exposed || shotsLeft() <= 0) break;
+          for (let remaining = Math.round(mode.intervalMs / 1000); remaining > 0 && !cancelled; remaining--) {
+            onTick({ shot: shots, next: remaining });
+            await wait(1000);
+          }
+        }
+        break;
+
+      case 'booth':
+        if (shotsLeft() <= 0) break;
+        for (let i = 0; i < mode.frames; i++) {
+          for (let remaining = mode.seconds; remaining > 0; remaining--) {
+            onTick({ countdown: remaining, shot: i + 1, of: mode.frames });
+            await wait(1000);
+            if (cancelled) return;
+          }
+          onTick({ shot: i + 1, of: mode.frames });
+          await exposeOne();
+          if (cancelled) return;
+        }
+        break;
+
+      default:
+        if (shotsLeft() > 0) await exposeOne();
+    }
+
+    if (!cancelled) finish();
+  };
+
+  run().catch(error => finish({ error }));
+
+  return {
+    cancel: () => {
+      cancelled = true;
+      timers.forEach(clearTimeout);
+      timers.clear();
+      finish({ cancelled: true });
+    },
+  };
+};
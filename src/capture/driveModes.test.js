@@ -0,0 +1,147 @@
+import { getDriveMode, nextDriveMode, runDriveMode } from './driveModes';
+
+// A roll with `left` shots; each shoot() exposes and uses one unless told otherwise
+const setup = (mode, left, { usesFilm = () => true, exposes = () => true } = {}) => {
+  const roll = { left };
+  const onDone = jest.fn();
+  const onTick = jest.fn();
+  const shoot = jest.fn(async () => {
+    if (!exposes()) return false;
+    if (usesFilm()) roll.left -= 1;
+    return true;
+  });
+  const drive = runDriveMode(getDriveMode(mode), { shoot, shotsLeft: () => roll.left, onTick, onDone });
+  return { roll, shoot, onTick, onDone, drive };
+};
+
+const flush = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+const advance = async (ms) => {
+  jest.advanceTimersByTime(ms);
+  await flush();
+};
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+describe('nextDriveMode', () => {
+  it('cycles through the modes', () => {
+    expect(nextDriveMode('single')).toBe('timer2');
+    expect(nextDriveMode('booth')).toBe('single');
+  });
+});
+
+describe('runDriveMode', () => {
+  it('counts down before a timer shot', async () => {
+    const { shoot, onTick, onDone } = setup('timer2', 24);
+    expect(onTick).toHaveBeenLastCalledWith({ countdown: 2 });
+    await advance(1000);
+    expect(onTick).toHaveBeenLastCalledWith({ countdown: 1 });
+    expect(shoot).not.toHaveBeenCalled();
+
+    await advance(1000);
+    expect(shoot).toHaveBeenCalledTimes(1);
+    expect(onDone).toHaveBeenCalledWith({ shots: 1, cancelled: false });
+  });
+
+  it('shoots nothing when a timer is cancelled', async () => {
+    const { shoot, onDone, drive } = setup('timer10', 24);
+    await advance(3000);
+    drive.cancel();
+    await advance(10000);
+    expect(shoot).not.toHaveBeenCalled();
+    expect(onDone).toHaveBeenCalledTimes(1);
+    expect(onDone).toHaveBeenCalledWith({ shots: 0, cancelled: true });
+  });
+
+  it('fires a burst of frames', async () => {
+    const { shoot, onDone } = setup('burst', 24);
+    await flush();
+    for (let i = 0; i < 4; i++) await advance(333);
+    expect(shoot).toHaveBeenCalledTimes(5);
+    expect(onDone).toHaveBeenCalledWith({ shots: 5, cancelled: false });
+  });
+
+  it('cuts a burst short at the end of the roll', async () => {
+    const { shoot, onTick, onDone } = setup('burst', 2);
+    await flush();
+    await advance(333);
+    expect(shoot).toHaveBeenCalledTimes(2);
+    expect(onTick).toHaveBeenLastCalledWith({ shot: 2, of: 2 });
+    expect(onDone).toHaveBeenCalledWith({ shots: 2, cancelled: false });
+  });
+
+  it('stops a burst when cancelled', async () => {
+    const { shoot, onDone, drive } = setup('burst', 24);
+    await flush();
+    await advance(333);
+    drive.cancel();
+    await advance(2000);
+    expect(shoot).toHaveBeenCalledTimes(2);
+    expect(onDone).toHaveBeenCalledWith({ shots: 2, cancelled: true });
+  });
+
+  it('shoots at each interval until the roll runs out', async () => {
+    const { shoot, onTick, onDone } = setup('interval', 2);
+    await flush();
+    expect(shoot).toHaveBeenCalledTimes(1);
+    await advance(1000);
+    expect(onTick).toHaveBeenLastCalledWith({ shot: 1, next: 9 });
+
+    for (let i = 0; i < 9; i++) await advance(1000);
+    expect(shoot).toHaveBeenCalledTimes(2);
+    expect(onDone).toHaveBeenCalledWith({ shots: 2, cancelled: false });
+  });
+
+  it('runs an interval until cancelled', async () => {
+    const { shoot, onDone, drive } = setup('interval', 24);
+    for (let i = 0; i < 25; i++) await advance(1000);
+    drive.cancel();
+    await advance(60000);
+    expect(shoot).toHaveBeenCalledTimes(3);
+    expect(onDone).toHaveBeenCalledWith({ shots: 3, cancelled: true });
+  });
+
+  it('stops an interval when a capture fails', async () => {
+    let exposes = true;
+    const { shoot, onDone } = setup('interval', 24, { exposes: () => exposes });
+    await flush();
+    exposes = false;
+    for (let i = 0; i < 10; i++) await advance(1000);
+    expect(shoot).toHaveBeenCalledTimes(2);
+    expect(onDone).toHaveBeenCalledWith({ shots: 2, cancelled: false });
+
+    await advance(60000);
+    expect(shoot).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps an interval going through presses that use no film yet', async () => {
+    // A double exposure: every other press finishes the frame
+    let press = 0;
+    const { shoot, onDone, drive } = setup('interval', 24, { usesFilm: () => press++ % 2 === 1 });
+    for (let i = 0; i < 31; i++) await advance(1000);
+    expect(shoot).toHaveBeenCalledTimes(4);
+    drive.cancel();
+    expect(onDone).toHaveBeenCalledWith({ shots: 4, cancelled: true });
+  });
+
+  it('does not start on an empty roll', async () => {
+    for (const mode of ['single', 'burst', 'interval', 'booth']) {
+      const { shoot, onDone } = setup(mode, 0);
+      await flush();
+      expect(shoot).not.toHaveBeenCalled();
+      expect(onDone).toHaveBeenCalledWith({ shots: 0, cancelled: false });
+    }
+  });
+
+  it('reports a failed shot once', async () => {
+    const onDone = jest.fn();
+    const error = new Error('no video');
+    runDriveMode(getDriveMode('single'), { shoot: async () => { throw error; }, shotsLeft: () => 24, onDone });
+    await flush();
+    expect(onDone).toHaveBeenCalledTimes(1);
+    expect(onDone).toHaveBeenCalledWith({ shots: 0, cancelled: false, error });
+  });
+});
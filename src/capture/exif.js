@@ -0,0 +1,310 @@
+// EXIF and XMP metadata for captured JPEGs.
+// canvas.toBlob() writes bare JPEGs, so we splice in our own APP1 segments:
+// EXIF (capture time, Make/Model, orientation, size, a UserComment summary)
+// and XMP carrying the film stock, roll id and frame number.
+// readMetadata() parses both back out; only the tests use it.
+
+const SOI = 0xd8;
+const APP0 = 0xe0;
+const APP1 = 0xe1;
+const SOS = 0xda;
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const XMP_NS = 'https://github.com/conyerbd/r1-analog/ns/1.0/';
+
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const UNDEFINED = 7;
+const TYPE_SIZE = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [UNDEFINED]: 1 };
+
+const TAGS = {
+  0x0100: 'ImageWidth',
+  0x0101: 'ImageLength',
+  0x010f: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x0131: 'Software',
+  0x0132: 'DateTime',
+  0x8769: 'ExifIFDPointer',
+  0x9000: 'ExifVersion',
+  0x9003: 'DateTimeOriginal',
+  0x9011: 'OffsetTimeOriginal',
+  0x9286: 'UserComment',
+  0xa002: 'PixelXDimension',
+  0xa003: 'PixelYDimension',
+};
+
+// UTF-8 without TextEncoder, which jsdom doesn't provide
+const utf8Encode = (str) => Array.from(unescape(encodeURIComponent(str)), c => c.charCodeAt(0));
+const utf8Decode = (bytes) => decodeURIComponent(escape(String.fromCharCode(...bytes)));
+const asciiBytes = (str) => Array.from(str, c => (c.charCodeAt(0) < 128 ? c.charCodeAt(0) : 63));
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// EXIF dates are local time "YYYY:MM:DD HH:MM:SS"; the zone goes in OffsetTime*
+export const formatExifDate = (date) =>
+  `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+  `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+export const formatExifOffset = (date) => {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  return `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+const u16 = (n) => [(n >> 8) & 0xff, n & 0xff];
+const u32 = (n) => [(n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+
+const asciiEntry = (tag, str) => ({ tag, type: ASCII, bytes: [...asciiBytes(str), 0] });
+const shortEntry = (tag, n) => ({ tag, type: SHORT, bytes: u16(n) });
+const longEntry = (tag, n) => ({ tag, type: LONG, bytes: u32(n) });
+const undefinedEntry = (tag, bytes) => ({ tag, type: UNDEFINED, bytes });
+
+// Bytes an IFD takes including the out-of-line values that follow it
+const ifdLength = (entries) => entries.reduce(
+  (total, entry) => total + (entry.bytes.length > 4 ? entry.bytes.length + (entry.bytes.length % 2) : 0),
+  2 + entries.length * 12 + 4
+);
+
+// Big-endian IFD at `offset` (relative to the TIFF header), values > 4 bytes after it
+const writeIfd = (entries, offset) => {
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  const head = [...u16(sorted.length)];
+  const data = [];
+  let dataOffset = offset + 2 + sorted.length * 12 + 4;
+
+  sorted.forEach(({ tag, type, bytes }) => {
+    head.push(...u16(tag), ...u16(type), ...u32(bytes.length / TYPE_SIZE[type]));
+    if (bytes.length <= 4) {
+      head.push(...bytes, ...new Array(4 - bytes.length).fill(0));
+    } else {
+      head.push(...u32(dataOffset));
+      data.push(...bytes);
+      if (bytes.length % 2) data.push(0);
+      dataOffset += bytes.length + (bytes.length % 2);
+    }
+  });
+
+  head.push(...u32(0));
+  return [...head, ...data];
+};
+
+const segment = (marker, payload) => [0xff, marker, ...u16(payload.length + 2), ...payload];
+
+export const formatUserComment = ({ stockName, rollId, frameNumber }) =>
+  [
+    stockName && `Film: ${stockName}`,
+    rollId && `Roll: ${rollId}`,
+    frameNumber != null && `Frame: ${frameNumber}`,
+  ].filter(Boolean).join('; ');
+
+export const buildExifSegment = (meta) => {
+  const date = meta.date || new Date();
+  const stamp = formatExifDate(date);
+
+  const exifEntries = [
+    undefinedEntry(0x9000, asciiBytes('0232')),
+    asciiEntry(0x9003, stamp),
+    asciiEntry(0x9011, formatExifOffset(date)),
+    undefinedEntry(0x9286, [...asciiBytes('ASCII\0\0\0'), ...asciiBytes(formatUserComment(meta))]),
+    longEntry(0xa002, meta.width),
+    longEntry(0xa003, meta.height),
+  ];
+
+  const ifd0Entries = [
+    longEntry(0x0100, meta.width),
+    longEntry(0x0101, meta.height),
+    asciiEntry(0x010f, meta.make || 'Rabbit'),
+    asciiEntry(0x0110, meta.model || 'Rabbit R1'),
+    shortEntry(0x0112, meta.orientation || 1),
+    asciiEntry(0x0131, meta.software || 'r1-analog'),
+    asciiEntry(0x0132, stamp),
+    longEntry(0x8769, 0),
+  ];
+
+  // IFD0 starts right after the 8-byte TIFF header, the Exif IFD after IFD0
+  const exifOffset = 8 + ifdLength(ifd0Entries);
+  ifd0Entries[ifd0Entries.length - 1] = longEntry(0x8769, exifOffset);
+
+  const tiff = [
+    0x4d, 0x4d, ...u16(42), ...u32(8),
+    ...writeIfd(ifd0Entries, 8),
+    ...writeIfd(exifEntries, exifOffset),
+  ];
+
+  return Uint8Array.from(segment(APP1, [...asciiBytes(EXIF_HEADER), ...tiff]));
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const buildXmpPacket = (meta) => {
+  const date = meta.date || new Date();
+  const fields = {
+    FilmStock: meta.stockName,
+    FilmStockId: meta.stockId,
+    ISO: meta.iso,
+    RollId: meta.rollId,
+    FrameNumber: meta.frameNumber,
+    Imprint: meta.imprint,
+  };
+
+  const body = Object.entries(fields)
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => `   <r1analog:${key}>${escapeXml(value)}</r1analog:${key}>`)
+    .join('\n');
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `  <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:r1analog="${XMP_NS}">`,
+    `   <xmp:CreateDate>${date.toISOString()}</xmp:CreateDate>`,
+    body,
+    '  </rdf:Description>',
+    ' </rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>',
+  ].join('\n');
+};
+
+export const buildXmpSegment = (meta) =>
+  Uint8Array.from(segment(APP1, [...asciiBytes(XMP_HEADER), ...utf8Encode(buildXmpPacket(meta))]));
+
+const startsWith = (bytes, offset, str) =>
+  Array.from(str).every((c, i) => bytes[offset + i] === c.charCodeAt(0));
+
+// Walk the marker segments before the image data: [{ marker, start, end }]
+const listSegments = (bytes) => {
+  if (bytes[0] !== 0xff || bytes[1] !== SOI) {
+    throw new Error('Not a JPEG');
+  }
+
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === SOS) break;
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    segments.push({ marker, start: offset, end: offset + 2 + length });
+    offset += 2 + length;
+  }
+  return segments;
+};
+
+// Replace JFIF / existing EXIF / XMP segments with ours, directly after SOI
+export const embedMetadata = (jpeg, meta) => {
+  const bytes = jpeg instanceof Uint8Array ? jpeg : new Uint8Array(jpeg);
+  const dropped = listSegments(bytes).filter(({ marker, start }) =>
+    marker === APP0 ||
+    (marker === APP1 && (startsWith(bytes, start + 4, EXIF_HEADER) || startsWith(bytes, start + 4, XMP_HEADER)))
+  );
+
+  const exif = buildExifSegment(meta);
+  const xmp = buildXmpSegment(meta);
+  const kept = [];
+  let cursor = 2;
+  dropped.forEach(({ start, end }) => {
+    kept.push(bytes.subarray(cursor, start));
+    cursor = end;
+  });
+  kept.push(bytes.subarray(cursor));
+
+  const total = 2 + exif.length + xmp.length + kept.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  out.set([0xff, SOI], 0);
+  out.set(exif, 2);
+  out.set(xmp, 2 + exif.length);
+  let offset = 2 + exif.length + xmp.length;
+  kept.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+};
+
+const readBlob = (blob) => (blob.arrayBuffer
+  ? blob.arrayBuffer()
+  : new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  }));
+
+export const embedMetadataInBlob = async (blob, meta) => {
+  const bytes = new Uint8Array(await readBlob(blob));
+  return new Blob([embedMetadata(bytes, meta)], { type: 'image/jpeg' });
+};
+
+const parseTiff = (bytes, base) => {
+  const little = bytes[base] === 0x49;
+  const read16 = (o) => (little ? bytes[base + o] | (bytes[base + o + 1] << 8) : (bytes[base + o] << 8) | bytes[base + o + 1]);
+  const read32 = (o) => (little
+    ? (bytes[base + o] | (bytes[base + o + 1] << 8) | (bytes[base + o + 2] << 16) | (bytes[base + o + 3] << 24)) >>> 0
+    : ((bytes[base + o] << 24) | (bytes[base + o + 1] << 16) | (bytes[base + o + 2] << 8) | bytes[base + o + 3]) >>> 0);
+
+  const tags = {};
+  const readIfd = (offset) => {
+    const count = read16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = read16(entry);
+      const type = read16(entry + 2);
+      const n = read32(entry + 4);
+      const size = n * (TYPE_SIZE[type] || 1);
+      const valueOffset = size > 4 ? read32(entry + 8) : entry + 8;
+      const name = TAGS[tag] || `0x${tag.toString(16)}`;
+
+      if (type === SHORT) {
+        tags[name] = read16(valueOffset);
+      } else if (type === LONG) {
+        tags[name] = read32(valueOffset);
+      } else {
+        const raw = bytes.subarray(base + valueOffset, base + valueOffset + size);
+        const text = String.fromCharCode(...raw);
+        tags[name] = type === ASCII ? text.replace(/\0+$/, '') : text;
+      }
+    }
+  };
+
+  readIfd(read32(4));
+  if (tags.ExifIFDPointer) readIfd(tags.ExifIFDPointer);
+  if (tags.UserComment) tags.UserComment = tags.UserComment.replace(/^ASCII\0\0\0/, '');
+  return tags;
+};
+
+const parseXmp = (packet) => {
+  const fields = {};
+  const pattern = /<r1analog:(\w+)>([^<]*)<\/r1analog:\1>/g;
+  let match;
+  while ((match = pattern.exec(packet)) !== null) {
+    fields[match[1]] = match[2]
+      .replace(/&quot;/g, '"')
+      .replace(/&gt;/g, '>')
+      .replace(/&lt;/g, '<')
+      .replace(/&amp;/g, '&');
+  }
+  return fields;
+};
+
+export const readMetadata = (jpeg) => {
+  const bytes = jpeg instanceof Uint8Array ? jpeg : new Uint8Array(jpeg);
+  const result = { exif: null, xmp: null };
+
+  listSegments(bytes).forEach(({ marker, start, end }) => {
+    if (marker !== APP1) return;
+    if (startsWith(bytes, start + 4, EXIF_HEADER)) {
+      result.exif = parseTiff(bytes, start + 4 + EXIF_HEADER.length);
+    } else if (startsWith(bytes, start + 4, XMP_HEADER)) {
+      result.xmp = parseXmp(utf8Decode(bytes.subarray(start + 4 + XMP_HEADER.length, end)));
+    }
+  });
+
+  return result;
+};
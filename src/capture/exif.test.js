@@ -0,0 +1,106 @@
+import {
+  embedMetadata,
+  embedMetadataInBlob,
+  readMetadata,
+  formatExifDate,
+  formatUserComment,
+} from './exif';
+
+// Structurally valid JPEG: SOI, JFIF APP0, a fake SOS with scan data, EOI
+const JFIF = [0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00];
+const SCAN = [0xff, 0xda, 0x00, 0x04, 0x01, 0x02, 0x11, 0x22, 0x33, 0xff, 0xd9];
+const makeJpeg = (...segments) => Uint8Array.from([0xff, 0xd8, ...segments.flat(), ...SCAN]);
+
+const meta = {
+  date: new Date(2026, 9, 19, 14, 5, 9),
+  width: 1920,
+  height: 1080,
+  stockId: 'PORTRA',
+  stockName: 'Portra 400',
+  iso: 400,
+  rollId: 'roll-1760875509000',
+  frameNumber: 7,
+};
+
+describe('embedMetadata', () => {
+  it('round-trips the EXIF tags', () => {
+    const { exif } = readMetadata(embedMetadata(makeJpeg(JFIF), meta));
+
+    expect(exif).toMatchObject({
+      Make: 'Rabbit',
+      Model: 'Rabbit R1',
+      Orientation: 1,
+      ImageWidth: 1920,
+      ImageLength: 1080,
+      PixelXDimension: 1920,
+      PixelYDimension: 1080,
+      DateTimeOriginal: '2026:10:19 14:05:09',
+      DateTime: '2026:10:19 14:05:09',
+      ExifVersion: '0232',
+    });
+  });
+
+  it('writes film stock, roll and frame to UserComment', () => {
+    const { exif } = readMetadata(embedMetadata(makeJpeg(JFIF), meta));
+    expect(exif.UserComment).toBe('Film: Portra 400; Roll: roll-1760875509000; Frame: 7');
+  });
+
+  it('round-trips the XMP fields', () => {
+    const { xmp } = readMetadata(embedMetadata(makeJpeg(JFIF), meta));
+
+    expect(xmp).toEqual({
+      FilmStock: 'Portra 400',
+      FilmStockId: 'PORTRA',
+      ISO: '400',
+      RollId: 'roll-1760875509000',
+      FrameNumber: '7',
+    });
+  });
+
+  it('escapes and decodes non-ASCII XMP values', () => {
+    const { xmp } = readMetadata(embedMetadata(makeJpeg(JFIF), { ...meta, stockName: 'Ektar <100> & Café' }));
+    expect(xmp.FilmStock).toBe('Ektar <100> & Café');
+  });
+
+  it('replaces JFIF and earlier metadata instead of stacking it', () => {
+    const once = embedMetadata(makeJpeg(JFIF), meta);
+    const twice = embedMetadata(once, { ...meta, frameNumber: 8 });
+
+    expect(twice.length).toBe(once.length);
+    expect(readMetadata(twice).xmp.FrameNumber).toBe('8');
+    expect(Array.from(twice.subarray(0, 4))).toEqual([0xff, 0xd8, 0xff, 0xe1]);
+  });
+
+  it('keeps the image data untouched', () => {
+    const out = embedMetadata(makeJpeg(JFIF), meta);
+    expect(Array.from(out.subarray(out.length - SCAN.length))).toEqual(SCAN);
+  });
+
+  it('rejects data that is not a JPEG', () => {
+    expect(() => embedMetadata(Uint8Array.from([0x89, 0x50, 0x4e, 0x47]), meta)).toThrow('Not a JPEG');
+  });
+});
+
+describe('embedMetadataInBlob', () => {
+  it('returns a JPEG blob carrying the metadata', async () => {
+    const blob = await embedMetadataInBlob(new Blob([makeJpeg(JFIF)], { type: 'image/jpeg' }), meta);
+    const bytes = await new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(new Uint8Array(reader.result));
+      reader.readAsArrayBuffer(blob);
+    });
+
+    expect(blob.type).toBe('image/jpeg');
+    expect(readMetadata(bytes).exif.Model).toBe('Rabbit R1');
+  });
+});
+
+describe('formatting helpers', () => {
+  it('formats EXIF dates with zero padding', () => {
+    expect(formatExifDate(new Date(2026, 0, 2, 3, 4, 5))).toBe('2026:01:02 03:04:05');
+  });
+
+  it('leaves out missing UserComment parts', () => {
+    expect(formatUserComment({ stockName: 'Tri-X 400' })).toBe('Film: Tri-X 400');
+  });
+});
@@ -0,0 +1,134 @@
+// Date imprint: the orange seven-segment code point-and-shoots burned into
+// the corner of the frame. The text is fixed at capture and kept on the frame
+// record with the clean image (the negative), so it can be moved or removed
+// later without re-shooting.
+
+import { formatFrameNumber } from '../roll/rollModel';
+
+export const IMPRINT_CONTENTS = [
+  { id: 'date', label: 'DATE' },
+  { id: 'datetime', label: 'DATE+TIME' },
+  { id: 'frame', label: 'FRAME NO.' },
+];
+
+export const IMPRINT_POSITIONS = [
+  { id: 'br', label: 'BOTTOM RIGHT' },
+  { id: 'bl', label: 'BOTTOM LEFT' },
+  { id: 'tr', label: 'TOP RIGHT' },
+  { id: 'tl', label: 'TOP LEFT' },
+];
+
+export const DEFAULT_IMPRINT = { enabled: false, content: 'date', position: 'br' };
+
+const INK = '#FF9800';
+const GLOW = '#D32F2F';
+
+export const getImprintContent = (id) => IMPRINT_CONTENTS.find(c => c.id === id) || IMPRINT_CONTENTS[0];
+export const getImprintPosition = (id) => IMPRINT_POSITIONS.find(p => p.id === id) || IMPRINT_POSITIONS[0];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// '26 10 19, '26 10 19 14:05 or 07-36 (frame of roll length)
+export const imprintText = (content, { date, frameNumber, rollLength }) => {
+  const day = `'${pad(date.getFullYear() % 100)} ${pad(date.getMonth() + 1)} ${pad(date.getDate())}`;
+  switch (content) {
+    case 'datetime':
+      return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    case 'frame':
+      return rollLength ? `${formatFrameNumber(frameNumber)}-${rollLength}` : formatFrameNumber(frameNumber);
+    default:
+      return day;
+  }
+};
+
+// What the frame record keeps: enough to draw the imprint again
+export const createImprint = (settings, meta) => ({
+  content: settings.content,
+  position: settings.position,
+  text: imprintText(settings.content, meta),
+});
+
+// Same imprint in the next corner; after the last corner it is removed (null)
+export const nextImprintPosition = (imprint) => {
+  const index = IMPRINT_POSITIONS.findIndex(p => p.id === imprint.position);
+  return index < IMPRINT_POSITIONS.length - 1 ? { ...imprint, position: IMPRINT_POSITIONS[index + 1].id } : null;
+};
+
+// Segments a-g of a seven-segment digit
+const DIGITS = {
+  0: 'abcdef', 1: 'bc', 2: 'abdeg', 3: 'abcdg', 4: 'bcfg',
+  5: 'acdfg', 6: 'acdefg', 7: 'abc', 8: 'abcdefg', 9: 'abcdfg', '-': 'g',
+};
+
+// Rectangles [x, y, width, height] for text drawn `height` tall, and its width.
+// Characters without segments (anything but digits, - ' : and space) are skipped.
+export const imprintRects = (text, height) => {
+  const t = height * 0.12;
+  const w = height * 0.55;
+  const half = height / 2;
+  const gap = height * 0.2;
+  const side = half - t * 1.5;
+  const segment = {
+    a: [t, 0, w - 2 * t, t],
+    b: [w - t, t, t, side],
+    c: [w - t, half + t / 2, t, side],
+    d: [t, height - t, w - 2 * t, t],
+    e: [0, half + t / 2, t, side],
+    f: [0, t, t, side],
+    g: [t, half - t / 2, w - 2 * t, t],
+  };
+
+  const rects = [];
+  let x = 0;
+  [...text].forEach(char => {
+    if (DIGITS[char]) {
+      [...DIGITS[char]].forEach(s => {
+        const [sx, sy, sw, sh] = segment[s];
+        rects.push([x + sx, sy, sw, sh]);
+      });
+      x += w + gap;
+    } else if (char === "'") {
+      rects.push([x, 0, t, height * 0.3]);
+      x += t + gap;
+    } else if (char === ':') {
+      rects.push([x, height * 0.25, t, t], [x, height * 0.65, t, t]);
+      x += t + gap;
+    } else if (char === ' ') {
+      x += w / 2;
+    }
+  });
+  return { rects, width: Math.max(0, x - gap) };
+};
+
+// Draws the imprint onto the canvas in place, sized to the frame
+export const drawImprint = (canvas, { text, position }) => {
+  const context = canvas.getContext('2d');
+  const height = Math.max(8, Math.round(Math.min(canvas.width, canvas.height) * 0.045));
+  const margin = Math.round(height * 1.2);
+  const { rects, width } = imprintRects(text, height);
+  const x = position.endsWith('l') ? margin : canvas.width - margin - width;
+  const y = position.startsWith('t') ? margin : canvas.height - margin - height;
+
+  context.save();
+  context.translate(x, y);
+  // A slight slant, like the LCD in the camera back
+  context.transform(1, 0, -0.08, 1, height * 0.08, 0);
+  context.fillStyle = INK;
+  context.shadowColor = GLOW;
+  context.shadowBlur = height * 0.6;
+  rects.forEach(rect => context.fillRect(...rect));
+  context.restore();
+};
+
+// The negative drawn onto a new canvas with the imprint, for re-rendering a
+// stored frame; null imprint gives the clean frame
+export const renderImprint = async (negative, imprint) => {
+  const bitmap = await createImageBitmap(negative);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  if (bitmap.close) bitmap.close();
+  if (imprint) drawImprint(canvas, imprint);
+  return canvas;
+};
@@ -0,0 +1,70 @@
+import { imprintText, imprintRects, drawImprint, createImprint, nextImprintPosition } from './imprint';
+import { buildXmpPacket } from './exif';
+
+const date = new Date(2026, 9, 19, 14, 5);
+
+// jsdom has no canvas; this one records the imprint's drawing calls
+const fakeCanvas = (width, height) => {
+  const calls = [];
+  const context = {
+    save: () => {},
+    restore: () => {},
+    translate: (...args) => calls.push(['translate', ...args]),
+    transform: () => {},
+    fillRect: (...args) => calls.push(['fillRect', ...args]),
+  };
+  return { width, height, calls, context, getContext: () => context };
+};
+
+describe('imprintText', () => {
+  it('formats the date like a camera back', () => {
+    expect(imprintText('date', { date })).toBe("'26 10 19");
+    expect(imprintText('datetime', { date })).toBe("'26 10 19 14:05");
+  });
+
+  it('numbers the frame on the roll', () => {
+    expect(imprintText('frame', { date, frameNumber: 7, rollLength: 36 })).toBe('07-36');
+    expect(imprintText('frame', { date, frameNumber: 7 })).toBe('07');
+  });
+});
+
+describe('imprintRects', () => {
+  it('lights the segments of each digit', () => {
+    expect(imprintRects('1', 100).rects).toHaveLength(2);
+    expect(imprintRects('8', 100).rects).toHaveLength(7);
+    expect(imprintRects('88', 100).width).toBeCloseTo(130);
+  });
+
+  it('draws the apostrophe and colon, and spaces digits apart', () => {
+    expect(imprintRects("'", 100).rects).toHaveLength(1);
+    expect(imprintRects(':', 100).rects).toHaveLength(2);
+    expect(imprintRects('1 1', 100).width).toBeGreaterThan(imprintRects('11', 100).width);
+  });
+});
+
+describe('drawImprint', () => {
+  it('places the imprint in the chosen corner', () => {
+    const imprint = createImprint({ content: 'date', position: 'br' }, { date });
+    const bottomRight = fakeCanvas(1000, 800);
+    drawImprint(bottomRight, imprint);
+    const [, x, y] = bottomRight.calls[0];
+    // 36px tall digits, 43px from the edges
+    expect(y).toBe(800 - 43 - 36);
+    expect(x + imprintRects(imprint.text, 36).width).toBeCloseTo(1000 - 43);
+
+    const topLeft = fakeCanvas(1000, 800);
+    drawImprint(topLeft, { ...imprint, position: 'tl' });
+    expect(topLeft.calls[0]).toEqual(['translate', 43, 43]);
+    expect(topLeft.calls.filter(([name]) => name === 'fillRect').length).toBeGreaterThan(0);
+  });
+
+  it('moves round the corners and is removed after the last', () => {
+    const imprint = createImprint({ content: 'date', position: 'tr' }, { date });
+    expect(nextImprintPosition(imprint)).toMatchObject({ position: 'tl', text: imprint.text });
+    expect(nextImprintPosition({ ...imprint, position: 'tl' })).toBeNull();
+  });
+
+  it('is recorded in the XMP metadata', () => {
+    expect(buildXmpPacket({ date, imprint: "'26 10 19" })).toContain("<r1analog:Imprint>'26 10 19</r1analog:Imprint>");
+  });
+});
@@ -0,0 +1,67 @@
+// Multiple exposures on one frame: each shutter press is blended into a latent
+// canvas, and only the last one is developed into a photo and uses up a shot.
+
+export const BLEND_MODES = [
+  { id: 'screen', label: 'SCR' },
+  { id: 'lighten', label: 'LGT' },
+  { id: 'average', label: 'AVG' },
+];
+
+// 1 = off, otherwise exposures per frame
+export const EXPOSURE_COUNTS = [1, 2, 3, 4];
+
+export const getBlendMode = (id) => BLEND_MODES.find(m => m.id === id) || BLEND_MODES[0];
+
+export const nextBlendMode = (id) => {
+  const index = BLEND_MODES.findIndex(m => m.id === id);
+  return BLEND_MODES[(index + 1) % BLEND_MODES.length].id;
+};
+
+export const nextExposureCount = (count) => {
+  const index = EXPOSURE_COUNTS.indexOf(count);
+  return EXPOSURE_COUNTS[(index + 1) % EXPOSURE_COUNTS.length];
+};
+
+export const createLatentFrame = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return { canvas, context: canvas.getContext('2d'), exposures: 0 };
+};
+
+// Canvas composite settings for blending exposure number `index` (0-based).
+// Average keeps a running mean, so every exposure ends up with equal weight.
+export const blendComposite = (blend, index) => {
+  if (index === 0) return { operation: 'source-over', alpha: 1 };
+  if (blend === 'average') return { operation: 'source-over', alpha: 1 / (index + 1) };
+  return { operation: blend, alpha: 1 };
+};
+
+// Adds one exposure (any drawable) to the latent frame, scaled to its size
+export const blendExposure = (latent, source, blend) => {
+  const { canvas, context } = latent;
+  const { operation, alpha } = blendComposite(blend, latent.exposures);
+  context.save();
+  context.globalCompositeOperation = operation;
+  context.globalAlpha = alpha;
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  context.restore();
+  latent.exposures += 1;
+  return latent;
+};
+
+// Small copy of the latent frame for the viewfinder ghost
+export const renderGhost = (latent, maxWidth = 320) => {
+  const scale = Math.min(1, maxWidth / latent.canvas.width);
+  const ghost = document.createElement('canvas');
+  ghost.width = Math.max(1, Math.round(latent.canvas.width * scale));
+  ghost.height = Math.max(1, Math.round(latent.canvas.height * scale));
+  ghost.getContext('2d').drawImage(latent.canvas, 0, 0, ghost.width, ghost.height);
+  return ghost.toDataURL('image/jpeg', 0.7);
+};
+
+// CSS for the ghost layer so the preview blends the way the capture will
+export const ghostStyle = (blend) => ({
+  mixBlendMode: blend === 'average' ? 'normal' : blend,
+  opacity: blend === 'average' ? 0.5 : 0.6,
+});
@@ -0,0 +1,100 @@
+// Photo booth: the booth drive mode (see driveModes.js) counts down and takes
+// a short sequence of frames, which are printed onto one image as a vertical
+// strip or a 2x2 grid with a border and a date stamp. The print goes on the
+// roll as a single frame.
+
+// cellAspect is the capture profile aspect for each frame (and the viewfinder guide)
+export const BOOTH_LAYOUTS = [
+  { id: 'strip', label: 'STRIP', frames: 4, columns: 1, cellAspect: '3:2' },
+  { id: 'strip3', label: 'STRIP3', frames: 3, columns: 1, cellAspect: '3:2' },
+  { id: 'grid', label: '2×2', frames: 4, columns: 2, cellAspect: '1:1' },
+];
+
+// ink is the date stamp colour on that border
+export const BOOTH_BORDERS = [
+  { id: 'white', label: 'WHT', color: '#FFFFFF', ink: '#222222' },
+  { id: 'black', label: 'BLK', color: '#111111', ink: '#EEEEEE' },
+  { id: 'cream', label: 'CRM', color: '#F3EBDD', ink: '#D32F2F' },
+];
+
+// stockId null prints with the loaded roll's stock
+export const DEFAULT_BOOTH = { layout: 'strip', border: 'white', stockId: null };
+
+// Each frame is captured at this long edge; a four-frame print stays manageable
+export const BOOTH_CELL_RESOLUTION = '1280';
+
+// Border and stamp band, as fractions of the cell's short edge
+const BORDER = 0.06;
+const FOOTER = 0.22;
+
+export const getBoothLayout = (id) => BOOTH_LAYOUTS.find(l => l.id === id) || BOOTH_LAYOUTS[0];
+export const getBoothBorder = (id) => BOOTH_BORDERS.find(b => b.id === id) || BOOTH_BORDERS[0];
+
+// Booth settings with the next option for one setting; stocks is the
+// registry's list for cycling the stock
+export const cycleBooth = (booth, key, stocks = []) => {
+  const options = {
+    layout: BOOTH_LAYOUTS.map(l => l.id),
+    border: BOOTH_BORDERS.map(b => b.id),
+    stockId: [null, ...stocks.map(s => s.id)],
+  }[key];
+  return { ...booth, [key]: options[(options.indexOf(booth[key]) + 1) % options.length] };
+};
+
+// Capture profile for the booth frames: the layout's aspect, keeping the
+// user's output format
+export const boothCellProfile = (booth, profile) => ({
+  ...profile,
+  aspect: getBoothLayout(booth.layout).cellAspect,
+  resolution: BOOTH_CELL_RESOLUTION,
+});
+
+// Print geometry for cells of cellWidth x cellHeight: the print size, the
+// top-left corner of each cell in shooting order (left to right, top to
+// bottom) and the stamp band under the last row
+export const boothLayout = (layoutId, cellWidth, cellHeight) => {
+  const { frames, columns } = getBoothLayout(layoutId);
+  const rows = Math.ceil(frames / columns);
+  const short = Math.min(cellWidth, cellHeight);
+  const border = Math.round(short * BORDER);
+  const footer = Math.round(short * FOOTER);
+
+  const cells = Array.from({ length: frames }, (_, i) => ({
+    x: border + (i % columns) * (cellWidth + border),
+    y: border + Math.floor(i / columns) * (cellHeight + border),
+  }));
+  const width = border + columns * (cellWidth + border);
+  const top = border + rows * (cellHeight + border);
+  return { width, height: top + footer, cells, stamp: { y: top, height: footer } };
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const formatBoothStamp = (date, stockName) =>
+  ['R1-ANALOG', stockName, `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`]
+    .filter(Boolean)
+    .join(' · ')
+    .toUpperCase();
+
+// Prints the developed frames (canvases, all the same size) onto a new canvas
+export const composeBooth = (cells, { layout, border, date = new Date(), stockName }) => {
+  const { width: cellWidth, height: cellHeight } = cells[0];
+  const geometry = boothLayout(layout, cellWidth, cellHeight);
+  const paper = getBoothBorder(border);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = geometry.width;
+  canvas.height = geometry.height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = paper.color;
+  context.fillRect(0, 0, geometry.width, geometry.height);
+  cells.forEach((cell, i) => context.drawImage(cell, geometry.cells[i].x, geometry.cells[i].y, cellWidth, cellHeight));
+
+  const { y, height } = geometry.stamp;
+  context.fillStyle = paper.ink;
+  context.font = `bold ${Math.round(height * 0.3)}px monospace`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(formatBoothStamp(date, stockName), geometry.width / 2, y + height / 2, geometry.width * 0.9);
+  return canvas;
+};
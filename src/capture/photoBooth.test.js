@@ -0,0 +1,107 @@
+import { boothLayout, boothCellProfile, composeBooth, cycleBooth, formatBoothStamp, DEFAULT_BOOTH } from './photoBooth';
+import { DEFAULT_PROFILE } from './captureProfile';
+import { getDriveMode, runDriveMode } from './driveModes';
+
+// jsdom has no canvas; this one records the print's drawing calls
+const fakeCanvas = () => {
+  const canvas = { width: 0, height: 0, calls: [] };
+  const record = (name) => (...args) => canvas.calls.push([name, ...args]);
+  const context = { drawImage: record('drawImage'), fillRect: record('fillRect'), fillText: record('fillText') };
+  canvas.getContext = () => context;
+  return canvas;
+};
+
+describe('boothLayout', () => {
+  it('stacks a strip in one column with a stamp band underneath', () => {
+    const { width, height, cells, stamp } = boothLayout('strip', 300, 200);
+    // 12px border (6% of the short edge), 44px stamp band
+    expect(width).toBe(324);
+    expect(cells).toEqual([{ x: 12, y: 12 }, { x: 12, y: 224 }, { x: 12, y: 436 }, { x: 12, y: 648 }]);
+    expect(stamp).toEqual({ y: 860, height: 44 });
+    expect(height).toBe(904);
+  });
+
+  it('lays a grid out left to right, top to bottom', () => {
+    const { width, cells } = boothLayout('grid', 100, 100);
+    expect(width).toBe(218);
+    expect(cells).toEqual([{ x: 6, y: 6 }, { x: 112, y: 6 }, { x: 6, y: 112 }, { x: 112, y: 112 }]);
+  });
+});
+
+describe('booth settings', () => {
+  it('cycles the stock through the roll stock and the registry', () => {
+    const stocks = [{ id: 'STD' }, { id: 'HP5' }];
+    const once = cycleBooth(DEFAULT_BOOTH, 'stockId', stocks);
+    expect(once.stockId).toBe('STD');
+    expect(cycleBooth(cycleBooth(once, 'stockId', stocks), 'stockId', stocks).stockId).toBeNull();
+  });
+
+  it("shoots the layout's aspect in the user's format", () => {
+    const profile = boothCellProfile({ ...DEFAULT_BOOTH, layout: 'grid' }, { ...DEFAULT_PROFILE, format: 'png', aspect: 'half' });
+    expect(profile).toMatchObject({ aspect: '1:1', resolution: '1280', format: 'png' });
+  });
+});
+
+describe('composeBooth', () => {
+  let createElement;
+  beforeEach(() => {
+    const create = document.createElement.bind(document);
+    createElement = jest.spyOn(document, 'createElement').mockImplementation(tag => (tag === 'canvas' ? fakeCanvas() : create(tag)));
+  });
+  afterEach(() => createElement.mockRestore());
+
+  it('prints every frame on the border with a date stamp', () => {
+    const cells = [1, 2, 3].map(() => ({ width: 300, height: 200 }));
+    const date = new Date(2026, 9, 19);
+    const print = composeBooth(cells, { layout: 'strip3', border: 'cream', date, stockName: 'Portra' });
+
+    expect([print.width, print.height]).toEqual([324, 692]);
+    expect(print.calls[0]).toEqual(['fillRect', 0, 0, 324, 692]);
+    expect(print.calls.filter(([name]) => name === 'drawImage').map(([, cell, x, y]) => [cell, x, y]))
+      .toEqual([[cells[0], 12, 12], [cells[1], 12, 224], [cells[2], 12, 436]]);
+    expect(print.calls.find(([name]) => name === 'fillText')[1]).toBe(formatBoothStamp(date, 'Portra'));
+  });
+
+  it('stamps the brand, stock and date', () => {
+    expect(formatBoothStamp(new Date(2026, 0, 5), 'Portra')).toBe('R1-ANALOG · PORTRA · 2026.01.05');
+  });
+});
+
+describe('booth drive mode', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  // One countdown second, then let the sequence's awaits run
+  const second = async () => {
+    jest.advanceTimersByTime(1000);
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+  };
+
+  it('counts down before every frame of the sequence', async () => {
+    const ticks = [];
+    const shoot = jest.fn(async () => {});
+    const done = new Promise(resolve => runDriveMode({ ...getDriveMode('booth'), frames: 3 }, {
+      shoot,
+      shotsLeft: () => 1,
+      onTick: tick => ticks.push(tick),
+      onDone: resolve,
+    }));
+
+    for (let i = 0; i < 9; i++) await second();
+
+    expect(await done).toEqual({ shots: 3, cancelled: false });
+    expect(ticks.slice(0, 4)).toEqual([
+      { countdown: 3, shot: 1, of: 3 },
+      { countdown: 2, shot: 1, of: 3 },
+      { countdown: 1, shot: 1, of: 3 },
+      { shot: 1, of: 3 },
+    ]);
+  });
+
+  it('does not start at the end of the roll', async () => {
+    const shoot = jest.fn();
+    const result = await new Promise(resolve => runDriveMode(getDriveMode('booth'), { shoot, shotsLeft: () => 0, onDone: resolve }));
+    expect(result.shots).toBe(0);
+    expect(shoot).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Terminal } from 'lucide-react';
+import { DEFAULT_CONSTRAINTS } from '../camera/cameraManager';
+import { appVersion } from '../pwa/serviceWorker';
+import { formatMB } from '../hooks/useDiagnostics';
+import { logger, formatEntry, matchesFilter, LOG_LEVELS, LOG_CATEGORIES } from '../debug/logger';
+
+const LOG_LEVEL_CLASS = { debug: 'opacity-50', info: 'opacity-80', warn: 'text-yellow-400', error: 'text-red-400' };
+
+const cycle = (list, value) => list[(list.indexOf(value) + 1) % list.length];
+
+// Debug overlay over the viewfinder: the structured log (newest first, with a
+// level / category filter), live diagnostics from useDiagnostics, the camera
+// track capabilities and manual camera controls. camera is the useCamera
+// result; onExport shares a log snapshot.
+const DebugOverlay = ({ camera, diagnostics, serviceWorkerStatus, onExport, onClose }) => {
+  const [logs, setLogs] = useState(() => logger.entries());
+  const [logFilter, setLogFilter] = useState({ level: 'debug', category: 'all' });
+  const [showCaps, setShowCaps] = useState(false);
+  const logRef = useRef(null);
+
+  // Mirror the ring buffer while open
+  useEffect(() => {
+    setLogs(logger.entries());
+    return logger.subscribe(() => setLogs(logger.entries()));
+  }, []);
+
+  // Newest entries are on top
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = 0;
+  }, [logs]);
+
+  const listDevices = async () => {
+    let devices;
+    try {
+      devices = await camera.listDevices();
+    } catch (err) {
+      logger.error('camera', `Device list error: ${err.message}`);
+      return;
+    }
+    logger.info('camera', `Found ${devices.length} cameras:`);
+    devices.forEach(d => logger.info('camera', `- ${d.label || 'Unlabeled'} (ID: ${d.deviceId.slice(0,5)}...)`));
+  };
+
+  return (
+    <div className="absolute inset-0 bg-black/90 z-[60] text-[#00ff00] font-mono text-[8px] p-2 overflow-hidden flex flex-col">
+      <div className="flex justify-between items-center border-b border-green-900 pb-1 mb-1">
+        <span className="font-bold flex gap-1 items-center"><Terminal size={8}/> DEBUG</span>
+        <span className="opacity-60">v{appVersion.version}{appVersion.build && ` · ${appVersion.build}`} · SW {serviceWorkerStatus}</span>
+        <button onClick={onClose}><X size={10} /></button>
+      </div>
+      <div className="flex gap-1 mb-1 text-[6px]">
+        <button onClick={() => setLogFilter(prev => ({ ...prev, level: cycle(LOG_LEVELS, prev.level) }))} className="bg-green-900/50 px-1 rounded border border-green-700">{logFilter.level.toUpperCase()}+</button>
+        <button onClick={() => setLogFilter(prev => ({ ...prev, category: cycle(['all', ...LOG_CATEGORIES], prev.category) }))} className="bg-green-900/50 px-1 rounded border border-green-700">{logFilter.category.toUpperCase()}</button>
+        <button onClick={() => setShowCaps(prev => !prev)} className={`px-1 rounded border border-green-700 ${showCaps ? 'bg-green-700 text-black' : 'bg-green-900/50'}`}>CAPS</button>
+        <button onClick={onExport} className="bg-green-900/50 px-1 rounded border border-green-700">EXPORT</button>
+        <button onClick={logger.clear} className="bg-green-900/50 px-1 rounded border border-green-700">CLR</button>
+      </div>
+      <div className="flex justify-between mb-1 text-[6px] opacity-70">
+        <span>FPS {diagnostics.fps != null ? diagnostics.fps.toFixed(1) : '--'}{diagnostics.fpsSource === 'ui' && ' (ui)'}</span>
+        <span>HEAP {diagnostics.memory ? `${formatMB(diagnostics.memory.used)}/${formatMB(diagnostics.memory.limit)}` : 'n/a'}</span>
+        <span>DB {diagnostics.storage ? formatMB(diagnostics.storage.usage) : 'n/a'}</span>
+        <span>LOG {logs.length}</span>
+      </div>
+      <div className="flex-1 overflow-y-auto mb-1 break-all" ref={logRef}>
+        {showCaps ? (
+          <pre className="whitespace-pre-wrap text-[6px]">{diagnostics.track ? JSON.stringify(diagnostics.track, null, 1) : 'No camera track'}</pre>
+        ) : (
+          logs.filter(entry => matchesFilter(entry, logFilter)).reverse().map(entry => (
+            <div key={entry.id} className={`mb-0.5 ${LOG_LEVEL_CLASS[entry.level]}`}>
+              {formatEntry(entry)}
+              {entry.category !== 'app' && <span className="opacity-50"> #{entry.category}</span>}
+            </div>
+          ))
+        )}
+      </div>
+      <div className="grid grid-cols-2 gap-1">
+        <button onClick={() => camera.start(DEFAULT_CONSTRAINTS)} className="bg-green-900/50 p-1 rounded hover:bg-green-800 text-[6px] border border-green-700">Start (Env)</button>
+        <button onClick={() => camera.start({ video: { facingMode: 'user' } })} className="bg-green-900/50 p-1 rounded hover:bg-green-800 text-[6px] border border-green-700">Start (User)</button>
+        <button onClick={() => camera.start({ video: true })} className="bg-green-900/50 p-1 rounded hover:bg-green-800 text-[6px] border border-green-700">Start (Basic)</button>
+        <button onClick={listDevices} className="bg-green-900/50 p-1 rounded hover:bg-green-800 text-[6px] border border-green-700">List Devices</button>
+      </div>
+      {camera.devices.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-1">
+          {camera.devices.map((d, i) => (
+            <button
+              key={d.deviceId || i}
+              onClick={() => camera.selectDevice(d.deviceId)}
+              className={`p-1 rounded text-[6px] border border-green-700 ${d.deviceId === camera.deviceId ? 'bg-green-700 text-black' : 'bg-green-900/50'}`}
+            >
+              {d.label || `Camera ${i + 1}`}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DebugOverlay;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import DebugOverlay from './DebugOverlay';
+import { logger } from '../debug/logger';
+
+const camera = (devices = []) => ({
+  devices,
+  deviceId: devices.length ? devices[0].deviceId : null,
+  start: jest.fn(),
+  selectDevice: jest.fn(),
+  listDevices: jest.fn(async () => devices),
+});
+
+const diagnostics = { fps: 29.97, fpsSource: 'video', memory: null, storage: { usage: 3 * 1048576 }, track: null };
+
+const setup = (props = {}) => render(
+  <DebugOverlay camera={camera()} diagnostics={diagnostics} serviceWorkerStatus="active" onExport={() => {}} onClose={() => {}} {...props} />
+);
+
+beforeEach(() => logger.clear());
+
+describe('DebugOverlay', () => {
+  it('shows the log as it grows, with the diagnostics', () => {
+    logger.info('camera', 'Stream started');
+    setup();
+    expect(screen.getByText(/Stream started/)).toBeTruthy();
+    expect(screen.getByText('FPS 30.0')).toBeTruthy();
+    expect(screen.getByText('DB 3.0MB')).toBeTruthy();
+
+    act(() => logger.info('roll', 'Loaded Portra 400'));
+    expect(screen.getByText(/Loaded Portra 400/)).toBeTruthy();
+    expect(screen.getByText('LOG 2')).toBeTruthy();
+  });
+
+  it('filters by level and category', () => {
+    logger.debug('input', 'scrollUp');
+    logger.info('camera', 'Stream started');
+    setup();
+
+    fireEvent.click(screen.getByText('DEBUG+'));
+    expect(screen.queryByText(/scrollUp/)).toBeNull();
+    expect(screen.getByText(/Stream started/)).toBeTruthy();
+
+    fireEvent.click(screen.getByText('ALL'));
+    expect(screen.getByText('APP')).toBeTruthy();
+    expect(screen.queryByText(/Stream started/)).toBeNull();
+  });
+
+  it('clears the log', () => {
+    logger.info('app', 'Launched');
+    setup();
+    fireEvent.click(screen.getByText('CLR'));
+    expect(screen.queryByText(/Launched/)).toBeNull();
+  });
+
+  it('switches to a listed camera', () => {
+    const cam = camera([{ deviceId: 'back', label: 'Back camera' }, { deviceId: 'front', label: 'Front camera' }]);
+    setup({ camera: cam });
+    fireEvent.click(screen.getByText('Front camera'));
+    expect(cam.selectDevice).toHaveBeenCalledWith('front');
+  });
+
+  it('logs a device list that fails', async () => {
+    const cam = camera();
+    cam.listDevices.mockRejectedValue(new Error('enumerateDevices failed'));
+    setup({ camera: cam });
+    fireEvent.click(screen.getByText('List Devices'));
+    expect(await screen.findByText(/Device list error: enumerateDevices failed/)).toBeTruthy();
+    expect(logger.entries({ level: 'error' })).toHaveLength(1);
+  });
+
+  it('hands export and close to the app', () => {
+    const onExport = jest.fn();
+    const onClose = jest.fn();
+    const { container } = setup({ onExport, onClose });
+    fireEvent.click(screen.getByText('EXPORT'));
+    fireEvent.click(container.querySelector('button'));
+    expect(onExport).toHaveBeenCalled();
+    expect(onClose).toHaveBeenCalled();
+  });
+});
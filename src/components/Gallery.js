@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { X, Trash2, Check, Upload, ChevronLeft, Share2, Package } from 'lucide-react';
+import useR1Input from '../hooks/useR1Input';
+import { formatFrameNumber } from '../roll/rollModel';
+
+// Contact sheet for a roll, sized for the 240x300 viewport. The scroll wheel
+// moves the cursor in the grid and steps frames in the single-frame view; the
+// side button opens / closes the frame under the cursor. Uploads start only
+// from the upload button, ZIP exports the roll (or selection) locally and the
+// share icon shares one frame. DATE moves a frame's imprint round the corners
+// and then removes it. A latent (undeveloped) roll shows numbered blanks.
+const Gallery = ({ photos, title = 'CONTACT SHEET', latent = false, latentNote = '', onClose, onDelete, onUpload, onExport, onShare, onImprint }) => {
+  const [cursor, setCursor] = useState(0);
+  const [viewing, setViewing] = useState(false);
+  const [selected, setSelected] = useState([]);
+
+  // Keep the cursor and selection valid as frames are deleted
+  useEffect(() => {
+    setCursor(prev => Math.min(prev, Math.max(photos.length - 1, 0)));
+    setSelected(prev => prev.filter(id => photos.some(photo => photo.id === id)));
+    if (photos.length === 0) setViewing(false);
+  }, [photos]);
+
+  const step = (delta) => {
+    if (photos.length === 0) return;
+    setCursor(prev => (prev + delta + photos.length) % photos.length);
+  };
+  useR1Input({
+    scrollUp: () => step(1),
+    scrollDown: () => step(-1),
+    sideClick: () => !latent && photos.length > 0 && setViewing(prev => !prev),
+  });
+
+  const toggleSelected = (id) => {
+    setSelected(prev => prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]);
+  };
+
+  // Nothing selected means the whole roll
+  const selection = () => (selected.length > 0
+    ? photos.filter(photo => selected.includes(photo.id))
+    : photos);
+
+  // Frames keep the number they were shot as; photos are stored newest first
+  const frameNumber = (index) => formatFrameNumber(photos[index].frameNumber ?? photos.length - index);
+  const current = photos[cursor];
+
+  if (viewing && current && !latent) {
+    const isSelected = selected.includes(current.id);
+    return (
+      <div className="absolute inset-0 z-[55] bg-black flex flex-col">
+        <div className="flex justify-between items-center p-2 text-white text-[8px] font-bold">
+          <button onClick={() => setViewing(false)} className="active:scale-90 transition-transform"><ChevronLeft size={12} /></button>
+          <span>#{frameNumber(cursor)} · {current.filter.name} · {current.date}</span>
+          <span className="text-white/50">{cursor + 1}/{photos.length}</span>
+        </div>
+        <div className="flex-1 flex items-center justify-center overflow-hidden">
+          <img src={current.url} alt={`Frame ${frameNumber(cursor)}`} className="max-w-full max-h-full object-contain" />
+        </div>
+        <div className="flex justify-between items-center p-2">
+          <button
+            onClick={() => onDelete(current.id)}
+            className="w-10 h-8 rounded-lg bg-white/10 flex items-center justify-center text-white active:scale-95 transition-transform"
+          >
+            <Trash2 size={12} />
+          </button>
+          <span className="text-[6px] text-white/40 font-bold">SCROLL TO STEP</span>
+          <div className="flex gap-1">
+            {current.negative && onImprint && (
+              <button
+                onClick={() => onImprint(current)}
+                className={`w-8 h-8 rounded-lg bg-white/10 flex items-center justify-center text-[6px] font-black active:scale-95 transition-transform ${current.imprint ? 'text-[#FF9800]' : 'text-white/40 line-through'}`}
+              >
+                DATE
+              </button>
+            )}
+            <button
+              onClick={() => onShare(current)}
+              className="w-8 h-8 rounded-lg bg-white/10 flex items-center justify-center text-white active:scale-95 transition-transform"
+            >
+              <Share2 size={12} />
+            </button>
+            <button
+              onClick={() => toggleSelected(current.id)}
+              className={`w-8 h-8 rounded-lg flex items-center justify-center active:scale-95 transition-transform ${isSelected ? 'bg-[#D32F2F] text-white' : 'bg-white/10 text-white/60'}`}
+            >
+              <Check size={12} />
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="absolute inset-0 z-[55] bg-[#1a1a1a] flex flex-col">
+      <div className="flex justify-between items-center p-2 text-white text-[8px] font-bold">
+        <span className="text-[#D32F2F] tracking-wider uppercase">{title}</span>
+        <span className="text-white/50">{photos.length} FRAMES</span>
+        <button onClick={onClose} className="active:scale-90 transition-transform"><X size={12} /></button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-2">
+        {photos.length === 0 ? (
+          <div className="h-full flex items-center justify-center text-white/30 text-[8px] font-bold">NO FRAMES ON THIS ROLL</div>
+        ) : (
+          <div className="grid grid-cols-3 gap-1">
+            {photos.map((photo, i) => (
+              <div
+                key={photo.id}
+                onClick={latent ? undefined : () => { setCursor(i); setViewing(true); }}
+                className={`relative aspect-square bg-black border ${latent ? '' : 'cursor-pointer'} ${i === cursor ? 'border-[#D32F2F]' : 'border-transparent'}`}
+              >
+                {!latent && <img src={photo.url} alt={`Frame ${frameNumber(i)}`} className="w-full h-full object-cover" />}
+                <span className="absolute bottom-0 left-0.5 text-[6px] font-bold text-[#FF9800]">{frameNumber(i)}</span>
+                {!latent && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); toggleSelected(photo.id); }}
+                    className={`absolute top-0.5 right-0.5 w-3 h-3 rounded-sm flex items-center justify-center border ${selected.includes(photo.id) ? 'bg-[#D32F2F] border-[#D32F2F]' : 'bg-black/40 border-white/40'}`}
+                  >
+                    {selected.includes(photo.id) && <Check size={8} className="text-white" />}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="p-2">
+        {latent ? (
+          <div className="w-full py-2 rounded-lg bg-white/10 text-[#FF9800] font-bold text-[7px] text-center">{latentNote || 'LATENT'}</div>
+        ) : (
+          <div className="flex gap-1">
+            <button
+              onClick={() => onUpload(selection())}
+              disabled={photos.length === 0}
+              className={`flex-1 py-2 rounded-lg font-bold text-[8px] flex items-center justify-center gap-1 transition-transform ${photos.length === 0 ? 'bg-white/10 text-white/30' : 'bg-[#D32F2F] text-white active:scale-95'}`}
+            >
+              <Upload size={10} />
+              {selected.length > 0 ? `UPLOAD ${selected.length} SELECTED` : 'UPLOAD ROLL'}
+            </button>
+            <button
+              onClick={() => onExport(selection())}
+              disabled={photos.length === 0}
+              className={`px-2 py-2 rounded-lg font-bold text-[8px] flex items-center justify-center gap-1 transition-transform ${photos.length === 0 ? 'bg-white/10 text-white/30' : 'bg-white/10 text-white active:scale-95'}`}
+            >
+              <Package size={10} />
+              ZIP
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Gallery;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import useR1Input from '../hooks/useR1Input';
+import { ROLL_LENGTHS, DEVELOPMENT_MODES } from '../roll/rollModel';
+
+// Film loading screen: pick a stock (scroll wheel or arrows), a roll length
+// and how the roll gets developed. defaultLength (preferences) overrides the
+// stock's own roll length.
+const LoadFilm = ({ stocks, initialStockIndex = 0, initialDevelopment = 'instant', defaultLength = null, onLoad, onHistory }) => {
+  const [stockIndex, setStockIndex] = useState(initialStockIndex);
+  const [length, setLength] = useState(defaultLength || stocks[initialStockIndex].rollLength);
+  const [development, setDevelopment] = useState(initialDevelopment);
+
+  const selectStock = (index) => {
+    const next = (index + stocks.length) % stocks.length;
+    setStockIndex(next);
+    setLength(defaultLength || stocks[next].rollLength);
+  };
+
+  const stock = stocks[stockIndex];
+
+  useR1Input({
+    scrollUp: () => selectStock(stockIndex + 1),
+    scrollDown: () => selectStock(stockIndex - 1),
+    sideClick: () => onLoad(stock, length, development),
+  });
+
+  return (
+    <div className="absolute inset-0 z-[45] bg-[#1a1a1a] flex flex-col items-center justify-center p-3 select-none">
+      <div className="text-[#D32F2F] font-black text-[9px] tracking-widest mb-2">LOAD FILM</div>
+
+      <div className="flex items-center gap-2 mb-1">
+        <button onClick={() => selectStock(stockIndex - 1)} className="text-white/50 active:scale-90 transition-transform"><ChevronLeft size={14} /></button>
+        <div className="w-32 h-16 rounded-lg border border-white/10 bg-black flex flex-col items-center justify-center">
+          <span className="text-white font-black text-sm leading-none uppercase">{stock.name}</span>
+          <span className="text-[#FF9800] text-[8px] font-bold mt-1">ISO {stock.iso}</span>
+        </div>
+        <button onClick={() => selectStock(stockIndex + 1)} className="text-white/50 active:scale-90 transition-transform"><ChevronRight size={14} /></button>
+      </div>
+      <div className="flex gap-1 mb-3">
+        {stocks.map((s, i) => (
+          <div key={s.id} className={`w-1.5 h-1.5 rounded-full ${i === stockIndex ? 'bg-[#D32F2F]' : 'bg-white/30'}`}></div>
+        ))}
+      </div>
+
+      <div className="flex gap-1 mb-2">
+        {ROLL_LENGTHS.map(n => (
+          <button
+            key={n}
+            onClick={() => setLength(n)}
+            className={`w-12 py-1 rounded-md text-[8px] font-bold border transition-colors ${n === length ? 'bg-[#D32F2F] border-[#D32F2F] text-white' : 'border-white/20 text-white/60'}`}
+          >
+            {n} EXP
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-4 gap-1 mb-3 w-full">
+        {DEVELOPMENT_MODES.map(mode => (
+          <button
+            key={mode.id}
+            onClick={() => setDevelopment(mode.id)}
+            className={`py-1 rounded-md text-[6px] font-bold border transition-colors ${mode.id === development ? 'bg-[#FF9800] border-[#FF9800] text-black' : 'border-white/20 text-white/60'}`}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onLoad(stock, length, development)}
+        className="w-full py-2 bg-[#D32F2F] text-white rounded-lg font-bold text-[9px] active:scale-95 transition-transform"
+      >
+        LOAD {length} EXP
+      </button>
+      <button onClick={onHistory} className="mt-2 text-white/40 text-[7px] font-bold tracking-wider">ROLL HISTORY</button>
+    </div>
+  );
+};
+
+export default LoadFilm;
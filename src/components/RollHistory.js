@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { X, Trash2 } from 'lucide-react';
+import useR1Input from '../hooks/useR1Input';
+import { isDeveloped } from '../roll/rollModel';
+
+// Archived rolls with their metadata; tapping one (or the side button on the
+// highlighted one) opens its contact sheet
+const RollHistory = ({ rolls, onOpen, onDelete, onClose }) => {
+  const [cursor, setCursor] = useState(0);
+
+  const step = (delta) => {
+    if (rolls.length === 0) return;
+    setCursor(prev => (prev + delta + rolls.length) % rolls.length);
+  };
+  useR1Input({
+    scrollUp: () => step(1),
+    scrollDown: () => step(-1),
+    sideClick: () => rolls[cursor] && onOpen(rolls[cursor]),
+  });
+
+  const formatDate = (ts) => new Date(ts).toLocaleDateString([], { day: '2-digit', month: '2-digit', year: '2-digit' });
+  const formatReady = (ts) => new Date(ts).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="absolute inset-0 z-[55] bg-[#1a1a1a] flex flex-col">
+      <div className="flex justify-between items-center p-2 text-white text-[8px] font-bold">
+        <span className="text-[#D32F2F] tracking-wider">ROLL HISTORY</span>
+        <button onClick={onClose} className="active:scale-90 transition-transform"><X size={12} /></button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-2">
+        {rolls.length === 0 ? (
+          <div className="h-full flex items-center justify-center text-white/30 text-[8px] font-bold">NO ARCHIVED ROLLS</div>
+        ) : rolls.map((roll, i) => (
+          <div
+            key={roll.id}
+            onClick={() => onOpen(roll)}
+            className={`flex items-center justify-between p-2 mb-1 rounded-md cursor-pointer border ${i === cursor ? 'border-[#D32F2F] bg-black' : 'border-white/10 bg-black/40'}`}
+          >
+            <div className="flex flex-col">
+              <span className="text-white text-[9px] font-black uppercase">{roll.stockName || roll.stockId}</span>
+              <span className="text-white/50 text-[7px] font-bold">
+                {formatDate(roll.finishedAt || roll.updatedAt)} · {roll.frameCount}/{roll.length} EXP
+              </span>
+              {!isDeveloped(roll) && (
+                <span className="text-[#FF9800] text-[6px] font-bold">DEVELOPING · READY {formatReady(roll.readyAt)}</span>
+              )}
+            </div>
+            <button
+              onClick={(e) => { e.stopPropagation(); onDelete(roll); }}
+              className="text-white/40 active:scale-90 transition-transform"
+            >
+              <Trash2 size={10} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RollHistory;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X } from 'lucide-react';
+import useR1Input from '../hooks/useR1Input';
+
+// Settings list for the 240x300 viewport. Each row is
+// { id, label, value, onChange, confirm }: the scroll wheel moves the cursor
+// and the side button (or a tap) changes the highlighted row. Rows with
+// confirm (e.g. reset) need a second press.
+const Settings = ({ rows, onClose }) => {
+  const [cursor, setCursor] = useState(0);
+  const [armed, setArmed] = useState(null);
+  const rowRefs = useRef({});
+
+  const step = (delta) => {
+    if (rows.length === 0) return;
+    setArmed(null);
+    setCursor(prev => (prev + delta + rows.length) % rows.length);
+  };
+
+  const press = (row) => {
+    if (row.confirm && armed !== row.id) {
+      setArmed(row.id);
+      return;
+    }
+    setArmed(null);
+    row.onChange();
+  };
+
+  useR1Input({
+    scrollUp: () => step(1),
+    scrollDown: () => step(-1),
+    sideClick: () => rows[cursor] && press(rows[cursor]),
+  });
+
+  // Keep the highlighted row on screen
+  const cursorId = rows[cursor] && rows[cursor].id;
+  useEffect(() => {
+    const row = cursorId && rowRefs.current[cursorId];
+    if (row && row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+  }, [cursorId]);
+
+  return (
+    <div className="absolute inset-0 z-[55] bg-[#1a1a1a] flex flex-col">
+      <div className="flex justify-between items-center p-2 text-white text-[8px] font-bold">
+        <span className="text-[#D32F2F] tracking-wider">SETTINGS</span>
+        <button onClick={onClose} className="active:scale-90 transition-transform"><X size={12} /></button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-2">
+        {rows.map((row, i) => (
+          <div
+            key={row.id}
+            ref={el => { rowRefs.current[row.id] = el; }}
+            onClick={() => { setCursor(i); press(row); }}
+            className={`flex items-center justify-between p-2 mb-1 rounded-md cursor-pointer border text-[8px] font-bold ${i === cursor ? 'border-[#D32F2F] bg-black' : 'border-white/10 bg-black/40'}`}
+          >
+            <span className="text-white/70">{row.label}</span>
+            <span className={`uppercase ${armed === row.id ? 'text-[#D32F2F]' : 'text-[#FF9800]'}`}>{armed === row.id ? 'PRESS AGAIN' : row.value}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="p-2 text-center text-[6px] text-white/40 font-bold">SCROLL TO MOVE · PRESS TO CHANGE</div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,93 @@
+import React, { useRef } from 'react';
+import { Zap, ZapOff, X, RotateCcw, Archive, SwitchCamera, SlidersHorizontal } from 'lucide-react';
+import { nextFlashMode } from '../camera/flash';
+import { getBlendMode, nextBlendMode, nextExposureCount } from '../capture/multiExposure';
+
+const DEBUG_TAPS = 5;
+const DEBUG_TAP_WINDOW_MS = 3000;
+
+// Top bar over the viewfinder: camera switch, roll history, settings, rewind,
+// multiple exposure, the pending partial frame and flash. Tapping the logo
+// five times within 3s toggles the debug overlay.
+const StatusBar = ({
+  canSwitchCamera,
+  canRewind,
+  imprintEnabled,
+  multiExposure,
+  latentExposures,
+  pendingHalf,
+  flashMode,
+  onSwitchCamera,
+  onHistory,
+  onSettings,
+  onRewind,
+  onMultiExposure,
+  onDiscardPartial,
+  onFlashMode,
+  onDebugToggle,
+}) => {
+  const taps = useRef(0);
+
+  const tapLogo = () => {
+    taps.current += 1;
+    if (taps.current >= DEBUG_TAPS) {
+      taps.current = 0;
+      onDebugToggle();
+      return;
+    }
+    setTimeout(() => { taps.current = 0; }, DEBUG_TAP_WINDOW_MS);
+  };
+
+  return (
+    <div className="absolute top-0 left-0 right-0 z-30 flex justify-between items-center p-2 bg-gradient-to-b from-black/70 to-transparent">
+      <div onClick={tapLogo} className="flex items-center gap-1 text-[#D32F2F] cursor-pointer select-none active:opacity-50">
+        <div className="w-1.5 h-1.5 bg-[#D32F2F] rounded-full animate-pulse"></div>
+        <span className="text-[8px] font-bold tracking-wider">R1-ANALOG</span>
+      </div>
+      <div className="flex items-center gap-2 text-white text-[8px] font-bold">
+        {canSwitchCamera && (
+          <button onClick={onSwitchCamera} className="active:scale-90 transition-transform">
+            <SwitchCamera size={12} className="opacity-50" />
+          </button>
+        )}
+        <button onClick={onHistory} className="active:scale-90 transition-transform">
+          <Archive size={12} className="opacity-50" />
+        </button>
+        <button onClick={onSettings} className="active:scale-90 transition-transform">
+          <SlidersHorizontal size={12} className={imprintEnabled ? 'text-[#FF9800]' : 'opacity-50'} />
+        </button>
+        {canRewind && (
+          <button onClick={onRewind} className="active:scale-90 transition-transform">
+            <RotateCcw size={12} className="opacity-50" />
+          </button>
+        )}
+        <button
+          onClick={() => onMultiExposure({ ...multiExposure, count: nextExposureCount(multiExposure.count) })}
+          className={`active:scale-90 transition-transform ${multiExposure.count > 1 ? 'text-[#FF9800]' : 'opacity-50'}`}
+        >
+          {multiExposure.count > 1 ? `ME${latentExposures}/${multiExposure.count}` : 'ME'}
+        </button>
+        {multiExposure.count > 1 && (
+          <button
+            onClick={() => onMultiExposure({ ...multiExposure, blend: nextBlendMode(multiExposure.blend) })}
+            className="text-[#FF9800] active:scale-90 transition-transform"
+          >
+            {getBlendMode(multiExposure.blend).label}
+          </button>
+        )}
+        {pendingHalf && <span className="text-[#FF9800]">HALF 1/2</span>}
+        {(latentExposures > 0 || pendingHalf) && (
+          <button onClick={onDiscardPartial} className="active:scale-90 transition-transform">
+            <X size={12} className="opacity-50" />
+          </button>
+        )}
+        <button onClick={() => onFlashMode(nextFlashMode(flashMode))} className="flex items-center active:scale-90 transition-transform">
+          {flashMode === 'off' ? <ZapOff size={12} className="opacity-50" /> : <Zap size={12} fill="white" className="text-white" />}
+          {flashMode === 'auto' && <span className="text-[7px] font-black">A</span>}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StatusBar;
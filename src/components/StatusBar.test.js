@@ -0,0 +1,88 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import StatusBar from './StatusBar';
+
+const setup = (props = {}) => {
+  const handlers = {
+    onSwitchCamera: jest.fn(),
+    onHistory: jest.fn(),
+    onSettings: jest.fn(),
+    onRewind: jest.fn(),
+    onMultiExposure: jest.fn(),
+    onDiscardPartial: jest.fn(),
+    onFlashMode: jest.fn(),
+    onDebugToggle: jest.fn(),
+  };
+  const { container } = render(
+    <StatusBar
+      canSwitchCamera={false}
+      canRewind={false}
+      imprintEnabled={false}
+      multiExposure={{ count: 1, blend: 'screen' }}
+      latentExposures={0}
+      pendingHalf={false}
+      flashMode="off"
+      {...handlers}
+      {...props}
+    />
+  );
+  // Icon buttons carry no text, so they are picked by position
+  const buttons = () => [...container.querySelectorAll('button')];
+  return { handlers, buttons };
+};
+
+describe('StatusBar', () => {
+  it('only offers camera switching and rewind when they apply', () => {
+    // History, settings, ME and flash
+    expect(setup().buttons()).toHaveLength(4);
+
+    const { handlers, buttons } = setup({ canSwitchCamera: true, canRewind: true });
+    const [switchCamera, history, settings, rewind] = buttons();
+    fireEvent.click(switchCamera);
+    fireEvent.click(history);
+    fireEvent.click(settings);
+    fireEvent.click(rewind);
+    expect(handlers.onSwitchCamera).toHaveBeenCalled();
+    expect(handlers.onRewind).toHaveBeenCalled();
+    expect(handlers.onHistory).toHaveBeenCalled();
+    expect(handlers.onSettings).toHaveBeenCalled();
+  });
+
+  it('steps the flash mode', () => {
+    const { handlers, buttons } = setup({ flashMode: 'on' });
+    fireEvent.click(buttons().pop());
+    expect(handlers.onFlashMode).toHaveBeenCalledWith('auto');
+  });
+
+  it('steps the exposure count and blend of a multiple exposure', () => {
+    const { handlers } = setup({ multiExposure: { count: 2, blend: 'screen' }, latentExposures: 1 });
+    fireEvent.click(screen.getByText('ME1/2'));
+    expect(handlers.onMultiExposure).toHaveBeenLastCalledWith({ count: 3, blend: 'screen' });
+    fireEvent.click(screen.getByText('SCR'));
+    expect(handlers.onMultiExposure).toHaveBeenLastCalledWith({ count: 2, blend: 'lighten' });
+  });
+
+  it('offers to discard a partly exposed frame', () => {
+    expect(setup().buttons()).toHaveLength(4);
+    const { handlers, buttons } = setup({ pendingHalf: true });
+    expect(screen.getByText('HALF 1/2')).toBeTruthy();
+    // Discard sits just before flash
+    fireEvent.click(buttons().slice(-2)[0]);
+    expect(handlers.onDiscardPartial).toHaveBeenCalled();
+  });
+
+  it('toggles debug after five quick logo taps', () => {
+    jest.useFakeTimers();
+    const { handlers } = setup();
+    const logo = screen.getByText('R1-ANALOG');
+
+    for (let i = 0; i < 4; i++) fireEvent.click(logo);
+    jest.advanceTimersByTime(3000);
+    fireEvent.click(logo);
+    expect(handlers.onDebugToggle).not.toHaveBeenCalled();
+
+    for (let i = 0; i < 4; i++) fireEvent.click(logo);
+    expect(handlers.onDebugToggle).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+  });
+});
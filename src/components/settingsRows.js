@@ -0,0 +1,39 @@
+import { IMPRINT_CONTENTS, IMPRINT_POSITIONS, getImprintContent, getImprintPosition } from '../capture/imprint';
+import { PREFERENCE_CHOICES } from '../storage/preferences';
+
+const cycle = (list, value) => list[(list.indexOf(value) + 1) % list.length];
+
+// Rows for the Settings screen, built from the stored preferences; each press
+// steps to the next choice. setPreference is the usePreferences setter,
+// onReset runs for the confirmed RESET SETTINGS row.
+export const settingsRows = ({ preferences, setPreference, stocks, onReset }) => {
+  const { imprint } = preferences.capture;
+  const { maxAttempts, retryDelayMs } = preferences.upload;
+  const setImprint = setPreference('capture', 'imprint');
+  const cameraSizes = PREFERENCE_CHOICES.cameraSize;
+  const cameraSize = cameraSizes.findIndex(([w, h]) => w === preferences.camera.width && h === preferences.camera.height);
+  const stock = preferences.roll.stockId && (stocks.find(st => st.id === preferences.roll.stockId) || { name: preferences.roll.stockId });
+
+  return [
+    { id: 'imprint', label: 'IMPRINT', value: imprint.enabled ? 'ON' : 'OFF', onChange: () => setImprint(prev => ({ ...prev, enabled: !prev.enabled })) },
+    { id: 'imprintContent', label: 'IMPRINT SHOWS', value: getImprintContent(imprint.content).label, onChange: () => setImprint(prev => ({ ...prev, content: cycle(IMPRINT_CONTENTS.map(c => c.id), prev.content) })) },
+    { id: 'imprintPosition', label: 'IMPRINT CORNER', value: getImprintPosition(imprint.position).label, onChange: () => setImprint(prev => ({ ...prev, position: cycle(IMPRINT_POSITIONS.map(p => p.id), prev.position) })) },
+    { id: 'camera', label: 'CAMERA', value: preferences.camera.facingMode === 'user' ? 'FRONT' : 'BACK', onChange: () => setPreference('camera', 'facingMode')(prev => cycle(PREFERENCE_CHOICES.facingMode, prev)) },
+    {
+      id: 'cameraSize',
+      label: 'CAMERA RESOLUTION',
+      value: `${preferences.camera.height}P`,
+      onChange: () => {
+        const [width, height] = cameraSizes[(cameraSize + 1) % cameraSizes.length];
+        setPreference('camera', 'width')(width);
+        setPreference('camera', 'height')(height);
+      },
+    },
+    { id: 'rollStock', label: 'FILM STOCK', value: stock ? stock.name : 'LAST USED', onChange: () => setPreference('roll', 'stockId')(prev => cycle([null, ...stocks.map(st => st.id)], prev)) },
+    { id: 'rollLength', label: 'ROLL LENGTH', value: preferences.roll.length ? `${preferences.roll.length} EXP` : 'PER STOCK', onChange: () => setPreference('roll', 'length')(prev => cycle(PREFERENCE_CHOICES.rollLength, prev)) },
+    { id: 'swipe', label: 'SWIPE TO START', value: `${preferences.input.swipeThreshold}PX`, onChange: () => setPreference('input', 'swipeThreshold')(prev => cycle(PREFERENCE_CHOICES.swipeThreshold, prev)) },
+    { id: 'uploadAttempts', label: 'UPLOAD TRIES', value: maxAttempts, onChange: () => setPreference('upload', 'maxAttempts')(prev => cycle(PREFERENCE_CHOICES.maxAttempts, prev)) },
+    { id: 'uploadDelay', label: 'RETRY DELAY', value: `${retryDelayMs / 1000}S`, onChange: () => setPreference('upload', 'retryDelayMs')(prev => cycle(PREFERENCE_CHOICES.retryDelayMs, prev)) },
+    { id: 'reset', label: 'RESET SETTINGS', value: 'DEFAULTS', confirm: true, onChange: onReset },
+  ];
+};
@@ -0,0 +1,73 @@
+import { settingsRows } from './settingsRows';
+import { DEFAULT_PREFERENCES } from '../storage/preferences';
+
+const stocks = [{ id: 'portra400', name: 'Portra 400' }, { id: 'trix400', name: 'Tri-X 400' }];
+
+// Records what each press writes, applying updaters to the current value
+const setup = (preferences = DEFAULT_PREFERENCES, onReset = () => {}) => {
+  const writes = [];
+  const setPreference = (section, key) => (value) => {
+    writes.push([section, key, typeof value === 'function' ? value(preferences[section][key]) : value]);
+  };
+  const rows = settingsRows({ preferences, setPreference, stocks, onReset });
+  const press = (id) => {
+    writes.length = 0;
+    rows.find(row => row.id === id).onChange();
+    return writes;
+  };
+  return { rows, press };
+};
+
+const valueOf = (rows, id) => rows.find(row => row.id === id).value;
+
+describe('settingsRows', () => {
+  it('describes the current preferences', () => {
+    const { rows } = setup();
+    expect(valueOf(rows, 'imprint')).toBe('OFF');
+    expect(valueOf(rows, 'camera')).toBe('BACK');
+    expect(valueOf(rows, 'cameraSize')).toBe('1080P');
+    expect(valueOf(rows, 'rollStock')).toBe('LAST USED');
+    expect(valueOf(rows, 'rollLength')).toBe('PER STOCK');
+    expect(valueOf(rows, 'swipe')).toBe('60PX');
+    expect(valueOf(rows, 'uploadDelay')).toBe('2S');
+  });
+
+  it('names a chosen stock, or its id if no longer installed', () => {
+    const roll = (stockId) => ({ ...DEFAULT_PREFERENCES, roll: { stockId, length: 24 } });
+    expect(valueOf(setup(roll('trix400')).rows, 'rollStock')).toBe('Tri-X 400');
+    expect(valueOf(setup(roll('gone')).rows, 'rollStock')).toBe('gone');
+    expect(valueOf(setup(roll('trix400')).rows, 'rollLength')).toBe('24 EXP');
+  });
+
+  it('steps each row to its next choice, wrapping at the end', () => {
+    const { press } = setup();
+    expect(press('camera')).toEqual([['camera', 'facingMode', 'user']]);
+    expect(press('rollStock')).toEqual([['roll', 'stockId', 'portra400']]);
+    expect(press('swipe')).toEqual([['input', 'swipeThreshold', 90]]);
+    expect(press('uploadAttempts')).toEqual([['upload', 'maxAttempts', 8]]);
+
+    const last = setup({ ...DEFAULT_PREFERENCES, upload: { maxAttempts: 8, retryDelayMs: 5000 } });
+    expect(last.press('uploadAttempts')).toEqual([['upload', 'maxAttempts', 3]]);
+    expect(last.press('uploadDelay')).toEqual([['upload', 'retryDelayMs', 1000]]);
+  });
+
+  it('changes the camera width and height together', () => {
+    expect(setup().press('cameraSize')).toEqual([['camera', 'width', 3840], ['camera', 'height', 2160]]);
+  });
+
+  it('toggles and steps the imprint settings', () => {
+    const { press } = setup();
+    const [[, , imprint]] = press('imprint');
+    expect(imprint).toEqual({ ...DEFAULT_PREFERENCES.capture.imprint, enabled: true });
+    const [[, , moved]] = press('imprintPosition');
+    expect(moved.position).not.toBe(DEFAULT_PREFERENCES.capture.imprint.position);
+  });
+
+  it('asks to confirm a reset', () => {
+    const onReset = jest.fn();
+    const { rows, press } = setup(DEFAULT_PREFERENCES, onReset);
+    expect(rows.find(row => row.id === 'reset').confirm).toBe(true);
+    press('reset');
+    expect(onReset).toHaveBeenCalled();
+  });
+});
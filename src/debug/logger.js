@@ -0,0 +1,98 @@
+// Structured diagnostics log behind the debug overlay. Entries carry a level,
+// a category and an optional data payload, and live in a fixed-size ring
+// buffer so a long session can't grow memory without bound.
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_CATEGORIES = ['app', 'camera', 'capture', 'roll', 'upload', 'input'];
+
+const CONSOLE_METHOD = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const formatEntry = (entry) => {
+  const time = new Date(entry.time);
+  return `[${pad(time.getHours())}:${pad(time.getMinutes())}:${pad(time.getSeconds())}] ${entry.message}`;
+};
+
+// filter: { level: minimum level, category: 'all' or one category, text }
+export const matchesFilter = (entry, { level = 'debug', category = 'all', text = '' } = {}) =>
+  LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(level)
+  && (category === 'all' || entry.category === category)
+  && (!text || entry.message.toLowerCase().includes(text.toLowerCase()));
+
+// output gets a copy of every entry (console-like, null for none)
+export const createLogger = ({ capacity = 500, now = Date.now, output: initialOutput = console } = {}) => {
+  const buffer = new Array(capacity);
+  const listeners = new Set();
+  let start = 0;
+  let size = 0;
+  let sequence = 0;
+  let dropped = 0;
+  let output = initialOutput;
+
+  const log = (level, category, message, data) => {
+    const entry = { id: ++sequence, time: now(), level, category, message };
+    if (data !== undefined) entry.data = data;
+
+    // Full buffer: overwrite the oldest entry
+    buffer[(start + size) % capacity] = entry;
+    if (size < capacity) {
+      size += 1;
+    } else {
+      start = (start + 1) % capacity;
+      dropped += 1;
+    }
+
+    if (output) {
+      const method = output[CONSOLE_METHOD[level]] || output.log;
+      method.call(output, `[${category}] ${message}`, ...(data !== undefined ? [data] : []));
+    }
+    listeners.forEach(listener => listener(entry));
+    return entry;
+  };
+
+  // Oldest first
+  const entries = (filter) => {
+    const list = [];
+    for (let i = 0; i < size; i++) list.push(buffer[(start + i) % capacity]);
+    return filter ? list.filter(entry => matchesFilter(entry, filter)) : list;
+  };
+
+  const clear = () => {
+    start = 0;
+    size = 0;
+    dropped = 0;
+    listeners.forEach(listener => listener(null));
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Snapshot for taking off the device; meta is whatever context helps (version, device)
+  const exportJSON = (meta = {}) => JSON.stringify({
+    exportedAt: new Date(now()).toISOString(),
+    capacity,
+    dropped,
+    meta,
+    entries: entries(),
+  }, null, 2);
+
+  return {
+    log,
+    debug: (category, message, data) => log('debug', category, message, data),
+    info: (category, message, data) => log('info', category, message, data),
+    warn: (category, message, data) => log('warn', category, message, data),
+    error: (category, message, data) => log('error', category, message, data),
+    entries,
+    clear,
+    subscribe,
+    exportJSON,
+    setOutput: (next) => { output = next; },
+  };
+};
+
+// App-wide log shared by the UI and non-React modules (input layer). It is
+// only copied to the console while debug mode is on (App), so tests and
+// normal use stay quiet.
+export const logger = createLogger({ output: null });
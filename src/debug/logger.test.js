@@ -0,0 +1,69 @@
+import { createLogger, matchesFilter, formatEntry } from './logger';
+
+const quietLogger = (options) => createLogger({ output: null, now: () => 0, ...options });
+
+describe('createLogger', () => {
+  it('keeps structured entries oldest first', () => {
+    const logger = quietLogger();
+    logger.info('camera', 'Stream active', { id: 'abc' });
+    logger.error('upload', 'Upload error');
+
+    expect(logger.entries()).toEqual([
+      { id: 1, time: 0, level: 'info', category: 'camera', message: 'Stream active', data: { id: 'abc' } },
+      { id: 2, time: 0, level: 'error', category: 'upload', message: 'Upload error' },
+    ]);
+  });
+
+  it('drops the oldest entries once the ring buffer is full', () => {
+    const logger = quietLogger({ capacity: 3 });
+    ['a', 'b', 'c', 'd', 'e'].forEach(message => logger.info('app', message));
+
+    expect(logger.entries().map(entry => entry.message)).toEqual(['c', 'd', 'e']);
+    expect(JSON.parse(logger.exportJSON()).dropped).toBe(2);
+  });
+
+  it('filters by minimum level, category and text', () => {
+    const logger = quietLogger();
+    logger.debug('input', 'scrollUp');
+    logger.warn('upload', 'retry in 2s');
+    logger.error('camera', 'Track ended');
+
+    expect(logger.entries({ level: 'warn' }).map(entry => entry.message)).toEqual(['retry in 2s', 'Track ended']);
+    expect(logger.entries({ category: 'input' })).toHaveLength(1);
+    expect(matchesFilter(logger.entries()[2], { text: 'ENDED' })).toBe(true);
+  });
+
+  it('notifies subscribers and exports JSON with context', () => {
+    const logger = quietLogger();
+    const listener = jest.fn();
+    const unsubscribe = logger.subscribe(listener);
+    logger.info('app', 'hello');
+    unsubscribe();
+    logger.info('app', 'ignored');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    const exported = JSON.parse(logger.exportJSON({ version: '1.0.0' }));
+    expect(exported.meta).toEqual({ version: '1.0.0' });
+    expect(exported.entries).toHaveLength(2);
+  });
+
+  it('copies entries to its output until it is switched off', () => {
+    const output = { log: jest.fn(), error: jest.fn() };
+    const logger = quietLogger({ output });
+    logger.info('camera', 'Stream active', { id: 'abc' });
+    logger.error('upload', 'Upload error');
+    logger.setOutput(null);
+    logger.info('app', 'quiet');
+
+    expect(output.log).toHaveBeenCalledWith('[camera] Stream active', { id: 'abc' });
+    expect(output.error).toHaveBeenCalledWith('[upload] Upload error');
+    expect(output.log).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('formatEntry', () => {
+  it('prefixes the local time', () => {
+    const time = new Date(2026, 9, 19, 9, 5, 3).getTime();
+    expect(formatEntry({ time, message: 'Ready' })).toBe('[09:05:03] Ready');
+  });
+});
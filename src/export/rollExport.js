@@ -0,0 +1,61 @@
+// Local roll export: the frames plus a manifest.json describing the roll,
+// packed into one ZIP in the browser.
+import { createZip } from './zip';
+import { photoBlob } from './share';
+import { formatFrameNumber } from '../roll/rollModel';
+import { extensionFor } from '../capture/captureProfile';
+
+const slug = (value) => String(value || 'roll').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Frames without a stored number fall back to their position in the roll; the
+// extension follows the format the frame was saved in
+export const photoFileName = (photo, index = 0) =>
+  `${slug(photo.filter ? photo.filter.id : photo.stockId)}-${formatFrameNumber(photo.frameNumber ?? index + 1)}.${extensionFor(photo.blob && photo.blob.type)}`;
+
+export const rollFileName = (roll, exportedAt = new Date()) =>
+  `r1-analog-${slug(roll ? roll.stockName || roll.stockId : 'photos')}-${exportedAt.toISOString().slice(0, 10)}.zip`;
+
+// Frames oldest first, the order they were shot in
+const inShootingOrder = (photos) =>
+  [...photos].sort((a, b) => (a.frameNumber ?? 0) - (b.frameNumber ?? 0) || (a.createdAt ?? a.id) - (b.createdAt ?? b.id));
+
+export const buildManifest = (roll, photos, exportedAt = new Date()) => ({
+  app: 'r1-analog',
+  version: 1,
+  exportedAt: exportedAt.toISOString(),
+  roll: roll ? {
+    id: roll.id,
+    stockId: roll.stockId,
+    stockName: roll.stockName,
+    iso: roll.iso,
+    length: roll.length,
+    frameCount: roll.frameCount,
+    development: roll.development,
+    status: roll.status,
+    createdAt: roll.createdAt ? new Date(roll.createdAt).toISOString() : null,
+    finishedAt: roll.finishedAt ? new Date(roll.finishedAt).toISOString() : null,
+  } : null,
+  frames: inShootingOrder(photos).map((photo, index) => ({
+    file: photoFileName(photo, index),
+    frameNumber: photo.frameNumber ?? null,
+    stockId: photo.filter ? photo.filter.id : photo.stockId,
+    stockName: photo.filter ? photo.filter.name : undefined,
+    capturedAt: photo.createdAt ? new Date(photo.createdAt).toISOString() : null,
+  })),
+});
+
+export const exportRollZip = async (roll, photos, exportedAt = new Date()) => {
+  const ordered = inShootingOrder(photos);
+  const manifest = buildManifest(roll, ordered, exportedAt);
+  const entries = [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2), date: exportedAt }];
+
+  for (const [index, photo] of ordered.entries()) {
+    entries.push({
+      name: photoFileName(photo, index),
+      data: await photoBlob(photo),
+      date: photo.createdAt ? new Date(photo.createdAt) : exportedAt,
+    });
+  }
+
+  return { blob: await createZip(entries), fileName: rollFileName(roll, exportedAt), manifest };
+};
@@ -0,0 +1,67 @@
+// Getting files off the device without a cloud provider: the Web Share sheet
+// where it takes files, a plain download otherwise, or a LAN share server
+// (server/share-server.js) that turns a file into a URL for the QR code.
+
+// Helper to convert Data URL to Blob for sharing
+export const dataURItoBlob = (dataURI) => {
+  const byteString = atob(dataURI.split(',')[1]);
+  const mimeString = dataURI.split(',')[0].split(':')[1].split(';')[0];
+  const ab = new ArrayBuffer(byteString.length);
+  const ia = new Uint8Array(ab);
+  for (let i = 0; i < byteString.length; i++) {
+    ia[i] = byteString.charCodeAt(i);
+  }
+  return new Blob([ab], { type: mimeString });
+};
+
+// Stored frames carry their Blob; older photos may only have a data or object URL
+export const photoBlob = async (photo) => {
+  if (photo.blob) return photo.blob;
+  if (photo.url.startsWith('data:')) return dataURItoBlob(photo.url);
+  return (await fetch(photo.url)).blob();
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
+
+// Resolves 'shared', 'downloaded' or 'cancelled' (share sheet dismissed)
+export const shareOrDownload = async (blob, fileName, title = fileName) => {
+  const file = new File([blob], fileName, { type: blob.type });
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title });
+      return 'shared';
+    } catch (err) {
+      if (err.name === 'AbortError') return 'cancelled';
+      throw err;
+    }
+  }
+
+  downloadBlob(blob, fileName);
+  return 'downloaded';
+};
+
+// Hands a file to the LAN share server and returns the URL other devices can open
+export const publishToShareServer = async (serverUrl, blob, fileName) => {
+  const response = await fetch(`${serverUrl.replace(/\/$/, '')}/share?name=${encodeURIComponent(fileName)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+    body: blob,
+  });
+
+  if (!response.ok) {
+    throw new Error(`Share server error: ${response.status}`);
+  }
+
+  const { url } = await response.json();
+  return url;
+};
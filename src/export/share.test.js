@@ -0,0 +1,65 @@
+import { dataURItoBlob, photoBlob, shareOrDownload, publishToShareServer } from './share';
+
+const readText = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+describe('dataURItoBlob', () => {
+  it('decodes base64 data URLs with their type', async () => {
+    const blob = dataURItoBlob(`data:image/png;base64,${btoa('pixels')}`);
+    expect(blob.type).toBe('image/png');
+    expect(await readText(blob)).toBe('pixels');
+  });
+
+  it('is used for photos that only have a data URL', async () => {
+    const blob = await photoBlob({ url: `data:image/jpeg;base64,${btoa('frame')}` });
+    expect(await readText(blob)).toBe('frame');
+  });
+});
+
+describe('shareOrDownload', () => {
+  const { canShare, share } = navigator;
+  afterEach(() => {
+    navigator.canShare = canShare;
+    navigator.share = share;
+  });
+
+  it('uses the share sheet when it takes files', async () => {
+    navigator.canShare = () => true;
+    navigator.share = jest.fn(async () => {});
+    expect(await shareOrDownload(new Blob(['x'], { type: 'image/jpeg' }), 'std-01.jpg')).toBe('shared');
+    expect(navigator.share.mock.calls[0][0].files[0].name).toBe('std-01.jpg');
+  });
+
+  it('treats a dismissed share sheet as cancelled', async () => {
+    navigator.canShare = () => true;
+    navigator.share = async () => { throw Object.assign(new Error('dismissed'), { name: 'AbortError' }); };
+    expect(await shareOrDownload(new Blob(['x']), 'std-01.jpg')).toBe('cancelled');
+  });
+});
+
+describe('publishToShareServer', () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('posts the file and returns its LAN URL', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ url: 'http://192.168.1.5:8788/share/abc/roll.zip' }) }));
+    const url = await publishToShareServer('http://192.168.1.5:8788/', new Blob(['zip'], { type: 'application/zip' }), 'roll.zip');
+
+    expect(url).toBe('http://192.168.1.5:8788/share/abc/roll.zip');
+    expect(global.fetch).toHaveBeenCalledWith('http://192.168.1.5:8788/share?name=roll.zip', expect.objectContaining({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/zip' },
+    }));
+  });
+
+  it('surfaces server errors', async () => {
+    global.fetch = async () => ({ ok: false, status: 413 });
+    await expect(publishToShareServer('http://lan', new Blob([]), 'big.zip')).rejects.toThrow('Share server error: 413');
+  });
+});
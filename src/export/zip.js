@@ -0,0 +1,99 @@
+// Minimal ZIP writer. Entries are stored without compression: the JPEGs
+// don't shrink anyway, and it keeps the export free of dependencies.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields, local time, 2 second resolution
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const readBlob = (blob) => (blob.arrayBuffer
+  ? blob.arrayBuffer()
+  : new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  }));
+
+// Strings and Blobs both go through a Blob so text is UTF-8 encoded by the browser
+const toBytes = async (data) => (data instanceof Uint8Array ? data : new Uint8Array(await readBlob(new Blob([data]))));
+
+const header = (size, fill) => {
+  const bytes = new Uint8Array(size);
+  fill(new DataView(bytes.buffer));
+  return bytes;
+};
+
+// entries: [{ name, data: Blob | Uint8Array | string, date }] -> application/zip Blob
+export const createZip = async (entries) => {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = await toBytes(entry.name);
+    const data = await toBytes(entry.data);
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(entry.date || new Date());
+
+    // Flag bit 11: names are UTF-8
+    const local = header(30, view => {
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, 20, true);
+      view.setUint16(6, 0x0800, true);
+      view.setUint16(8, 0, true);
+      view.setUint16(10, time, true);
+      view.setUint16(12, date, true);
+      view.setUint32(14, crc, true);
+      view.setUint32(18, data.length, true);
+      view.setUint32(22, data.length, true);
+      view.setUint16(26, name.length, true);
+    });
+
+    central.push(header(46, view => {
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, 20, true);
+      view.setUint16(6, 20, true);
+      view.setUint16(8, 0x0800, true);
+      view.setUint16(10, 0, true);
+      view.setUint16(12, time, true);
+      view.setUint16(14, date, true);
+      view.setUint32(16, crc, true);
+      view.setUint32(20, data.length, true);
+      view.setUint32(24, data.length, true);
+      view.setUint16(28, name.length, true);
+      view.setUint32(42, offset, true);
+    }), name);
+
+    parts.push(local, name, data);
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = header(22, view => {
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, entries.length, true);
+    view.setUint16(10, entries.length, true);
+    view.setUint32(12, centralSize, true);
+    view.setUint32(16, offset, true);
+  });
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
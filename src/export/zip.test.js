@@ -0,0 +1,50 @@
+import { createZip, crc32 } from './zip';
+import { buildManifest, photoFileName } from './rollExport';
+
+const readBytes = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+describe('createZip', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(Uint8Array.from('123456789', c => c.charCodeAt(0)))).toBe(0xcbf43926);
+  });
+
+  it('writes stored entries with a central directory', async () => {
+    const zip = await createZip([
+      { name: 'manifest.json', data: '{}', date: new Date(2026, 9, 19, 14, 5, 10) },
+      { name: 'std-01.jpg', data: Uint8Array.of(0xff, 0xd8, 0xff, 0xd9) },
+    ]);
+    const bytes = await readBytes(zip);
+    const view = new DataView(bytes.buffer);
+
+    expect(zip.type).toBe('application/zip');
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(18, true)).toBe(2);
+
+    // End of central directory: entry count and where the directory starts
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    expect(view.getUint32(view.getUint32(end + 16, true), true)).toBe(0x02014b50);
+  });
+});
+
+describe('buildManifest', () => {
+  it('lists frames in shooting order with their file names', () => {
+    const stock = { id: 'PORTRA', name: 'Portra 400' };
+    const photos = [
+      { id: 2, frameNumber: 2, filter: stock, createdAt: 2000 },
+      { id: 1, frameNumber: 1, filter: stock, createdAt: 1000 },
+    ];
+    const manifest = buildManifest({ id: 'roll-1', stockId: 'PORTRA', length: 24 }, photos, new Date(0));
+
+    expect(manifest.roll).toMatchObject({ id: 'roll-1', stockId: 'PORTRA', length: 24 });
+    expect(manifest.frames.map(frame => frame.file)).toEqual(['portra-01.jpg', 'portra-02.jpg']);
+    expect(photoFileName({ filter: stock }, 4)).toBe('portra-05.jpg');
+    expect(photoFileName({ filter: stock, frameNumber: 3, blob: new Blob([], { type: 'image/webp' }) })).toBe('portra-03.webp');
+  });
+});
@@ -0,0 +1,60 @@
+// Parser for Adobe/Resolve .cube 3D LUT files.
+// Produces { title, size, domainMin, domainMax, data } where data holds the
+// size^3 RGB output triplets as written, red varying fastest, the layout
+// sampleLut() in pipeline.js expects. The domain is the input range the grid
+// spans; sampleLut() maps its input into it.
+export const parseCube = (text) => {
+  let title = null;
+  let size = null;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const values = [];
+
+  text.split(/\r?\n/).forEach((rawLine, lineNo) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    switch (keyword) {
+      case 'TITLE':
+        title = line.slice(5).trim().replace(/^"|"$/g, '');
+        return;
+      case 'LUT_3D_SIZE':
+        size = parseInt(rest[0], 10);
+        return;
+      case 'LUT_1D_SIZE':
+        throw new Error('1D .cube LUTs are not supported');
+      case 'DOMAIN_MIN':
+        domainMin = rest.map(Number);
+        return;
+      case 'DOMAIN_MAX':
+        domainMax = rest.map(Number);
+        return;
+      case 'LUT_3D_INPUT_RANGE':
+        domainMin = [Number(rest[0]), Number(rest[0]), Number(rest[0])];
+        domainMax = [Number(rest[1]), Number(rest[1]), Number(rest[1])];
+        return;
+      default:
+        break;
+    }
+
+    const triplet = line.split(/\s+/).map(Number);
+    if (triplet.length !== 3 || triplet.some(Number.isNaN)) {
+      throw new Error(`Invalid .cube data on line ${lineNo + 1}: ${line}`);
+    }
+    values.push(triplet);
+  });
+
+  if (!size || size < 2) {
+    throw new Error('Missing or invalid LUT_3D_SIZE');
+  }
+  if (values.length !== size * size * size) {
+    throw new Error(`Expected ${size * size * size} LUT entries, found ${values.length}`);
+  }
+
+  if ([0, 1, 2].some(c => !(domainMax[c] > domainMin[c]))) {
+    throw new Error('DOMAIN_MAX must be above DOMAIN_MIN');
+  }
+
+  return { title, size, domainMin, domainMax, data: Float32Array.from(values.flat()) };
+};
@@ -0,0 +1,69 @@
+import { buildCurve, processPixels, sampleLut } from './pipeline';
+import { getPreviewFilter, getPreviewOverlays, getGainMatrix } from './preview';
+import { parseCube } from './cube';
+import { getStock } from './registry';
+
+const pixel = (r, g, b) => Uint8ClampedArray.of(r, g, b, 255);
+
+// 2x2x2 identity LUT, red fastest
+const IDENTITY_CUBE = `TITLE "identity"
+LUT_3D_SIZE 2
+0 0 0
+1 0 0
+0 1 0
+1 1 0
+0 0 1
+1 0 1
+0 1 1
+1 1 1
+`;
+
+describe('processPixels', () => {
+  it('maps through the tone curve', () => {
+    expect(buildCurve([[0, 0], [255, 128]])[255]).toBe(128);
+    expect([...processPixels(pixel(255, 255, 255), 1, 1, { curves: { master: [[0, 0], [255, 128]] } })]).toEqual([128, 128, 128, 255]);
+  });
+
+  it('applies software gain before the curves', () => {
+    expect([...processPixels(pixel(100, 100, 100), 1, 1, { gain: [2, 1, 0.5] })]).toEqual([200, 100, 50, 255]);
+  });
+
+  it('mixes monochrome stocks down to one channel', () => {
+    const [r, g, b] = processPixels(pixel(200, 100, 0), 1, 1, { monochrome: [0.5, 0.5, 0] });
+    expect([r, g, b]).toEqual([150, 150, 150]);
+  });
+
+  it('samples .cube LUTs', () => {
+    const lut = parseCube(IDENTITY_CUBE);
+    sampleLut(lut, 255, 0, 128).forEach((value, i) => expect(value).toBeCloseTo([255, 0, 128][i]));
+  });
+
+  it('looks up the input within the LUT domain and keeps the output as written', () => {
+    // The grid covers inputs 0-0.5; outputs run 0-1
+    const lut = parseCube(IDENTITY_CUBE.replace('LUT_3D_SIZE 2', 'LUT_3D_SIZE 2\nDOMAIN_MAX 0.5 0.5 0.5'));
+    expect(lut.data[3]).toBe(1);
+    sampleLut(lut, 51, 0, 255).forEach((value, i) => expect(value).toBeCloseTo([102, 0, 255][i]));
+    expect(() => parseCube(IDENTITY_CUBE.replace('LUT_3D_SIZE 2', 'LUT_3D_SIZE 2\nDOMAIN_MAX 0 1 1'))).toThrow('DOMAIN_MAX');
+  });
+});
+
+describe('preview filter mapping', () => {
+  it('turns a neutral stock into a neutral CSS filter', () => {
+    expect(getPreviewFilter({ process: {} })).toBe('brightness(1) contrast(1)');
+  });
+
+  it('maps monochrome, saturation and warmth', () => {
+    expect(getPreviewFilter(getStock('HP5'))).toContain('grayscale(1)');
+    expect(getPreviewFilter({ process: { saturation: 1.2 } })).toContain('saturate(1.2)');
+    expect(getPreviewFilter({ process: { curves: { r: [[0, 0], [128, 160], [255, 255]] } } })).toMatch(/sepia\(0\.\d+\)/);
+  });
+
+  it('adds overlays for vignette, light leaks and grain', () => {
+    const layers = getPreviewOverlays({ process: { vignette: { amount: 0.2 }, grain: { amount: 0.05 }, lightLeak: { color: [255, 100, 0], amount: 0.3, edge: 'right' } } });
+    expect(layers.map(layer => layer.key)).toEqual(['vignette', 'leak', 'grain']);
+  });
+
+  it('matches the capture gain in the preview', () => {
+    expect(getGainMatrix([2, 1, 0.5])).toBe('2 0 0 0 0  0 1 0 0 0  0 0 0.5 0 0  0 0 0 1 0');
+  });
+});
@@ -0,0 +1,245 @@
+// Pixel-level film emulation applied to the captured canvas.
+// Runs once per shot in captureImage, so clarity beats micro-optimisation,
+// but everything per-pixel is folded into a single pass over the ImageData.
+
+const clamp = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+// 256-entry lookup table from [input, output] control points (linear between points)
+export const buildCurve = (points) => {
+  const table = new Uint8ClampedArray(256);
+  if (!points || points.length === 0) {
+    for (let x = 0; x < 256; x++) table[x] = x;
+    return table;
+  }
+
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  let seg = 0;
+  for (let x = 0; x < 256; x++) {
+    while (seg < sorted.length - 1 && x > sorted[seg + 1][0]) seg++;
+    const [x0, y0] = sorted[seg];
+    const [x1, y1] = sorted[Math.min(seg + 1, sorted.length - 1)];
+    const t = x1 === x0 ? 0 : Math.min(Math.max((x - x0) / (x1 - x0), 0), 1);
+    table[x] = y0 + (y1 - y0) * t;
+  }
+  return table;
+};
+
+// Master curve first, then the per-channel curve, collapsed into one table per channel
+export const buildChannelCurves = (curves = {}) => {
+  const master = buildCurve(curves.master);
+  return ['r', 'g', 'b'].map(channel => {
+    const channelCurve = buildCurve(curves[channel]);
+    const table = new Uint8ClampedArray(256);
+    for (let x = 0; x < 256; x++) table[x] = channelCurve[master[x]];
+    return table;
+  });
+};
+
+// Trilinear lookup into a 3D LUT. data holds size^3 RGB triplets (0-1) with
+// red varying fastest, which is the .cube file layout. The input (0-1) is
+// placed in the LUT's domain; values outside it take the nearest edge.
+export const sampleLut = (lut, r, g, b) => {
+  const { size, data, domainMin = [0, 0, 0], domainMax = [1, 1, 1] } = lut;
+  const max = size - 1;
+  const grid = (value, c) => Math.min(max, Math.max(0, ((value / 255 - domainMin[c]) / (domainMax[c] - domainMin[c])) * max));
+  const fr = grid(r, 0);
+  const fg = grid(g, 1);
+  const fb = grid(b, 2);
+  const r0 = Math.floor(fr);
+  const g0 = Math.floor(fg);
+  const b0 = Math.floor(fb);
+  const r1 = Math.min(r0 + 1, max);
+  const g1 = Math.min(g0 + 1, max);
+  const b1 = Math.min(b0 + 1, max);
+  const dr = fr - r0;
+  const dg = fg - g0;
+  const db = fb - b0;
+
+  const at = (ri, gi, bi, c) => data[((bi * size + gi) * size + ri) * 3 + c];
+  const out = [0, 0, 0];
+  for (let c = 0; c < 3; c++) {
+    const c00 = at(r0, g0, b0, c) * (1 - dr) + at(r1, g0, b0, c) * dr;
+    const c10 = at(r0, g1, b0, c) * (1 - dr) + at(r1, g1, b0, c) * dr;
+    const c01 = at(r0, g0, b1, c) * (1 - dr) + at(r1, g0, b1, c) * dr;
+    const c11 = at(r0, g1, b1, c) * (1 - dr) + at(r1, g1, b1, c) * dr;
+    const c0 = c00 * (1 - dg) + c10 * dg;
+    const c1 = c01 * (1 - dg) + c11 * dg;
+    out[c] = (c0 * (1 - db) + c1 * db) * 255;
+  }
+  return out;
+};
+
+// Exposure gain, fill flash, curves, LUT, saturation / monochrome, split
+// toning, vignette and grain in one pass
+export const processPixels = (data, width, height, process = {}, random = Math.random) => {
+  const [curveR, curveG, curveB] = buildChannelCurves(process.curves);
+  const gain = process.gain;
+  const fill = process.fillFlash || 0;
+  const saturation = process.saturation ?? 1;
+  const mono = process.monochrome;
+  const split = process.splitTone;
+  const splitAmount = split ? split.amount ?? 1 : 0;
+  const grain = process.grain ? process.grain.amount * 255 : 0;
+  const vignette = process.vignette ? process.vignette.amount : 0;
+  const lut = process.lut;
+
+  const cx = width / 2;
+  const cy = height / 2;
+  const maxDist = Math.sqrt(cx * cx + cy * cy);
+
+  for (let y = 0; y < height; y++) {
+    const dy = y - cy;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const dx = x - cx;
+      const d = Math.sqrt(dx * dx + dy * dy) / maxDist;
+
+      // Linear-light adjustments happen before the film curves
+      let r = data[i];
+      let g = data[i + 1];
+      let b = data[i + 2];
+      if (gain) {
+        r *= gain[0];
+        g *= gain[1];
+        b *= gain[2];
+      }
+      if (fill) {
+        // Software fill flash: lifts dark areas, strongest in the centre like a real flash
+        const lift = fill * (1 - (0.299 * r + 0.587 * g + 0.114 * b) / 255) * (1 - 0.6 * d * d);
+        r += (255 - r) * lift;
+        g += (255 - g) * lift;
+        b += (255 - b) * lift;
+      }
+
+      r = curveR[Math.min(r, 255) | 0];
+      g = curveG[Math.min(g, 255) | 0];
+      b = curveB[Math.min(b, 255) | 0];
+
+      if (lut) {
+        [r, g, b] = sampleLut(lut, r, g, b);
+      }
+
+      const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+      if (mono) {
+        const grey = mono[0] * r + mono[1] * g + mono[2] * b;
+        r = g = b = grey;
+      } else if (saturation !== 1) {
+        r = luma + (r - luma) * saturation;
+        g = luma + (g - luma) * saturation;
+        b = luma + (b - luma) * saturation;
+      }
+
+      if (split) {
+        const h = luma / 255;
+        const s = 1 - h;
+        r += (split.shadows[0] * s + split.highlights[0] * h) * splitAmount;
+        g += (split.shadows[1] * s + split.highlights[1] * h) * splitAmount;
+        b += (split.shadows[2] * s + split.highlights[2] * h) * splitAmount;
+      }
+
+      if (vignette) {
+        const falloff = 1 - vignette * d * d;
+        r *= falloff;
+        g *= falloff;
+        b *= falloff;
+      }
+
+      if (grain) {
+        // Silver grain is most visible in the midtones
+        const weight = 1 - Math.abs(luma / 127.5 - 1);
+        const noise = (random() - 0.5) * grain * (0.4 + weight);
+        r += noise;
+        g += noise;
+        b += noise;
+      }
+
+      data[i] = clamp(r);
+      data[i + 1] = clamp(g);
+      data[i + 2] = clamp(b);
+    }
+  }
+
+  return data;
+};
+
+// Red glow bleeding out of bright highlights: threshold a downscaled copy,
+// blur it and screen it back over the frame
+const applyHalation = (context, width, height, halation) => {
+  const scale = 0.25;
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const glow = document.createElement('canvas');
+  glow.width = w;
+  glow.height = h;
+  const glowContext = glow.getContext('2d');
+  glowContext.drawImage(context.canvas, 0, 0, w, h);
+
+  const imageData = glowContext.getImageData(0, 0, w, h);
+  const { data } = imageData;
+  const [gr, gg, gb] = halation.color;
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    const strength = luma > halation.threshold ? (luma - halation.threshold) / (255 - halation.threshold) : 0;
+    data[i] = gr * strength;
+    data[i + 1] = gg * strength;
+    data[i + 2] = gb * strength;
+  }
+  glowContext.putImageData(imageData, 0, 0);
+
+  context.save();
+  context.globalCompositeOperation = 'screen';
+  context.globalAlpha = halation.amount;
+  context.filter = `blur(${Math.round(width / 100)}px)`;
+  context.drawImage(glow, 0, 0, width, height);
+  context.restore();
+};
+
+// Gradient geometry shared with the viewfinder preview
+export const lightLeakGradient = (edge = 'right') => ({
+  left: [0, 0.5, 0.6, 0.5],
+  right: [1, 0.5, 0.4, 0.5],
+  top: [0.5, 0, 0.5, 0.6],
+  bottom: [0.5, 1, 0.5, 0.4],
+}[edge]);
+
+const applyLightLeak = (context, width, height, leak) => {
+  const [x0, y0, x1, y1] = lightLeakGradient(leak.edge);
+  const [r, g, b] = leak.color;
+  const gradient = context.createLinearGradient(x0 * width, y0 * height, x1 * width, y1 * height);
+  gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${leak.amount})`);
+  gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+
+  context.save();
+  context.globalCompositeOperation = 'screen';
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, width, height);
+  context.restore();
+};
+
+// Software exposure and fill flash only, for exposures that are blended
+// together before the film look is applied to the composite
+export const applyExposure = (context, width, height, { gain, fillFlash } = {}) => {
+  if (!gain && !fillFlash) return;
+  const imageData = context.getImageData(0, 0, width, height);
+  processPixels(imageData.data, width, height, { gain, fillFlash });
+  context.putImageData(imageData, 0, 0);
+};
+
+// Full film look for a stock, applied in place to whatever is on the canvas.
+// gain is the software exposure / white balance multiplier per channel,
+// fillFlash (0-1) the strength of the software fill flash.
+export const processFrame = (context, width, height, stock, { gain, fillFlash } = {}) => {
+  const process = { ...stock.process, lut: typeof stock.lut === 'object' ? stock.lut : null, gain, fillFlash };
+
+  if (process.halation) {
+    applyHalation(context, width, height, process.halation);
+  }
+
+  const imageData = context.getImageData(0, 0, width, height);
+  processPixels(imageData.data, width, height, process);
+  context.putImageData(imageData, 0, 0);
+
+  if (process.lightLeak) {
+    applyLightLeak(context, width, height, process.lightLeak);
+  }
+};
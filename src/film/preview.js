@@ -0,0 +1,82 @@
+import { buildChannelCurves, lightLeakGradient, sampleLut } from './pipeline';
+
+// Live viewfinder approximation of a stock. The video element can only take
+// CSS filters, so the tone curves are reduced to brightness / contrast and a
+// warm or cool cast, and grain / vignette / light leaks become overlays.
+const round = (v) => Math.round(v * 100) / 100;
+
+export const getPreviewFilter = (stock) => {
+  const process = stock.process || {};
+  const [r, g, b] = buildChannelCurves(process.curves);
+  const parts = [];
+
+  const mid = (r[128] + g[128] + b[128]) / 3;
+  const spread = ((r[192] + g[192] + b[192]) - (r[64] + g[64] + b[64])) / 3;
+  parts.push(`brightness(${round(mid / 128)})`);
+  parts.push(`contrast(${round(spread / 128)})`);
+
+  if (process.monochrome) {
+    parts.push('grayscale(1)');
+  } else if (process.saturation && process.saturation !== 1) {
+    parts.push(`saturate(${round(process.saturation)})`);
+  }
+
+  // Red-vs-blue balance of curves, split toning and LUT becomes a sepia cast
+  const split = process.splitTone;
+  const splitWarmth = split ? ((split.shadows[0] + split.highlights[0]) - (split.shadows[2] + split.highlights[2])) / 2 : 0;
+  const lutCast = stock.lut && typeof stock.lut === 'object' ? sampleLut(stock.lut, 128, 128, 128) : null;
+  const lutWarmth = lutCast ? lutCast[0] - lutCast[2] : 0;
+  const warmth = (r[128] - b[128]) + splitWarmth + lutWarmth;
+  if (warmth > 0) {
+    parts.push(`sepia(${round(Math.min(warmth / 64, 0.6))})`);
+  } else if (warmth < 0) {
+    parts.push(`hue-rotate(${Math.round(Math.max(warmth, -32) / 2)}deg)`);
+  }
+
+  return parts.join(' ');
+};
+
+// Fractal noise tile used for the preview grain
+const GRAIN_TEXTURE = `url("data:image/svg+xml,${encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="120" height="120"><filter id="n"><feTurbulence type="fractalNoise" baseFrequency="0.9" numOctaves="2" stitchTiles="stitch"/><feColorMatrix type="saturate" values="0"/></filter><rect width="100%" height="100%" filter="url(#n)"/></svg>'
+)}")`;
+
+// Style objects for absolutely positioned overlay layers on the viewfinder
+export const getPreviewOverlays = (stock) => {
+  const process = stock.process || {};
+  const layers = [];
+
+  if (process.vignette) {
+    layers.push({
+      key: 'vignette',
+      background: `radial-gradient(ellipse at center, rgba(0,0,0,0) 40%, rgba(0,0,0,${round(process.vignette.amount * 1.2)}) 100%)`,
+    });
+  }
+
+  if (process.lightLeak) {
+    const { color: [r, g, b], amount, edge } = process.lightLeak;
+    const [x0, y0, x1, y1] = lightLeakGradient(edge);
+    const angle = Math.round(Math.atan2(y1 - y0, x1 - x0) * 180 / Math.PI + 90);
+    layers.push({
+      key: 'leak',
+      background: `linear-gradient(${angle}deg, rgba(${r},${g},${b},${amount}) 0%, rgba(${r},${g},${b},0) 50%)`,
+      mixBlendMode: 'screen',
+    });
+  }
+
+  if (process.grain) {
+    layers.push({
+      key: 'grain',
+      backgroundImage: GRAIN_TEXTURE,
+      opacity: round(Math.min(process.grain.amount * 2, 0.4)),
+      mixBlendMode: 'overlay',
+    });
+  }
+
+  return layers;
+};
+
+// feColorMatrix values for the software exposure gain, used through an inline
+// SVG filter so the preview gets the same per-channel multipliers as capture
+export const getGainMatrix = ([r, g, b]) =>
+  `${round(r)} 0 0 0 0  0 ${round(g)} 0 0 0  0 0 ${round(b)} 0 0  0 0 0 1 0`;
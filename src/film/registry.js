@@ -0,0 +1,80 @@
+import { builtInStocks } from './stocks';
+import { parseCube } from './cube';
+
+// Film stock registry.
+//
+// A stock is plain data:
+//   id          stable identifier, persisted with rolls and frames
+//   name        display name
+//   iso         box speed
+//   rollLength  exposures per roll
+//   process     processing parameters for pipeline.js:
+//     curves      control points [in, out] (0-255) for master and per-channel curves
+//     saturation  1 = unchanged, 0 = greyscale
+//     monochrome  channel mix weights [r, g, b] for black & white stocks
+//     splitTone   RGB tint added to shadows / highlights, scaled by amount
+//     grain       amount 0-1, strongest in the midtones
+//     vignette    amount 0-1 of edge darkening
+//     halation    red glow around highlights above threshold (0-255)
+//     lightLeak   warm gradient bleeding in from one edge
+//   lut         optional .cube path (relative to PUBLIC_URL) in the JSON;
+//               replaced by the parsed LUT once loadStockLuts() has run
+const stocks = [];
+
+export const normalizeStock = (def) => {
+  if (!def || typeof def.id !== 'string' || !def.id) {
+    throw new Error('Film stock needs a string id');
+  }
+  if (typeof def.name !== 'string' || !def.name) {
+    throw new Error(`Film stock ${def.id} needs a name`);
+  }
+
+  return {
+    iso: 200,
+    rollLength: 24,
+    process: {},
+    lut: null,
+    ...def,
+  };
+};
+
+// Adds a stock, replacing any existing stock with the same id in place
+export const registerStock = (def) => {
+  const stock = normalizeStock(def);
+  const existing = stocks.findIndex(s => s.id === stock.id);
+  if (existing >= 0) {
+    stocks[existing] = stock;
+  } else {
+    stocks.push(stock);
+  }
+  return stock;
+};
+
+export const getStocks = () => [...stocks];
+
+export const getStock = (id) => stocks.find(s => s.id === id) || null;
+
+const fetchLut = async (path) => {
+  const response = await fetch(`${process.env.PUBLIC_URL || ''}/${path}`);
+  if (!response.ok) {
+    throw new Error(`LUT ${path}: ${response.status}`);
+  }
+  return parseCube(await response.text());
+};
+
+// Fetch and parse every LUT referenced by path. A stock whose LUT fails to load
+// keeps working without it; errors are reported through onError.
+export const loadStockLuts = async (onError = () => {}) => {
+  const pending = stocks.filter(stock => typeof stock.lut === 'string');
+  await Promise.all(pending.map(async (stock) => {
+    try {
+      registerStock({ ...stock, lutPath: stock.lut, lut: await fetchLut(stock.lut) });
+    } catch (err) {
+      registerStock({ ...stock, lut: null });
+      onError(err);
+    }
+  }));
+  return getStocks();
+};
+
+builtInStocks.forEach(registerStock);
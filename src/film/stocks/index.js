@@ -0,0 +1,18 @@
+// Built-in film stocks. To add a stock, drop a JSON file in this folder
+// (and optionally a .cube LUT in public/luts) and list it here; scroll order
+// follows this array.
+import standard from './standard.json';
+import triX400 from './tri-x-400.json';
+import colorPlus200 from './colorplus-200.json';
+import gold200 from './gold-200.json';
+import hp5400 from './hp5-400.json';
+import portra400 from './portra-400.json';
+
+export const builtInStocks = [
+  standard,
+  triX400,
+  colorPlus200,
+  gold200,
+  hp5400,
+  portra400,
+];
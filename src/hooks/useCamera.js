@@ -0,0 +1,50 @@
+import { useState, useEffect, useRef } from 'react';
+import { createCameraManager, cameraConstraints } from '../camera/cameraManager';
+
+// React binding for the camera manager: starts the camera on mount, follows
+// visibility changes and releases the camera on unmount. New constraints
+// (from preferences) restart the default camera.
+// log(level, message, data)
+const useCamera = (log = () => {}, { facingMode, width, height }) => {
+  const logRef = useRef(log);
+  logRef.current = log;
+  const managerRef = useRef(null);
+  if (!managerRef.current) {
+    managerRef.current = createCameraManager({
+      constraints: cameraConstraints({ facingMode, width, height }),
+      log: (...args) => logRef.current(...args),
+      onChange: (next) => setState(next),
+    });
+  }
+  const manager = managerRef.current;
+  const [state, setState] = useState(manager.getState);
+
+  useEffect(() => {
+    const camera = managerRef.current;
+    const detach = camera.attach();
+    camera.start();
+    return () => {
+      detach();
+      camera.stop();
+    };
+  }, []);
+
+  // Skips the first run (the manager was created with these) and StrictMode's replay
+  const applied = useRef({ facingMode, width, height });
+  useEffect(() => {
+    const last = applied.current;
+    if (last.facingMode === facingMode && last.width === width && last.height === height) return;
+    applied.current = { facingMode, width, height };
+    managerRef.current.configure(cameraConstraints({ facingMode, width, height }));
+  }, [facingMode, width, height]);
+
+  return {
+    ...state,
+    start: manager.start,
+    stop: manager.stop,
+    selectDevice: manager.selectDevice,
+    listDevices: manager.listDevices,
+  };
+};
+
+export default useCamera;
@@ -0,0 +1,358 @@
+import { useState, useEffect, useRef } from 'react';
+import * as rollStore from '../storage/rollStore';
+import { nextFrameNumber, formatFrameNumber } from '../roll/rollModel';
+import { exposeCapture, encodeCapture, createFrameRecord } from '../capture/capture';
+import { getDriveMode, runDriveMode } from '../capture/driveModes';
+import { renderGhost } from '../capture/multiExposure';
+import { getFormat, getFormatByMime } from '../capture/captureProfile';
+import { IMPRINT_POSITIONS, getImprintPosition, createImprint, nextImprintPosition, drawImprint, renderImprint } from '../capture/imprint';
+import { getBoothLayout, boothCellProfile, composeBooth } from '../capture/photoBooth';
+import { hasTorch, setTorch, measureLuminance, shouldFireFlash, fillFlashAmount, TORCH_SETTLE_MS } from '../camera/flash';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Shutter presses and what they put on the roll: single shots, drive
+// sequences (src/capture/driveModes.js), multiple exposures and half frames
+// waiting for their next press, booth prints and imprint edits. Frames go to
+// the roll through addFrame / updatePhoto (useRoll); rollRef is read because
+// a drive sequence outlives the render that started it. canvasRef is the
+// hidden canvas frames are developed on.
+// log(message, level); settings are the capture preferences.
+const useCapture = (log = () => {}, { flashMode, profile, booth, imprint: imprintSettings }, {
+  videoRef,
+  stream,
+  stock,
+  boothStock,
+  softwareExposure,
+  rollRef,
+  addFrame,
+  updatePhoto,
+}) => {
+  const [flashFired, setFlashFired] = useState(false);
+  const [shutterPressed, setShutterPressed] = useState(false);
+  const [isDeveloping, setIsDeveloping] = useState(false);
+  // Drive mode and progress of a running sequence (null when idle)
+  const [driveMode, setDriveMode] = useState('single');
+  const [driveProgress, setDriveProgress] = useState(null);
+  // Multiple exposure: exposures per frame, blend mode and the pending frame's ghost
+  const [multiExposure, setMultiExposure] = useState({ count: 1, blend: 'screen' });
+  const [latentExposures, setLatentExposures] = useState(0);
+  const [ghostUrl, setGhostUrl] = useState(null);
+  // First half of a half-frame diptych is exposed
+  const [pendingHalf, setPendingHalf] = useState(false);
+
+  const logRef = useRef(log);
+  logRef.current = log;
+  const canvasRef = useRef(null);
+  const driveRef = useRef(null);
+  const exposeFrameRef = useRef(null);
+  const latentRef = useRef(null);
+  const halfFrameRef = useRef(null);
+  // Developed frames of the running booth sequence
+  const boothCellsRef = useRef([]);
+
+  const shotsLeft = () => (rollRef.current ? rollRef.current.shotsLeft : 0);
+
+  // Drops a partly exposed multiple-exposure frame without using a shot
+  const discardLatent = () => {
+    latentRef.current = null;
+    setLatentExposures(0);
+    setGhostUrl(null);
+  };
+
+  const discardHalfFrame = () => {
+    halfFrameRef.current = null;
+    setPendingHalf(false);
+  };
+
+  // Drops whatever is exposed but not yet developed
+  const discardPartialFrame = () => {
+    discardLatent();
+    discardHalfFrame();
+  };
+
+  // Encodes a developed canvas and adds it to the roll as the next frame.
+  // The imprint stage encodes the clean negative first, then burns in the
+  // imprint for the frame everyone sees. Resolves to false if nothing was stored.
+  const storeFrame = async (canvas, frameStock, { imprint: withImprint = false } = {}) => {
+    const current = rollRef.current;
+    const capturedAt = new Date();
+    const frameNumber = nextFrameNumber(current);
+    const meta = { date: capturedAt, stock: frameStock, rollId: current.id, frameNumber };
+    const imprint = withImprint ? createImprint(imprintSettings, { ...meta, rollLength: current.length }) : null;
+
+    let encoded;
+    let negative = null;
+    try {
+      encoded = await encodeCapture(canvas, profile, meta);
+      if (imprint) {
+        negative = encoded.blob;
+        drawImprint(canvas, imprint);
+        encoded = await encodeCapture(canvas, profile, { ...meta, imprint });
+      }
+    } catch (err) {
+      log(`Capture error: ${err.message}`, 'error');
+      return false;
+    }
+    if (encoded.fallback) {
+      log(`${getFormat(profile.format).label} not supported, saved as ${encoded.blob.type}`);
+    }
+    if (encoded.metadataError) {
+      log(`Metadata error: ${encoded.metadataError.message}`, 'error');
+    }
+
+    const frame = createFrameRecord({ blob: encoded.blob, rollId: current.id, frameNumber, stock: frameStock, capturedAt, imprint, negative });
+
+    await addFrame(frame);
+    return true;
+  };
+
+  const captureImage = async ({ fillFlash = 0 } = {}) => {
+    if (shotsLeft() <= 0 || !videoRef.current || !canvasRef.current) return false;
+
+    const canvas = canvasRef.current;
+    const currentStock = stock;
+    const exposed = exposeCapture({
+      canvas,
+      video: videoRef.current,
+      profile,
+      stock: currentStock,
+      zoom: softwareExposure.zoom,
+      gain: softwareExposure.gain,
+      fillFlash,
+      multiExposure,
+      pending: { latent: latentRef.current, half: halfFrameRef.current },
+    });
+    latentRef.current = exposed.pending.latent;
+    halfFrameRef.current = exposed.pending.half;
+
+    if (exposed.status === 'exposed') {
+      const { latent, half } = exposed.pending;
+      if (exposed.stage === 'exposure') {
+        log(`Exposure ${latent.exposures}/${multiExposure.count} (${multiExposure.blend})`);
+      } else {
+        log('Half frame 1/2');
+      }
+      setLatentExposures(latent ? latent.exposures : 0);
+      setGhostUrl(latent ? renderGhost(latent) : null);
+      setPendingHalf(!!half);
+      return true;
+    }
+    discardPartialFrame();
+    return storeFrame(canvas, currentStock, { imprint: imprintSettings.enabled });
+  };
+
+  // Develops one booth frame onto its own canvas; the roll advances once the
+  // print is made
+  const captureBoothCell = async ({ fillFlash = 0 } = {}) => {
+    if (!videoRef.current) return false;
+
+    const canvas = document.createElement('canvas');
+    exposeCapture({
+      canvas,
+      video: videoRef.current,
+      profile: boothCellProfile(booth, profile),
+      stock: boothStock,
+      zoom: softwareExposure.zoom,
+      gain: softwareExposure.gain,
+      fillFlash,
+    });
+    boothCellsRef.current.push(canvas);
+    log(`Booth frame ${boothCellsRef.current.length}/${getBoothLayout(booth.layout).frames}`);
+    return true;
+  };
+
+  // Composes a finished booth sequence into one print on the roll
+  const printBooth = async ({ layout: layoutId, border, stock: printStock }, complete) => {
+    const cells = boothCellsRef.current;
+    boothCellsRef.current = [];
+    if (!complete || cells.length < getBoothLayout(layoutId).frames) return;
+    if (shotsLeft() <= 0) return;
+
+    setIsDeveloping(true);
+    try {
+      const print = composeBooth(cells, { layout: layoutId, border, stockName: printStock.name });
+      await storeFrame(print, printStock);
+      log(`Booth print ${getBoothLayout(layoutId).label} ${print.width}x${print.height}`);
+    } catch (err) {
+      log(`Booth print error: ${err.message}`, 'error');
+    } finally {
+      setIsDeveloping(false);
+    }
+  };
+
+  // One exposure: meter, fire the torch or the software fill flash, capture.
+  // settleMs holds the shutter open for the single-shot "developing" pause;
+  // drive sequences pass 0 so bursts keep their rate. boothCell captures a
+  // booth frame instead of a roll frame. Resolves to whether anything was
+  // exposed (see runDriveMode).
+  const exposeFrame = async ({ settleMs = 0, boothCell = false } = {}) => {
+    const luminance = flashMode === 'auto' ? measureLuminance(videoRef.current) : null;
+    const fire = shouldFireFlash(flashMode, luminance);
+    const track = stream ? stream.getVideoTracks()[0] : null;
+    let torchOn = false;
+
+    if (fire && hasTorch(track)) {
+      try {
+        await setTorch(track, true);
+        torchOn = true;
+        log(`Torch on${luminance != null ? ` (luma ${Math.round(luminance)})` : ''}`);
+      } catch (err) {
+        log(`Torch error: ${err.message}`, 'error');
+      }
+    }
+
+    if (fire && !torchOn) {
+      setFlashFired(true);
+      setTimeout(() => setFlashFired(false), 100);
+    }
+
+    // Gives the torch time to settle auto exposure
+    const wait = Math.max(settleMs, torchOn ? TORCH_SETTLE_MS : 0);
+    if (wait > 0) await delay(wait);
+
+    try {
+      const capture = boothCell ? captureBoothCell : captureImage;
+      return await capture({ fillFlash: fillFlashAmount(fire, torchOn) });
+    } finally {
+      if (torchOn) {
+        setTorch(track, false).catch(err => logRef.current(`Torch error: ${err.message}`, 'error'));
+      }
+    }
+  };
+
+  exposeFrameRef.current = exposeFrame;
+
+  const pressShutter = () => {
+    setShutterPressed(true);
+    setTimeout(() => setShutterPressed(false), 200);
+  };
+
+  // Shutter Action
+  const takePhoto = async () => {
+    if (shotsLeft() <= 0 || isDeveloping || driveRef.current) return;
+
+    pressShutter();
+    setIsDeveloping(true);
+
+    try {
+      await exposeFrame({ settleMs: 800 });
+    } finally {
+      setIsDeveloping(false);
+    }
+  };
+
+  const cancelDrive = () => {
+    if (driveRef.current) driveRef.current.cancel();
+  };
+
+  // Runs a drive mode; pressing the shutter again while it runs cancels it
+  const startDrive = (modeId = driveMode) => {
+    if (driveRef.current) {
+      cancelDrive();
+      return;
+    }
+
+    const mode = getDriveMode(modeId);
+    if (mode.type === 'single') {
+      takePhoto();
+      return;
+    }
+    if (shotsLeft() <= 0 || isDeveloping) return;
+
+    // Booth settings are fixed for the sequence; the layout sets the frame count
+    const print = mode.type === 'booth' ? { ...booth, stock: boothStock } : null;
+    const sequence = print ? { ...mode, frames: getBoothLayout(print.layout).frames } : mode;
+    boothCellsRef.current = [];
+
+    log(`Drive: ${mode.id}`);
+    setDriveProgress({ mode });
+    driveRef.current = runDriveMode(sequence, {
+      shoot: async () => {
+        pressShutter();
+        return exposeFrameRef.current({ boothCell: !!print });
+      },
+      shotsLeft,
+      onTick: (tick) => setDriveProgress({ mode, ...tick }),
+      onDone: ({ shots, cancelled, error }) => {
+        driveRef.current = null;
+        setDriveProgress(null);
+        if (error) logRef.current(`Drive error: ${error.message}`, 'error');
+        logRef.current(`Drive ${mode.id} ${cancelled ? 'cancelled' : 'done'} (${shots} frames)`);
+        if (print) printBooth(print, !cancelled && !error);
+      },
+    });
+  };
+
+  useEffect(() => () => cancelDrive(), []);
+
+  // Moves a frame's imprint to the next corner, or removes it after the last,
+  // by drawing it again on the stored negative
+  const cycleImprint = async (photo) => {
+    if (!photo.negative) return;
+    const date = new Date(photo.createdAt);
+
+    try {
+      // A removed imprint comes back in the first corner with the current
+      // settings; FRAME NO. needs the length of the roll the frame was shot on
+      let imprint = photo.imprint && nextImprintPosition(photo.imprint);
+      if (!photo.imprint) {
+        const current = rollRef.current;
+        const frameRoll = current && current.id === photo.rollId ? current : await rollStore.getRoll(photo.rollId);
+        imprint = createImprint({ ...imprintSettings, position: IMPRINT_POSITIONS[0].id }, {
+          date,
+          frameNumber: photo.frameNumber,
+          rollLength: frameRoll ? frameRoll.length : null,
+        });
+      }
+
+      let blob = photo.negative;
+      if (imprint) {
+        const canvas = await renderImprint(photo.negative, imprint);
+        const frameProfile = { ...profile, format: getFormatByMime(photo.negative.type).id };
+        ({ blob } = await encodeCapture(canvas, frameProfile, {
+          date,
+          stock: photo.filter,
+          rollId: photo.rollId,
+          frameNumber: photo.frameNumber,
+          imprint,
+        }));
+      }
+
+      // editedAt tells the upload queue not to reuse an earlier upload
+      const editedAt = Date.now();
+      const frame = await rollStore.getFrame(photo.id);
+      if (frame) await rollStore.saveFrame({ ...frame, blob, imprint, negative: photo.negative, editedAt });
+
+      updatePhoto(photo.id, { blob, imprint, editedAt });
+      log(`Frame ${formatFrameNumber(photo.frameNumber)} imprint ${imprint ? getImprintPosition(imprint.position).label.toLowerCase() : 'removed'}`);
+    } catch (err) {
+      log(`Imprint error: ${err.message}`, 'error');
+    }
+  };
+
+  return {
+    canvasRef,
+    flashFired,
+    shutterPressed,
+    isDeveloping,
+    driveMode,
+    driveProgress,
+    multiExposure,
+    latentExposures,
+    ghostUrl,
+    pendingHalf,
+    // A partly exposed frame keeps the capture profile it was started with
+    framePending: () => !!(latentRef.current || halfFrameRef.current),
+    setDriveMode,
+    setMultiExposure,
+    takePhoto,
+    startDrive,
+    cancelDrive,
+    isDriving: () => !!driveRef.current,
+    discardPartialFrame,
+    cycleImprint,
+  };
+};
+
+export default useCapture;
@@ -0,0 +1,88 @@
+import { renderHook, act } from '@testing-library/react';
+import useCapture from './useCapture';
+import { DEFAULT_PREFERENCES } from '../storage/preferences';
+import { getStocks } from '../film/registry';
+
+// Smallest JPEG the metadata writer accepts: SOI, a fake scan, EOI
+const JPEG = Uint8Array.of(0xff, 0xd8, 0xff, 0xda, 0x00, 0x04, 0x01, 0x02, 0x11, 0x22, 0xff, 0xd9);
+
+// jsdom has no canvas; this one draws nothing and encodes to a tiny JPEG
+const fakeCanvas = () => {
+  const canvas = { width: 0, height: 0 };
+  const context = {
+    canvas,
+    drawImage: () => {},
+    getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4).fill(128) }),
+    putImageData: () => {},
+    fillRect: () => {},
+    save: () => {},
+    restore: () => {},
+    createLinearGradient: () => ({ addColorStop: () => {} }),
+  };
+  canvas.getContext = () => context;
+  canvas.toBlob = (callback) => callback(new Blob([JPEG], { type: 'image/jpeg' }));
+  canvas.toDataURL = () => 'data:image/jpeg;base64,';
+  return canvas;
+};
+
+const stocks = getStocks();
+
+const setup = ({ shotsLeft = 12 } = {}) => {
+  const addFrame = jest.fn();
+  const rollRef = { current: { id: 'roll-1', length: 12, frameCount: 12 - shotsLeft, shotsLeft } };
+  const hook = renderHook(() => useCapture(() => {}, DEFAULT_PREFERENCES.capture, {
+    videoRef: { current: { videoWidth: 40, videoHeight: 30 } },
+    stream: null,
+    stock: stocks[0],
+    boothStock: stocks[0],
+    softwareExposure: { zoom: 1, gain: 1 },
+    rollRef,
+    addFrame,
+    updatePhoto: jest.fn(),
+  }));
+  hook.result.current.canvasRef.current = fakeCanvas();
+  return { ...hook, addFrame };
+};
+
+let createElement;
+beforeEach(() => {
+  const create = document.createElement.bind(document);
+  createElement = jest.spyOn(document, 'createElement').mockImplementation(tag => (tag === 'canvas' ? fakeCanvas() : create(tag)));
+});
+afterEach(() => createElement.mockRestore());
+
+describe('useCapture', () => {
+  it('develops a single press onto the roll as the next frame', async () => {
+    const { result, addFrame } = setup();
+
+    await act(() => result.current.takePhoto());
+    expect(addFrame).toHaveBeenCalledTimes(1);
+    expect(addFrame.mock.calls[0][0]).toMatchObject({ rollId: 'roll-1', frameNumber: 1, stockId: stocks[0].id });
+    expect(result.current.isDeveloping).toBe(false);
+  });
+
+  it('holds a multiple exposure until the last press, or drops it', async () => {
+    const { result, addFrame } = setup();
+    act(() => result.current.setMultiExposure({ count: 2, blend: 'screen' }));
+
+    await act(() => result.current.takePhoto());
+    expect(addFrame).not.toHaveBeenCalled();
+    expect(result.current.latentExposures).toBe(1);
+    expect(result.current.ghostUrl).toMatch(/^data:image\/jpeg/);
+    expect(result.current.framePending()).toBe(true);
+
+    act(() => result.current.discardPartialFrame());
+    expect(result.current.latentExposures).toBe(0);
+    expect(result.current.ghostUrl).toBeNull();
+    expect(result.current.framePending()).toBe(false);
+  });
+
+  it('does not shoot past the end of the roll', async () => {
+    const { result, addFrame } = setup({ shotsLeft: 0 });
+
+    await act(() => result.current.takePhoto());
+    act(() => result.current.startDrive('burst'));
+    expect(addFrame).not.toHaveBeenCalled();
+    expect(result.current.isDriving()).toBe(false);
+  });
+});
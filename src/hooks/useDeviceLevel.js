@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { levelAngle } from '../camera/viewfinder';
+
+export const hasDeviceOrientation = () => typeof window !== 'undefined' && 'DeviceOrientationEvent' in window;
+
+// iOS Safari only delivers orientation events after an explicit permission
+// prompt, which has to come from a tap
+export const requestOrientationPermission = async () => {
+  if (!hasDeviceOrientation()) return 'unsupported';
+  const { requestPermission } = window.DeviceOrientationEvent;
+  if (typeof requestPermission !== 'function') return 'granted';
+  try {
+    return await requestPermission();
+  } catch (err) {
+    return 'denied';
+  }
+};
+
+// Horizon tilt in degrees while enabled; null until the first reading, or when
+// the device has no orientation sensor or is lying flat
+const useDeviceLevel = (enabled) => {
+  const [angle, setAngle] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !hasDeviceOrientation()) {
+      setAngle(null);
+      return undefined;
+    }
+
+    const handleOrientation = (event) => setAngle(levelAngle(event.beta, event.gamma));
+    window.addEventListener('deviceorientation', handleOrientation);
+    return () => window.removeEventListener('deviceorientation', handleOrientation);
+  }, [enabled]);
+
+  return angle;
+};
+
+export default useDeviceLevel;
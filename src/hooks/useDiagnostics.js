@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { getStorageEstimate } from '../storage/rollStore';
+
+const SAMPLE_MS = 1000;
+
+export const formatMB = (bytes) => `${(bytes / 1048576).toFixed(1)}MB`;
+
+// Camera track details for the debug overlay; getCapabilities is missing on some browsers
+export const describeTrack = (stream) => {
+  const track = stream ? stream.getVideoTracks()[0] : null;
+  if (!track) return null;
+  return {
+    label: track.label,
+    readyState: track.readyState,
+    muted: track.muted,
+    settings: track.getSettings ? track.getSettings() : {},
+    capabilities: track.getCapabilities ? track.getCapabilities() : null,
+  };
+};
+
+// Live numbers for the debug overlay, sampled only while it is open.
+// FPS counts decoded video frames where requestVideoFrameCallback exists and
+// falls back to UI animation frames ('ui') elsewhere.
+const useDiagnostics = (videoRef, stream, enabled) => {
+  const [stats, setStats] = useState({ fps: null, fpsSource: null, memory: null, storage: null, track: null });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const video = videoRef.current;
+    const videoFrames = !!(video && video.requestVideoFrameCallback);
+    let frames = 0;
+    let last = performance.now();
+    let handle = null;
+    let stopped = false;
+
+    const count = () => {
+      frames += 1;
+      schedule();
+    };
+    const schedule = () => {
+      if (stopped) return;
+      handle = videoFrames ? video.requestVideoFrameCallback(count) : requestAnimationFrame(count);
+    };
+    schedule();
+
+    const sample = async () => {
+      const now = performance.now();
+      const fps = (frames * 1000) / (now - last);
+      frames = 0;
+      last = now;
+
+      // performance.memory is Chromium only
+      const heap = performance.memory;
+      const storage = await getStorageEstimate().catch(() => null);
+      if (stopped) return;
+      setStats({
+        fps,
+        fpsSource: videoFrames ? 'video' : 'ui',
+        memory: heap ? { used: heap.usedJSHeapSize, limit: heap.jsHeapSizeLimit } : null,
+        storage,
+        track: describeTrack(stream),
+      });
+    };
+    const timer = setInterval(sample, SAMPLE_MS);
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      if (videoFrames) video.cancelVideoFrameCallback(handle);
+      else cancelAnimationFrame(handle);
+    };
+  }, [videoRef, enabled, stream]);
+
+  return stats;
+};
+
+export default useDiagnostics;
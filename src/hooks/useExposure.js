@@ -0,0 +1,60 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  DEFAULT_EXPOSURE,
+  EXPOSURE_CONTROLS,
+  getExposureCapabilities,
+  stepExposure,
+  buildTrackConstraints,
+  getSoftwareExposure,
+} from '../camera/exposure';
+
+// Exposure state for the live stream: reads the track's capabilities when the
+// stream changes and pushes hardware constraints whenever a value changes.
+const useExposure = (stream, stockIso, log = () => {}) => {
+  const [exposure, setExposure] = useState(DEFAULT_EXPOSURE);
+  const [caps, setCaps] = useState(() => getExposureCapabilities(null));
+  const [control, setControl] = useState(EXPOSURE_CONTROLS[0]);
+  const logRef = useRef(log);
+  logRef.current = log;
+
+  const track = stream ? stream.getVideoTracks()[0] : null;
+
+  useEffect(() => {
+    const nextCaps = getExposureCapabilities(track);
+    setCaps(nextCaps);
+    if (track) {
+      const hardware = EXPOSURE_CONTROLS.filter(c => nextCaps[c]);
+      logRef.current(`Exposure HW: ${hardware.length > 0 ? hardware.join(', ') : 'none (software fallback)'}`);
+    }
+  }, [track]);
+
+  useEffect(() => {
+    if (!track || !track.applyConstraints) return;
+    const constraints = buildTrackConstraints(exposure, caps);
+    if (!constraints) return;
+
+    track.applyConstraints(constraints)
+      .catch(err => logRef.current(`Exposure constraint error: ${err.message}`, 'error'));
+  }, [track, exposure, caps]);
+
+  const step = (delta) => setExposure(prev => stepExposure(prev, control, delta, caps));
+
+  const cycleControl = () => setControl(prev =>
+    EXPOSURE_CONTROLS[(EXPOSURE_CONTROLS.indexOf(prev) + 1) % EXPOSURE_CONTROLS.length]
+  );
+
+  const reset = () => setExposure(DEFAULT_EXPOSURE);
+
+  return {
+    exposure,
+    caps,
+    control,
+    setControl,
+    cycleControl,
+    step,
+    reset,
+    software: getSoftwareExposure(exposure, caps, stockIso),
+  };
+};
+
+export default useExposure;
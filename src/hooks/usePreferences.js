@@ -0,0 +1,41 @@
+import { useState, useEffect, useRef } from 'react';
+import { loadPreferences, savePreferences, resetPreferences } from '../storage/preferences';
+
+// Preferences (src/storage/preferences.js) as React state, saved on every
+// change. set(section, key) returns a setter for one value that takes a value
+// or an updater, like a useState setter.
+// log(message, level)
+const usePreferences = (log = () => {}) => {
+  const [preferences, setPreferences] = useState(() => loadPreferences());
+  const saveFailed = useRef(false);
+  const logRef = useRef(log);
+  logRef.current = log;
+
+  useEffect(() => {
+    try {
+      savePreferences(preferences);
+      saveFailed.current = false;
+    } catch (err) {
+      // Report once; the preferences still apply until reload
+      if (!saveFailed.current) logRef.current(`Preferences not saved: ${err.message}`, 'warn');
+      saveFailed.current = true;
+    }
+  }, [preferences]);
+
+  const set = (section, key) => (value) => setPreferences(prev => ({
+    ...prev,
+    [section]: {
+      ...prev[section],
+      [key]: typeof value === 'function' ? value(prev[section][key]) : value,
+    },
+  }));
+
+  const reset = () => {
+    setPreferences(resetPreferences());
+    log('Preferences reset to defaults');
+  };
+
+  return { preferences, set, reset };
+};
+
+export default usePreferences;
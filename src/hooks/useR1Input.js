@@ -0,0 +1,17 @@
+import { useEffect, useRef } from 'react';
+import { startInput, pushInputLayer } from '../input/r1Input';
+
+// Claim the R1 side button and scroll wheel while mounted and enabled.
+// The most recently enabled consumer wins; see input/r1Input.js.
+const useR1Input = (handlers, enabled = true) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    startInput();
+    if (!enabled) return;
+    return pushInputLayer(handlersRef);
+  }, [enabled]);
+};
+
+export default useR1Input;
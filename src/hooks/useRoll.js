@@ -0,0 +1,290 @@
+import { useState, useEffect, useRef } from 'react';
+import * as rollStore from '../storage/rollStore';
+import { getStocks } from '../film/registry';
+import { createRollMeta, advanceRoll, rewindRoll, migrateRoll, isDelayed, isDeveloped, isAwaitingReveal, markRevealed } from '../roll/rollModel';
+
+// How often delayed rolls are checked while the app is open
+const DEVELOPMENT_CHECK_MS = 30000;
+
+// Stored frame -> in-memory photo with a displayable object URL
+export const frameToPhoto = (frame, stocks) => ({
+  id: frame.id,
+  blob: frame.blob,
+  url: URL.createObjectURL(frame.blob),
+  filter: stocks.find(s => s.id === (frame.stockId || frame.filter)) || stocks[0],
+  rollId: frame.rollId,
+  frameNumber: frame.frameNumber,
+  imprint: frame.imprint || null,
+  negative: frame.negative || null,
+  editedAt: frame.editedAt || null,
+  date: frame.date,
+  createdAt: frame.createdAt,
+});
+
+const revokePhotos = (list) => list.forEach(photo => URL.revokeObjectURL(photo.url));
+
+// Roll lifecycle over rollStore (IndexedDB): restores the active roll on
+// mount, loads, fills and rewinds it, reveals delayed rolls once developed and
+// opens archived rolls in the contact sheet. photos are the frames of the
+// loaded roll, archivePhotos those of the archived roll being viewed
+// (galleryRoll). rollRef always holds the latest roll for capture sequences
+// that outlive a render. onUnload runs when the loaded roll goes away (load
+// film, rewind), so a partly exposed frame doesn't carry over.
+// log(message, level)
+const useRoll = (log = () => {}, stocks, { onUnload = () => {} } = {}) => {
+  const [roll, setRoll] = useState(null);
+  const [photos, setPhotos] = useState([]);
+  const [rollRestored, setRollRestored] = useState(false);
+  const [lastStockId, setLastStockId] = useState(null);
+  const [lastDevelopment, setLastDevelopment] = useState('instant');
+  // Delayed development notices: { roll, developed, more }
+  const [labNotice, setLabNotice] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+
+  // Roll history / archived roll being viewed in the gallery
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [archivedRolls, setArchivedRolls] = useState([]);
+  const [galleryOpen, setGalleryOpen] = useState(false);
+  const [galleryRoll, setGalleryRoll] = useState(null);
+  const [archivePhotos, setArchivePhotos] = useState([]);
+
+  const rollRef = useRef(null);
+  rollRef.current = roll;
+  const logRef = useRef(log);
+  logRef.current = log;
+
+  // Restore the active roll; without one the load film screen shows
+  useEffect(() => {
+    const restoreRoll = async () => {
+      try {
+        rollStore.requestPersistence().catch(() => {});
+        const saved = await rollStore.getActiveRoll();
+        if (saved) {
+          const frames = await rollStore.loadFrames(saved.id);
+          // Runs once on mount, before the LUTs load, so this is the starting stock list
+          setPhotos(frames.map(frame => frameToPhoto(frame, getStocks())));
+          setRoll(migrateRoll(saved, frames.length));
+          setLastStockId(saved.stockId || saved.filter);
+          setLastDevelopment(saved.development || 'instant');
+          logRef.current(`Restored roll ${saved.id} (${frames.length} frames)`);
+        }
+      } catch (err) {
+        logRef.current(`Roll restore error: ${err.message}`, 'error');
+      } finally {
+        setRollRestored(true);
+      }
+    };
+
+    restoreRoll();
+  }, []);
+
+  // Delayed development: reveal rolls whose development time has passed,
+  // checked on startup and then periodically while the app is open
+  useEffect(() => {
+    const checkDevelopment = async () => {
+      try {
+        const ready = (await rollStore.listArchivedRolls()).filter(archived => isAwaitingReveal(archived));
+        if (ready.length === 0) return;
+
+        // Newest first; the notice offers the newest and counts the rest
+        const revealed = await Promise.all(ready.map(archived => rollStore.saveRoll(markRevealed(archived))));
+        revealed.forEach(developed => logRef.current(`Roll developed: ${developed.id}`));
+        setLabNotice({ roll: revealed[0], developed: true, more: revealed.length - 1 });
+      } catch (err) {
+        logRef.current(`Development check error: ${err.message}`, 'error');
+      }
+    };
+
+    checkDevelopment();
+    const timer = setInterval(checkDevelopment, DEVELOPMENT_CHECK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadFilm = async (stock, length, development) => {
+    try {
+      const loaded = await rollStore.createRoll(createRollMeta(stock, length, development));
+      revokePhotos(photos);
+      setPhotos([]);
+      onUnload();
+      setRoll(loaded);
+      setLastStockId(stock.id);
+      setLastDevelopment(development);
+      log(`Loaded ${stock.name} (${length} exp, ${development} development)`);
+    } catch (err) {
+      log(`Film load error: ${err.message}`, 'error');
+    }
+  };
+
+  // The stock can still be swapped until the first frame is exposed
+  const changeStock = async (delta) => {
+    if (!roll || roll.frameCount > 0) {
+      log('Stock is locked for this roll');
+      return;
+    }
+
+    const index = stocks.findIndex(s => s.id === roll.stockId);
+    const next = stocks[(index + delta + stocks.length) % stocks.length];
+    const updated = { ...roll, stockId: next.id, stockName: next.name, iso: next.iso };
+    setRoll(updated);
+    try {
+      await rollStore.saveRoll(updated);
+    } catch (err) {
+      log(`Roll save error: ${err.message}`, 'error');
+    }
+  };
+
+  // Adds a new frame record (capture.js) to the roll and advances it. The
+  // frame stays on screen if saving fails; a full disk gets its own notice.
+  const addFrame = async (frame) => {
+    setPhotos(prev => [frameToPhoto(frame, stocks), ...prev]);
+
+    const advanced = advanceRoll(rollRef.current);
+    rollRef.current = advanced;
+    setRoll(advanced);
+
+    try {
+      await rollStore.saveFrame(frame);
+      await rollStore.saveRoll(advanced);
+    } catch (err) {
+      log(`Frame save error: ${err.message}`, 'error');
+      if (rollStore.isQuotaError(err)) {
+        setStorageError('Storage is full. This frame is kept until reload - delete old frames or rolls to free space.');
+      }
+    }
+  };
+
+  // Shows an edited frame (e.g. a new imprint) wherever it is listed
+  const updatePhoto = (photoId, changes) => {
+    const replace = (prev) => prev.map(p => {
+      if (p.id !== photoId) return p;
+      URL.revokeObjectURL(p.url);
+      return { ...p, ...changes, url: URL.createObjectURL(changes.blob) };
+    });
+    setPhotos(replace);
+    setArchivePhotos(replace);
+  };
+
+  // Deleting a frame doesn't give the exposure back; frame numbers stay as shot
+  const deletePhoto = async (photoId) => {
+    const removeFrom = (prev) => prev.filter(photo => {
+      if (photo.id === photoId) URL.revokeObjectURL(photo.url);
+      return photo.id !== photoId;
+    });
+    setPhotos(removeFrom);
+    setArchivePhotos(removeFrom);
+
+    try {
+      await rollStore.deleteFrame(photoId);
+    } catch (err) {
+      log(`Frame delete error: ${err.message}`, 'error');
+    }
+  };
+
+  // Close the roll, archive it and hand it to the contact sheet for development / upload
+  const rewindFilm = async () => {
+    if (!roll) return;
+
+    let rewound = rewindRoll(roll);
+    if (isDelayed(rewound) && isDeveloped(rewound)) {
+      rewound = markRevealed(rewound);
+    }
+
+    try {
+      rewound = await rollStore.saveRoll(rewound);
+    } catch (err) {
+      log(`Rewind error: ${err.message}`, 'error');
+      return;
+    }
+
+    log(`Rewound roll ${rewound.id} (${rewound.frameCount} frames)`);
+    onUnload();
+    revokePhotos(archivePhotos);
+    setPhotos([]);
+    setRoll(null);
+
+    // Delayed rolls go to the lab; they are revealed by the development check
+    if (!isDeveloped(rewound)) {
+      revokePhotos(photos);
+      setArchivePhotos([]);
+      setLabNotice({ roll: rewound, developed: false });
+      return;
+    }
+
+    setArchivePhotos(photos);
+    setGalleryRoll(rewound);
+    setGalleryOpen(true);
+  };
+
+  const openHistory = async () => {
+    try {
+      setArchivedRolls(await rollStore.listArchivedRolls());
+      setHistoryOpen(true);
+    } catch (err) {
+      log(`History error: ${err.message}`, 'error');
+    }
+  };
+
+  const openArchivedRoll = async (archived) => {
+    try {
+      const frames = await rollStore.loadFrames(archived.id);
+      revokePhotos(archivePhotos);
+      setArchivePhotos(frames.map(frame => frameToPhoto(frame, stocks)));
+      setGalleryRoll(archived);
+      setHistoryOpen(false);
+      setGalleryOpen(true);
+    } catch (err) {
+      log(`Roll open error: ${err.message}`, 'error');
+    }
+  };
+
+  const deleteArchivedRoll = async (archived) => {
+    try {
+      await rollStore.deleteRoll(archived.id);
+      setArchivedRolls(await rollStore.listArchivedRolls());
+    } catch (err) {
+      log(`Roll delete error: ${err.message}`, 'error');
+    }
+  };
+
+  const closeGallery = () => {
+    if (galleryRoll) {
+      revokePhotos(archivePhotos);
+      setArchivePhotos([]);
+      setGalleryRoll(null);
+    }
+    setGalleryOpen(false);
+  };
+
+  return {
+    roll,
+    rollRef,
+    photos,
+    rollRestored,
+    lastStockId,
+    lastDevelopment,
+    labNotice,
+    storageError,
+    historyOpen,
+    archivedRolls,
+    galleryOpen,
+    galleryRoll,
+    archivePhotos,
+    loadFilm,
+    changeStock,
+    addFrame,
+    updatePhoto,
+    deletePhoto,
+    rewindFilm,
+    openHistory,
+    closeHistory: () => setHistoryOpen(false),
+    openArchivedRoll,
+    deleteArchivedRoll,
+    // The contact sheet of the loaded roll
+    openGallery: () => setGalleryOpen(true),
+    closeGallery,
+    dismissLabNotice: () => setLabNotice(null),
+    dismissStorageError: () => setStorageError(null),
+  };
+};
+
+export default useRoll;
@@ -0,0 +1,156 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useRoll from './useRoll';
+import * as rollStore from '../storage/rollStore';
+import { getStocks } from '../film/registry';
+
+// One database for the file (rollStore keeps its connection); every test
+// starts by clearing it
+global.indexedDB = new IDBFactory();
+
+const stocks = getStocks();
+const HOUR = 60 * 60 * 1000;
+
+// The fake can't clone a Blob; the size is all rollStore reads from it
+const frame = (id, rollId, frameNumber) => ({ id, rollId, frameNumber, stockId: stocks[0].id, createdAt: frameNumber, blob: { size: 4, type: 'image/jpeg' } });
+
+const setup = async (options) => {
+  const hook = renderHook(() => useRoll(() => {}, stocks, options));
+  await waitFor(() => expect(hook.result.current.rollRestored).toBe(true));
+  return hook;
+};
+
+beforeEach(async () => {
+  const rolls = await rollStore.listRolls();
+  await Promise.all(rolls.map(roll => rollStore.deleteRoll(roll.id)));
+  URL.createObjectURL = jest.fn(blob => `blob:${blob.size}`);
+  URL.revokeObjectURL = jest.fn();
+});
+afterEach(() => {
+  delete navigator.storage;
+});
+
+describe('useRoll', () => {
+  it('restores the active roll with its frames', async () => {
+    await rollStore.saveRoll({ id: 'roll-1', status: 'active', filter: stocks[1].id, shotsLeft: 22 });
+    await rollStore.saveFrame(frame('a', 'roll-1', 1));
+    await rollStore.saveFrame(frame('b', 'roll-1', 2));
+
+    const { result } = await setup();
+    expect(result.current.roll).toMatchObject({ id: 'roll-1', stockId: stocks[1].id, length: 24, frameCount: 2 });
+    expect(result.current.photos.map(photo => photo.id)).toEqual(['b', 'a']);
+    expect(result.current.photos[0].filter).toBe(stocks[0]);
+    expect(result.current.lastStockId).toBe(stocks[1].id);
+  });
+
+  it('loads film, fills it and rewinds it into the contact sheet', async () => {
+    const onUnload = jest.fn();
+    const { result } = await setup({ onUnload });
+
+    await act(() => result.current.loadFilm(stocks[0], 12, 'instant'));
+    expect(onUnload).toHaveBeenCalledTimes(1);
+    const rollId = result.current.roll.id;
+    expect((await rollStore.getActiveRoll()).id).toBe(rollId);
+
+    await act(() => result.current.addFrame(frame('a', rollId, 1)));
+    expect(result.current.roll).toMatchObject({ shotsLeft: 11, frameCount: 1 });
+    expect(result.current.rollRef.current).toBe(result.current.roll);
+    expect(result.current.photos).toHaveLength(1);
+    expect(await rollStore.loadFrames(rollId)).toHaveLength(1);
+
+    await act(() => result.current.rewindFilm());
+    expect(onUnload).toHaveBeenCalledTimes(2);
+    expect(result.current.roll).toBeNull();
+    expect(result.current.photos).toEqual([]);
+    expect(result.current.galleryOpen).toBe(true);
+    expect(result.current.galleryRoll).toMatchObject({ id: rollId, status: 'rewound' });
+    expect(result.current.archivePhotos.map(photo => photo.id)).toEqual(['a']);
+
+    act(() => result.current.closeGallery());
+    expect(result.current.galleryOpen).toBe(false);
+    expect(result.current.galleryRoll).toBeNull();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:4');
+  });
+
+  it('sends a delayed roll to the lab instead', async () => {
+    const { result } = await setup();
+    await act(() => result.current.loadFilm(stocks[0], 12, 'hour'));
+    await act(() => result.current.addFrame(frame('a', result.current.roll.id, 1)));
+    await act(() => result.current.rewindFilm());
+
+    expect(result.current.galleryOpen).toBe(false);
+    expect(result.current.archivePhotos).toEqual([]);
+    expect(result.current.labNotice).toMatchObject({ developed: false, roll: { status: 'rewound' } });
+  });
+
+  it('reveals every roll that finished developing', async () => {
+    const atTheLab = { status: 'rewound', development: 'hour', stockName: 'Portra 400', revealedAt: null };
+    await rollStore.saveRoll({ ...atTheLab, id: 'roll-1', finishedAt: 1, readyAt: 2 });
+    await rollStore.saveRoll({ ...atTheLab, id: 'roll-2', finishedAt: 3, readyAt: 4 });
+    await rollStore.saveRoll({ ...atTheLab, id: 'roll-3', finishedAt: 5, readyAt: Date.now() + HOUR });
+
+    const { result } = renderHook(() => useRoll(() => {}, stocks));
+    await waitFor(() => expect(result.current.labNotice).not.toBeNull());
+    expect(result.current.labNotice).toMatchObject({ developed: true, more: 1, roll: { id: 'roll-2' } });
+    expect((await rollStore.getRoll('roll-1')).revealedAt).toEqual(expect.any(Number));
+    expect((await rollStore.getRoll('roll-3')).revealedAt).toBeNull();
+
+    act(() => result.current.dismissLabNotice());
+    expect(result.current.labNotice).toBeNull();
+  });
+
+  it('only swaps the stock of an unexposed roll', async () => {
+    const { result } = await setup();
+    await act(() => result.current.loadFilm(stocks[0], 12, 'instant'));
+    await act(() => result.current.changeStock(1));
+    expect(result.current.roll.stockId).toBe(stocks[1].id);
+    expect((await rollStore.getActiveRoll()).stockId).toBe(stocks[1].id);
+
+    await act(() => result.current.addFrame(frame('a', result.current.roll.id, 1)));
+    await act(() => result.current.changeStock(1));
+    expect(result.current.roll.stockId).toBe(stocks[1].id);
+  });
+
+  it('opens and deletes archived rolls from the history', async () => {
+    await rollStore.saveRoll({ id: 'roll-1', status: 'rewound', development: 'instant', finishedAt: 1 });
+    await rollStore.saveFrame(frame('a', 'roll-1', 1));
+    const { result } = await setup();
+
+    await act(() => result.current.openHistory());
+    expect(result.current.historyOpen).toBe(true);
+    expect(result.current.archivedRolls.map(roll => roll.id)).toEqual(['roll-1']);
+
+    await act(() => result.current.openArchivedRoll(result.current.archivedRolls[0]));
+    expect(result.current.historyOpen).toBe(false);
+    expect(result.current.galleryOpen).toBe(true);
+    expect(result.current.archivePhotos.map(photo => photo.id)).toEqual(['a']);
+
+    await act(() => result.current.deletePhoto('a'));
+    expect(result.current.archivePhotos).toEqual([]);
+    expect(await rollStore.getFrame('a')).toBeUndefined();
+
+    await act(() => result.current.deleteArchivedRoll({ id: 'roll-1' }));
+    expect(result.current.archivedRolls).toEqual([]);
+  });
+
+  it('keeps a frame that does not fit and says the storage is full', async () => {
+    const { result } = await setup();
+    await act(() => result.current.loadFilm(stocks[0], 12, 'instant'));
+    navigator.storage = { estimate: async () => ({ usage: 100, quota: 102 }) };
+
+    await act(() => result.current.addFrame(frame('a', result.current.roll.id, 1)));
+    expect(result.current.photos).toHaveLength(1);
+    expect(result.current.storageError).toMatch(/^Storage is full/);
+    expect(await rollStore.getFrame('a')).toBeUndefined();
+  });
+
+  it('shows an edited frame in place', async () => {
+    const { result } = await setup();
+    await act(() => result.current.loadFilm(stocks[0], 12, 'instant'));
+    await act(() => result.current.addFrame(frame('a', result.current.roll.id, 1)));
+
+    act(() => result.current.updatePhoto('a', { blob: { size: 8, type: 'image/jpeg' }, imprint: null, editedAt: 5 }));
+    expect(result.current.photos[0]).toMatchObject({ id: 'a', url: 'blob:8', imprint: null, editedAt: 5 });
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:4');
+  });
+});
@@ -0,0 +1,29 @@
+import { useState, useEffect, useRef } from 'react';
+import { registerServiceWorker, applyUpdate, isSupported } from '../pwa/serviceWorker';
+
+// Offline / update status for the UI. status: 'unsupported' (dev builds and
+// browsers without service workers), 'installing', 'ready' or 'update'.
+const useServiceWorker = (log = () => {}) => {
+  const [status, setStatus] = useState(() => (isSupported() ? 'installing' : 'unsupported'));
+  const [registration, setRegistration] = useState(null);
+  const logRef = useRef(log);
+  logRef.current = log;
+
+  useEffect(() => registerServiceWorker({
+    onReady: () => setStatus(prev => (prev === 'update' ? prev : 'ready')),
+    onUpdate: (waiting) => {
+      logRef.current('Update available');
+      setRegistration(waiting);
+      setStatus('update');
+    },
+    onError: (err) => logRef.current(`Service worker error: ${err.message}`, 'error'),
+  }), []);
+
+  return {
+    status,
+    updateAvailable: status === 'update',
+    update: () => applyUpdate(registration),
+  };
+};
+
+export default useServiceWorker;
@@ -0,0 +1,41 @@
+import { useState } from 'react';
+
+// Swipe up by `threshold` px (touch or mouse) to trigger onSwipe. progress
+// (0-1) drives the start screen animation; spread handlers on the swipe area.
+const useSwipe = (threshold, onSwipe) => {
+  const [startY, setStartY] = useState(null);
+  const [progress, setProgress] = useState(0);
+
+  const pointerY = (e) => (e.touches ? e.touches[0].clientY : e.clientY);
+
+  const start = (e) => {
+    setStartY(pointerY(e));
+    setProgress(0);
+  };
+
+  const move = (e) => {
+    if (startY === null) return;
+    setProgress(Math.min(Math.max((startY - pointerY(e)) / threshold, 0), 1));
+  };
+
+  const end = () => {
+    if (progress >= 1) onSwipe();
+    setStartY(null);
+    setProgress(0);
+  };
+
+  return {
+    progress,
+    handlers: {
+      onTouchStart: start,
+      onTouchMove: move,
+      onTouchEnd: end,
+      onMouseDown: start,
+      onMouseMove: startY !== null ? move : undefined,
+      onMouseUp: end,
+      onMouseLeave: end,
+    },
+  };
+};
+
+export default useSwipe;
@@ -0,0 +1,46 @@
+import { renderHook, act } from '@testing-library/react';
+import useSwipe from './useSwipe';
+
+const touch = (clientY) => ({ touches: [{ clientY }] });
+
+describe('useSwipe', () => {
+  it('tracks the upward drag as a fraction of the threshold', () => {
+    const { result } = renderHook(() => useSwipe(60, () => {}));
+    act(() => result.current.handlers.onTouchStart(touch(200)));
+    act(() => result.current.handlers.onTouchMove(touch(170)));
+    expect(result.current.progress).toBe(0.5);
+
+    // Dragging down or past the threshold stays within 0-1
+    act(() => result.current.handlers.onTouchMove(touch(260)));
+    expect(result.current.progress).toBe(0);
+    act(() => result.current.handlers.onTouchMove(touch(0)));
+    expect(result.current.progress).toBe(1);
+  });
+
+  it('fires once a full swipe is released', () => {
+    const onSwipe = jest.fn();
+    const { result } = renderHook(() => useSwipe(60, onSwipe));
+    act(() => result.current.handlers.onMouseDown({ clientY: 200 }));
+    act(() => result.current.handlers.onMouseMove({ clientY: 130 }));
+    act(() => result.current.handlers.onMouseUp());
+
+    expect(onSwipe).toHaveBeenCalledTimes(1);
+    expect(result.current.progress).toBe(0);
+  });
+
+  it('does nothing for a short swipe', () => {
+    const onSwipe = jest.fn();
+    const { result } = renderHook(() => useSwipe(60, onSwipe));
+    act(() => result.current.handlers.onTouchStart(touch(200)));
+    act(() => result.current.handlers.onTouchMove(touch(150)));
+    act(() => result.current.handlers.onTouchEnd());
+    expect(onSwipe).not.toHaveBeenCalled();
+  });
+
+  it('only follows the mouse while a button is down', () => {
+    const { result } = renderHook(() => useSwipe(60, () => {}));
+    expect(result.current.handlers.onMouseMove).toBeUndefined();
+    act(() => result.current.handlers.onMouseDown({ clientY: 200 }));
+    expect(result.current.handlers.onMouseMove).toBeDefined();
+  });
+});
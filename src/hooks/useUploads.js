@@ -0,0 +1,212 @@
+import { useState, useEffect, useRef } from 'react';
+import { createUploadProvider, createUploadQueue, jobProgress, uploadConfig } from '../upload';
+import { exportRollZip, photoFileName } from '../export/rollExport';
+import { photoBlob, shareOrDownload, publishToShareServer } from '../export/share';
+import * as rollStore from '../storage/rollStore';
+
+const rollStoreJobs = { save: rollStore.saveUploadJob, list: rollStore.listUploadJobs, remove: rollStore.deleteUploadJob };
+
+// Getting photos off the device: cloud uploads through the persistent upload
+// queue (src/upload/uploadQueue.js), zip exports and single photo shares.
+// Holds the state behind the upload overlay, QR code and error modals.
+// Unfinished uploads resume on mount and whenever the connection comes back.
+// log(message, level); services swap the provider, job store, frame lookup
+// and LAN share server (tests).
+const useUploads = (log = () => {}, { maxAttempts, retryDelayMs }, services = {}) => {
+  const {
+    createProvider = createUploadProvider,
+    store = rollStoreJobs,
+    loadPhoto = rollStore.getFrame,
+    shareServerUrl = uploadConfig.shareServerUrl,
+  } = services;
+
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [albumUrl, setAlbumUrl] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  // Queue job behind the error modal, for RETRY
+  const [failedUploadId, setFailedUploadId] = useState(null);
+  // Local export in progress, and the file behind a LAN QR code (for SAVE)
+  const [isExporting, setIsExporting] = useState(false);
+  const [sharedFile, setSharedFile] = useState(null);
+
+  const logRef = useRef(log);
+  logRef.current = log;
+  const queueRef = useRef(null);
+  // Job whose progress drives the upload overlay
+  const foregroundRef = useRef(null);
+
+  // Retry settings also apply to a queue that is already running
+  useEffect(() => {
+    if (queueRef.current) queueRef.current.configure({ maxAttempts, baseDelayMs: retryDelayMs });
+  }, [maxAttempts, retryDelayMs]);
+
+  // Created on first use so a missing upload config only fails when uploading
+  const getQueue = () => {
+    if (!queueRef.current) {
+      queueRef.current = createUploadQueue({
+        provider: createProvider(),
+        maxAttempts,
+        baseDelayMs: retryDelayMs,
+        store,
+        loadPhoto,
+        onChange: (job) => {
+          if (job.id !== foregroundRef.current) return;
+          const { total, done } = jobProgress(job);
+          setUploadProgress((done / total) * 100);
+        },
+        log: (msg, level) => logRef.current(msg, level),
+      });
+    }
+    return queueRef.current;
+  };
+
+  // The queue (and its provider) is only created when there is something to
+  // resume, so an unconfigured provider stays quiet
+  const resumeRef = useRef(null);
+  resumeRef.current = async () => {
+    try {
+      const jobs = await store.list();
+      if (!jobs.some(job => job.status === 'pending' || job.status === 'uploading')) return;
+      const finished = await getQueue().run();
+      const done = finished.filter(job => job.status === 'done');
+      if (done.length > 0) setAlbumUrl(done[done.length - 1].albumUrl);
+    } catch (err) {
+      logRef.current(`Upload resume error: ${err.message}`, 'error');
+    }
+  };
+
+  useEffect(() => {
+    const resume = () => resumeRef.current();
+    resume();
+    window.addEventListener('online', resume);
+    return () => window.removeEventListener('online', resume);
+  }, []);
+
+  const closeQr = () => {
+    setAlbumUrl(null);
+    setSharedFile(null);
+  };
+
+  // Shows the outcome of a foreground upload: the QR code, or what is left to do
+  const showUploadResult = (job) => {
+    if (job.status === 'done') {
+      setAlbumUrl(job.albumUrl);
+      log(`Download ready: ${job.albumUrl}`);
+      return;
+    }
+
+    const { total, done } = jobProgress(job);
+    const resumes = job.status === 'pending' ? ' The rest uploads when the connection is back.' : '';
+    setUploadError(`${done} of ${total} uploaded. ${job.error || ''}${resumes}`);
+    setFailedUploadId(job.status === 'failed' ? job.id : null);
+  };
+
+  const runForeground = async (start) => {
+    setIsUploading(true);
+    setUploadProgress(0);
+    setUploadError(null);
+    setFailedUploadId(null);
+    closeQr();
+
+    try {
+      const job = await start(getQueue());
+      if (job) showUploadResult(job);
+    } catch (error) {
+      log(`Upload error: ${error.message}`, 'error');
+      setUploadError(error.message);
+    } finally {
+      foregroundRef.current = null;
+      setIsUploading(false);
+    }
+  };
+
+  const upload = (selection) => {
+    if (selection.length === 0) return;
+
+    return runForeground(async (queue) => {
+      const job = await queue.enqueue(selection);
+      foregroundRef.current = job.id;
+      setUploadProgress((jobProgress(job).done / selection.length) * 100);
+      log(`Queued ${selection.length} photos (${job.id})`);
+      await queue.run();
+      return queue.get(job.id);
+    });
+  };
+
+  const retry = () => {
+    const jobId = failedUploadId;
+    return runForeground((queue) => {
+      foregroundRef.current = jobId;
+      log(`Retrying ${jobId}`);
+      return queue.retry(jobId);
+    });
+  };
+
+  // Local export: to the LAN share server (QR code) when configured,
+  // otherwise the share sheet or a download
+  const shareFile = async (blob, fileName) => {
+    if (shareServerUrl) {
+      const url = await publishToShareServer(shareServerUrl, blob, fileName);
+      log(`Shared on LAN: ${url}`);
+      setSharedFile({ blob, fileName });
+      setAlbumUrl(url);
+      return;
+    }
+
+    const outcome = await shareOrDownload(blob, fileName);
+    log(`Export ${fileName}: ${outcome}`);
+  };
+
+  // Zips the selection with the roll's metadata
+  const exportPhotos = async (selection, roll) => {
+    if (selection.length === 0 || isExporting) return;
+
+    setIsExporting(true);
+    try {
+      const { blob, fileName } = await exportRollZip(roll, selection);
+      log(`Packed ${selection.length} frames into ${fileName} (${Math.round(blob.size / 1024)} KB)`);
+      await shareFile(blob, fileName);
+    } catch (err) {
+      log(`Export error: ${err.message}`, 'error');
+      setUploadError(`Export failed: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const sharePhoto = async (photo) => {
+    try {
+      await shareFile(await photoBlob(photo), photoFileName(photo));
+    } catch (err) {
+      log(`Share error: ${err.message}`, 'error');
+      setUploadError(`Share failed: ${err.message}`);
+    }
+  };
+
+  // Saves the file behind a LAN QR code on this device instead
+  const saveShared = () => shareOrDownload(sharedFile.blob, sharedFile.fileName)
+    .catch(err => log(`Save error: ${err.message}`, 'error'));
+
+  return {
+    isUploading,
+    uploadProgress,
+    albumUrl,
+    uploadError,
+    failedUploadId,
+    isExporting,
+    sharedFile,
+    upload,
+    retry,
+    shareFile,
+    exportPhotos,
+    sharePhoto,
+    saveShared,
+    closeQr,
+    // The upload carries on in the queue
+    hideProgress: () => setIsUploading(false),
+    dismissError: () => setUploadError(null),
+  };
+};
+
+export default useUploads;
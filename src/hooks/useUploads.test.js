@@ -0,0 +1,117 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useUploads from './useUploads';
+import { createMemoryJobStore } from '../upload/uploadQueue';
+import { createMockProvider } from '../upload/mockProvider';
+import { shareOrDownload, publishToShareServer } from '../export/share';
+
+jest.mock('../export/share', () => ({
+  ...jest.requireActual('../export/share'),
+  shareOrDownload: jest.fn(),
+  publishToShareServer: jest.fn(),
+}));
+
+const settings = { maxAttempts: 1, retryDelayMs: 0 };
+
+const photo = (id) => ({ id, url: `blob:${id}`, blob: new Blob(['jpeg'], { type: 'image/jpeg' }), rollId: 'roll-1', frameNumber: id, createdAt: 0 });
+
+// Mock provider that fails every photo while failing is set
+const flakyProvider = () => {
+  const provider = createMockProvider({ latency: 0 });
+  const flaky = { ...provider, failing: false };
+  flaky.uploadPhoto = async (...args) => {
+    if (flaky.failing) throw new Error('Offline');
+    return provider.uploadPhoto(...args);
+  };
+  return flaky;
+};
+
+const setup = (services = {}) => {
+  const provider = flakyProvider();
+  const createProvider = jest.fn(() => provider);
+  const store = createMemoryJobStore();
+  const hook = renderHook(() => useUploads(() => {}, settings, { createProvider, store, loadPhoto: async () => null, shareServerUrl: '', ...services }));
+  return { ...hook, provider, createProvider, store };
+};
+
+beforeEach(() => {
+  shareOrDownload.mockResolvedValue('downloaded');
+  publishToShareServer.mockImplementation(async (url, blob, fileName) => `${url}/${fileName}`);
+});
+
+describe('useUploads', () => {
+  it('uploads a selection and shows where to download it', async () => {
+    const { result, provider } = setup();
+    await act(() => result.current.upload([photo(1), photo(2)]));
+
+    expect(result.current.isUploading).toBe(false);
+    expect(result.current.uploadProgress).toBe(100);
+    const [folder] = provider.batches.keys();
+    expect(result.current.albumUrl).toBe(`mock://album/${folder}`);
+
+    act(() => result.current.closeQr());
+    expect(result.current.albumUrl).toBeNull();
+  });
+
+  it('offers a retry for a failed upload', async () => {
+    const { result, provider } = setup();
+    provider.failing = true;
+    await act(() => result.current.upload([photo(1)]));
+
+    expect(result.current.uploadError).toBe('0 of 1 uploaded. 1 of 1 photos failed');
+    expect(result.current.failedUploadId).toMatch(/^upload-/);
+
+    provider.failing = false;
+    await act(() => result.current.retry());
+    expect(result.current.uploadError).toBeNull();
+    expect(result.current.albumUrl).toMatch(/^mock:\/\/album\//);
+  });
+
+  it('reports a provider that cannot be created', async () => {
+    const { result } = setup({ createProvider: () => { throw new Error('Unknown upload provider: none'); } });
+    await act(() => result.current.upload([photo(1)]));
+    expect(result.current.uploadError).toBe('Unknown upload provider: none');
+    expect(result.current.isUploading).toBe(false);
+  });
+
+  it('resumes unfinished uploads on mount, and only then creates the provider', async () => {
+    const idle = setup();
+    await act(() => Promise.resolve());
+    expect(idle.createProvider).not.toHaveBeenCalled();
+
+    const store = createMemoryJobStore([{
+      id: 'upload-1',
+      status: 'pending',
+      createdAt: 1,
+      items: [{ photoId: 7, status: 'pending', attempts: 0, result: null, error: null }],
+    }]);
+    const { result, createProvider } = setup({ store, loadPhoto: async (id) => ({ ...photo(id), blob: undefined }) });
+    await waitFor(() => expect(result.current.albumUrl).toMatch(/^mock:\/\/album\//));
+    expect(createProvider).toHaveBeenCalledTimes(1);
+  });
+
+  it('shares a zip of the selection, through the LAN server when configured', async () => {
+    const roll = { id: 'roll-1', stockId: 'portra400', stockName: 'Portra 400', createdAt: 0 };
+
+    const local = setup();
+    await act(() => local.result.current.exportPhotos([photo(1)], roll));
+    expect(shareOrDownload).toHaveBeenCalledWith(expect.any(Blob), expect.stringMatching(/\.zip$/));
+    expect(local.result.current.albumUrl).toBeNull();
+
+    const lan = setup({ shareServerUrl: 'http://192.168.1.2:8080' });
+    await act(() => lan.result.current.exportPhotos([photo(1)], roll));
+    expect(publishToShareServer).toHaveBeenCalled();
+    expect(lan.result.current.albumUrl).toMatch(/^http:\/\/192\.168\.1\.2:8080\/.*\.zip$/);
+    expect(lan.result.current.sharedFile.fileName).toMatch(/\.zip$/);
+    expect(lan.result.current.isExporting).toBe(false);
+  });
+
+  it('surfaces a failed share', async () => {
+    shareOrDownload.mockRejectedValueOnce(new Error('Not allowed'));
+    const { result } = setup();
+    await act(() => result.current.sharePhoto(photo(1)));
+    expect(result.current.uploadError).toBe('Share failed: Not allowed');
+
+    act(() => result.current.dismissError());
+    expect(result.current.uploadError).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import { useState, useEffect, useRef } from 'react';
+import { lumaHistogram, paintZebra } from '../camera/viewfinder';
+
+const SAMPLE_MS = 200;
+const SAMPLE_WIDTH = 120;
+
+// Samples the live video a few times a second for the histogram and zebra
+// overlays. The zebra mask is painted straight into zebraCanvasRef, which is
+// laid over the video with the same object-cover sizing. gain is the software
+// exposure, so both show what the capture will clip rather than the raw feed.
+const useViewfinderAnalysis = (videoRef, zebraCanvasRef, { histogram, zebra, gain }) => {
+  const [bins, setBins] = useState(null);
+  const gainRef = useRef(gain);
+  gainRef.current = gain;
+
+  useEffect(() => {
+    if (!histogram && !zebra) {
+      setBins(null);
+      return undefined;
+    }
+
+    const sample = document.createElement('canvas');
+    const sampleContext = sample.getContext('2d', { willReadFrequently: true });
+    let phase = 0;
+
+    const tick = () => {
+      const video = videoRef.current;
+      if (!video || !video.videoWidth || video.readyState < 2) return;
+
+      sample.width = SAMPLE_WIDTH;
+      sample.height = Math.max(1, Math.round((SAMPLE_WIDTH * video.videoHeight) / video.videoWidth));
+      sampleContext.drawImage(video, 0, 0, sample.width, sample.height);
+      const { data } = sampleContext.getImageData(0, 0, sample.width, sample.height);
+
+      if (histogram) setBins(lumaHistogram(data, { gain: gainRef.current }));
+
+      const zebraCanvas = zebraCanvasRef.current;
+      if (zebra && zebraCanvas) {
+        zebraCanvas.width = sample.width;
+        zebraCanvas.height = sample.height;
+        const zebraContext = zebraCanvas.getContext('2d');
+        const mask = zebraContext.createImageData(sample.width, sample.height);
+        phase = (phase + 1) % 4;
+        paintZebra(data, mask.data, sample.width, { gain: gainRef.current, phase });
+        zebraContext.putImageData(mask, 0, 0);
+      }
+    };
+
+    const timer = setInterval(tick, SAMPLE_MS);
+    return () => clearInterval(timer);
+  }, [videoRef, zebraCanvasRef, histogram, zebra]);
+
+  return bins;
+};
+
+export default useViewfinderAnalysis;
@@ -0,0 +1,97 @@
+import { hardwareEvents } from 'r1-create';
+import { logger } from '../debug/logger';
+
+// Rabbit R1 input layer on top of the r1-create hardware events.
+//
+// Screens push a layer of handlers ({ sideClick, longPressStart, longPressEnd,
+// scrollUp, scrollDown }); only the topmost layer receives input, so the
+// contact sheet, roll history etc. take over the wheel and side button while
+// they are open and hand them back when they close.
+//
+// On desktop the keyboard stands in for the hardware by dispatching the same
+// window events the R1 sends:
+//   Space (tap)   side button        Space (hold)   long press
+//   ArrowUp / W   scroll up          ArrowDown / S  scroll down
+export const INPUT_EVENTS = ['sideClick', 'longPressStart', 'longPressEnd', 'scrollUp', 'scrollDown'];
+
+export const LONG_PRESS_MS = 500;
+
+// The R1 may follow a long press with a click; swallow it
+const CLICK_AFTER_LONG_PRESS_MS = 300;
+
+const KEY_BINDINGS = {
+  ArrowUp: 'scrollUp',
+  KeyW: 'scrollUp',
+  ArrowDown: 'scrollDown',
+  KeyS: 'scrollDown',
+};
+
+const layers = [];
+let started = false;
+let lastLongPressEnd = 0;
+let spaceTimer = null;
+let spaceLongPress = false;
+
+const dispatch = (type) => {
+  if (type === 'longPressEnd') lastLongPressEnd = Date.now();
+  if (type === 'sideClick' && Date.now() - lastLongPressEnd < CLICK_AFTER_LONG_PRESS_MS) {
+    logger.debug('input', 'sideClick after long press ignored');
+    return;
+  }
+
+  const top = layers[layers.length - 1];
+  const handler = top && top.current[type];
+  logger.debug('input', `${type}${handler ? '' : ' (unhandled)'}`, { layers: layers.length });
+  if (handler) handler();
+};
+
+const emit = (type) => window.dispatchEvent(new CustomEvent(type, { detail: { source: 'keyboard' } }));
+
+const handleKeyDown = (event) => {
+  if (event.code === 'Space') {
+    event.preventDefault();
+    if (event.repeat) return;
+    spaceLongPress = false;
+    spaceTimer = setTimeout(() => {
+      spaceLongPress = true;
+      emit('longPressStart');
+    }, LONG_PRESS_MS);
+    return;
+  }
+
+  const type = KEY_BINDINGS[event.code];
+  if (type) {
+    event.preventDefault();
+    emit(type);
+  }
+};
+
+const handleKeyUp = (event) => {
+  if (event.code !== 'Space') return;
+  event.preventDefault();
+  clearTimeout(spaceTimer);
+  emit(spaceLongPress ? 'longPressEnd' : 'sideClick');
+};
+
+// Keep the webview from scrolling on wheel events; the SDK listener can't do it
+const preventScroll = (event) => event.preventDefault();
+
+export const startInput = () => {
+  if (started || typeof window === 'undefined') return;
+  started = true;
+
+  INPUT_EVENTS.forEach(type => hardwareEvents.on(type, () => dispatch(type)));
+  window.addEventListener('scrollUp', preventScroll, { passive: false, capture: true });
+  window.addEventListener('scrollDown', preventScroll, { passive: false, capture: true });
+  window.addEventListener('keydown', handleKeyDown);
+  window.addEventListener('keyup', handleKeyUp);
+};
+
+// handlersRef is a React ref so handlers can change without re-stacking
+export const pushInputLayer = (handlersRef) => {
+  layers.push(handlersRef);
+  return () => {
+    const index = layers.lastIndexOf(handlersRef);
+    if (index >= 0) layers.splice(index, 1);
+  };
+};
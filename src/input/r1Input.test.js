@@ -0,0 +1,115 @@
+import { startInput, pushInputLayer, LONG_PRESS_MS } from './r1Input';
+
+// One clock for the whole file: the input layer remembers when the last long
+// press ended, so time must only move forward between tests
+beforeAll(() => {
+  jest.useFakeTimers();
+  startInput();
+});
+afterAll(() => jest.useRealTimers());
+
+// Pushes a layer that is popped after the test
+let pop;
+const layer = (handlers) => {
+  pop = pushInputLayer({ current: handlers });
+};
+afterEach(() => {
+  if (pop) pop();
+  pop = null;
+  jest.advanceTimersByTime(1000);
+});
+
+const hardware = (type) => window.dispatchEvent(new CustomEvent(type));
+const key = (type, code, init = {}) => {
+  const event = new KeyboardEvent(type, { code, cancelable: true, ...init });
+  window.dispatchEvent(event);
+  return event;
+};
+
+describe('r1Input', () => {
+  it('sends the side button and wheel to the top layer only', () => {
+    const below = { sideClick: jest.fn(), scrollUp: jest.fn() };
+    const popBelow = pushInputLayer({ current: below });
+    const top = { sideClick: jest.fn(), scrollUp: jest.fn(), scrollDown: jest.fn() };
+    layer(top);
+
+    hardware('sideClick');
+    hardware('scrollUp');
+    hardware('scrollDown');
+    expect(top.sideClick).toHaveBeenCalledTimes(1);
+    expect(top.scrollUp).toHaveBeenCalledTimes(1);
+    expect(top.scrollDown).toHaveBeenCalledTimes(1);
+    expect(below.sideClick).not.toHaveBeenCalled();
+
+    pop();
+    pop = popBelow;
+    hardware('sideClick');
+    expect(below.sideClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the wheel from scrolling the page', () => {
+    layer({});
+    const event = new CustomEvent('scrollDown', { cancelable: true });
+    window.dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(true);
+  });
+
+  it('swallows the click the R1 sends right after a long press', () => {
+    const handlers = { longPressStart: jest.fn(), longPressEnd: jest.fn(), sideClick: jest.fn() };
+    layer(handlers);
+
+    hardware('longPressStart');
+    hardware('longPressEnd');
+    hardware('sideClick');
+    expect(handlers.longPressStart).toHaveBeenCalledTimes(1);
+    expect(handlers.longPressEnd).toHaveBeenCalledTimes(1);
+    expect(handlers.sideClick).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(300);
+    hardware('sideClick');
+    expect(handlers.sideClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats a Space tap as the side button', () => {
+    const handlers = { sideClick: jest.fn(), longPressStart: jest.fn() };
+    layer(handlers);
+
+    key('keydown', 'Space');
+    jest.advanceTimersByTime(LONG_PRESS_MS - 1);
+    key('keyup', 'Space');
+    expect(handlers.sideClick).toHaveBeenCalledTimes(1);
+    expect(handlers.longPressStart).not.toHaveBeenCalled();
+  });
+
+  it('treats a held Space as a long press, ignoring key repeat', () => {
+    const handlers = { sideClick: jest.fn(), longPressStart: jest.fn(), longPressEnd: jest.fn() };
+    layer(handlers);
+
+    key('keydown', 'Space');
+    jest.advanceTimersByTime(LONG_PRESS_MS);
+    key('keydown', 'Space', { repeat: true });
+    jest.advanceTimersByTime(LONG_PRESS_MS);
+    key('keyup', 'Space');
+    expect(handlers.longPressStart).toHaveBeenCalledTimes(1);
+    expect(handlers.longPressEnd).toHaveBeenCalledTimes(1);
+    expect(handlers.sideClick).not.toHaveBeenCalled();
+  });
+
+  it('maps the arrow and W / S keys to the wheel', () => {
+    const handlers = { scrollUp: jest.fn(), scrollDown: jest.fn() };
+    layer(handlers);
+
+    ['ArrowUp', 'KeyW'].forEach(code => key('keydown', code));
+    ['ArrowDown', 'KeyS'].forEach(code => key('keydown', code));
+    expect(handlers.scrollUp).toHaveBeenCalledTimes(2);
+    expect(handlers.scrollDown).toHaveBeenCalledTimes(2);
+    expect(key('keydown', 'KeyA').defaultPrevented).toBe(false);
+  });
+
+  it('takes Space from the page even with no layer listening', () => {
+    const down = key('keydown', 'Space');
+    const up = key('keyup', 'Space');
+    expect(down.defaultPrevented).toBe(true);
+    expect(up.defaultPrevented).toBe(true);
+  });
+});
@@ -0,0 +1,62 @@
+// Registers the offline service worker (src/service-worker.js, production
+// builds only) and reports when a new version is waiting to take over.
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+export const isSupported = () =>
+  process.env.NODE_ENV === 'production' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+// onReady(registration): the shell is cached and the app works offline
+// onUpdate(registration): a new version is installed and waiting
+export const registerServiceWorker = ({ onReady = () => {}, onUpdate = () => {}, onError = () => {} } = {}) => {
+  if (!isSupported()) return () => {};
+
+  let timer = null;
+  // Cleanup can run before register() resolves; watch must not start the timer then
+  let stopped = false;
+
+  const watch = (registration) => {
+    if (stopped) return;
+    if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration);
+
+    registration.addEventListener('updatefound', () => {
+      const installing = registration.installing;
+      if (!installing) return;
+      installing.addEventListener('statechange', () => {
+        if (installing.state !== 'installed') return;
+        // With an existing controller this is an update, otherwise the first install
+        if (navigator.serviceWorker.controller) onUpdate(registration);
+        else onReady(registration);
+      });
+    });
+
+    if (registration.active) onReady(registration);
+    timer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+  };
+
+  navigator.serviceWorker
+    .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+    .then(watch)
+    .catch(onError);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+};
+
+// Tells the waiting worker to activate and reloads once it controls the page
+export const applyUpdate = (registration) => {
+  if (!registration || !registration.waiting) {
+    window.location.reload();
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// Build identity for the debug overlay
+export const appVersion = {
+  version: process.env.REACT_APP_VERSION || 'dev',
+  build: (process.env.REACT_APP_BUILD_SHA || '').slice(0, 7),
+};
@@ -0,0 +1,54 @@
+import { registerServiceWorker } from './serviceWorker';
+
+// Registration resolves when the test says so
+const fakeServiceWorker = () => {
+  let resolve;
+  const registration = { active: {}, waiting: null, addEventListener: () => {}, update: jest.fn(async () => {}) };
+  return {
+    container: { controller: {}, register: jest.fn(() => new Promise(r => { resolve = r; })) },
+    registration,
+    resolve: () => resolve(registration),
+  };
+};
+
+describe('registerServiceWorker', () => {
+  const env = process.env.NODE_ENV;
+  let worker;
+  beforeEach(() => {
+    process.env.NODE_ENV = 'production';
+    worker = fakeServiceWorker();
+    Object.defineProperty(navigator, 'serviceWorker', { value: worker.container, configurable: true });
+    jest.useFakeTimers();
+  });
+  afterEach(() => {
+    process.env.NODE_ENV = env;
+    delete navigator.serviceWorker;
+    jest.useRealTimers();
+  });
+
+  const settle = async () => {
+    worker.resolve();
+    for (let i = 0; i < 3; i++) await Promise.resolve();
+  };
+
+  it('checks for updates every hour once registered', async () => {
+    const onReady = jest.fn();
+    const stop = registerServiceWorker({ onReady });
+    await settle();
+
+    expect(onReady).toHaveBeenCalledWith(worker.registration);
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(worker.registration.update).toHaveBeenCalledTimes(1);
+    stop();
+  });
+
+  it('starts no update checks when cleaned up before registration resolves', async () => {
+    const onReady = jest.fn();
+    registerServiceWorker({ onReady })();
+    await settle();
+
+    jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+    expect(worker.registration.update).not.toHaveBeenCalled();
+    expect(onReady).not.toHaveBeenCalled();
+  });
+});
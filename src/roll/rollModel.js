@@ -0,0 +1,91 @@
+// Film roll model. A roll is loaded with one stock and a fixed number of
+// exposures; the stock stays locked until the roll is rewound and archived.
+//
+// status: 'active'  loaded in the camera
+//         'rewound' finished and archived, ready for development / upload
+//
+// Development: with any mode other than 'instant' the frames stay latent
+// (hidden) while the roll is loaded. Rewinding sets readyAt, which is
+// persisted with the roll, so the delayed reveal survives app restarts.
+export const ROLL_LENGTHS = [12, 24, 36];
+
+const HOUR = 60 * 60 * 1000;
+
+export const DEVELOPMENT_MODES = [
+  { id: 'instant', label: 'INSTANT' },
+  { id: 'roll', label: 'AT REWIND' },
+  { id: 'hour', label: '1 HOUR' },
+  { id: 'nextDay', label: 'NEXT DAY' },
+];
+
+// Next day's prints are ready at 8 in the morning, like the lab used to be
+const nextMorning = (from) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + 1);
+  date.setHours(8, 0, 0, 0);
+  return date.getTime();
+};
+
+export const developmentReadyAt = (mode, finishedAt) => {
+  switch (mode) {
+    case 'hour':
+      return finishedAt + HOUR;
+    case 'nextDay':
+      return nextMorning(finishedAt);
+    default:
+      return finishedAt;
+  }
+};
+
+export const createRollMeta = (stock, length, development = 'instant') => ({
+  stockId: stock.id,
+  stockName: stock.name,
+  iso: stock.iso,
+  length,
+  shotsLeft: length,
+  frameCount: 0,
+  development,
+  readyAt: null,
+  revealedAt: null,
+});
+
+// Frame numbers count up from 1 in shooting order and are never reused
+export const nextFrameNumber = (roll) => roll.frameCount + 1;
+
+export const advanceRoll = (roll) => ({
+  ...roll,
+  shotsLeft: roll.shotsLeft - 1,
+  frameCount: roll.frameCount + 1,
+});
+
+export const rewindRoll = (roll, now = Date.now()) => ({
+  ...roll,
+  status: 'rewound',
+  finishedAt: now,
+  readyAt: developmentReadyAt(roll.development, now),
+});
+
+export const isDelayed = (roll) => !!roll && !!roll.development && roll.development !== 'instant';
+
+// Whether the roll's frames may be shown
+export const isDeveloped = (roll, now = Date.now()) =>
+  !isDelayed(roll) || (roll.readyAt != null && now >= roll.readyAt);
+
+// Delayed rolls that finished developing but haven't been shown yet
+export const isAwaitingReveal = (roll, now = Date.now()) =>
+  isDelayed(roll) && roll.status === 'rewound' && isDeveloped(roll, now) && !roll.revealedAt;
+
+export const markRevealed = (roll, now = Date.now()) => ({ ...roll, revealedAt: now });
+
+export const isRollFinished = (roll) => !!roll && roll.shotsLeft <= 0;
+
+// Rolls saved before the roll model only carried shotsLeft and a filter id
+export const migrateRoll = (roll, frameCount) => ({
+  ...roll,
+  stockId: roll.stockId || roll.filter,
+  length: roll.length || roll.shotsLeft + frameCount,
+  frameCount: roll.frameCount ?? frameCount,
+  development: roll.development || 'instant',
+});
+
+export const formatFrameNumber = (n) => String(n).padStart(2, '0');
@@ -0,0 +1,100 @@
+import {
+  createRollMeta,
+  nextFrameNumber,
+  advanceRoll,
+  rewindRoll,
+  developmentReadyAt,
+  isDelayed,
+  isDeveloped,
+  isAwaitingReveal,
+  markRevealed,
+  isRollFinished,
+  migrateRoll,
+  formatFrameNumber,
+} from './rollModel';
+
+const HOUR = 60 * 60 * 1000;
+const stock = { id: 'portra-400', name: 'Portra 400', iso: 400 };
+
+describe('shooting a roll', () => {
+  it('loads a full roll of the stock', () => {
+    expect(createRollMeta(stock, 36)).toEqual(expect.objectContaining({
+      stockId: 'portra-400', iso: 400, length: 36, shotsLeft: 36, frameCount: 0, development: 'instant',
+    }));
+  });
+
+  it('numbers frames in shooting order', () => {
+    let roll = createRollMeta(stock, 12);
+    expect(nextFrameNumber(roll)).toBe(1);
+    roll = advanceRoll(advanceRoll(roll));
+    expect(roll).toEqual(expect.objectContaining({ shotsLeft: 10, frameCount: 2 }));
+    expect(nextFrameNumber(roll)).toBe(3);
+    expect(formatFrameNumber(nextFrameNumber(roll))).toBe('03');
+  });
+
+  it('finishes when the last exposure is used', () => {
+    let roll = createRollMeta(stock, 12);
+    for (let i = 0; i < 11; i++) roll = advanceRoll(roll);
+    expect(isRollFinished(roll)).toBe(false);
+    expect(isRollFinished(advanceRoll(roll))).toBe(true);
+    expect(isRollFinished(null)).toBe(false);
+  });
+
+  it('keeps numbering after deleted frames', () => {
+    // frameCount, not the stored frames, drives the next number
+    const roll = { ...createRollMeta(stock, 24), shotsLeft: 19, frameCount: 5 };
+    expect(nextFrameNumber(roll)).toBe(6);
+  });
+});
+
+describe('migrateRoll', () => {
+  it('fills in the roll model for a roll saved with only shotsLeft and a filter', () => {
+    const roll = migrateRoll({ id: 'roll-1', status: 'active', shotsLeft: 20, filter: 'portra-400' }, 4);
+    expect(roll).toEqual({
+      id: 'roll-1', status: 'active', shotsLeft: 20, filter: 'portra-400',
+      stockId: 'portra-400', length: 24, frameCount: 4, development: 'instant',
+    });
+  });
+
+  it('leaves a current roll as it is', () => {
+    const roll = { id: 'roll-1', ...createRollMeta(stock, 36, 'hour'), shotsLeft: 30, frameCount: 6 };
+    expect(migrateRoll(roll, 2)).toEqual(roll);
+  });
+});
+
+describe('development', () => {
+  const finishedAt = new Date(2024, 4, 10, 22, 30).getTime();
+
+  it('is ready at rewind, an hour later or at 8 the next morning', () => {
+    expect(developmentReadyAt('instant', finishedAt)).toBe(finishedAt);
+    expect(developmentReadyAt('roll', finishedAt)).toBe(finishedAt);
+    expect(developmentReadyAt('hour', finishedAt)).toBe(finishedAt + HOUR);
+    expect(developmentReadyAt('nextDay', finishedAt)).toBe(new Date(2024, 4, 11, 8, 0).getTime());
+  });
+
+  it('always shows instant rolls', () => {
+    const roll = createRollMeta(stock, 24);
+    expect(isDelayed(roll)).toBe(false);
+    expect(isDeveloped(roll)).toBe(true);
+    expect(isAwaitingReveal(rewindRoll(roll, finishedAt), finishedAt)).toBe(false);
+  });
+
+  it('hides a delayed roll until it is ready, then reveals it once', () => {
+    const loaded = createRollMeta(stock, 24, 'hour');
+    expect(isDeveloped(loaded, finishedAt)).toBe(false);
+
+    const rewound = rewindRoll(loaded, finishedAt);
+    expect(isDeveloped(rewound, finishedAt + HOUR - 1)).toBe(false);
+    expect(isAwaitingReveal(rewound, finishedAt + HOUR - 1)).toBe(false);
+    expect(isDeveloped(rewound, finishedAt + HOUR)).toBe(true);
+    expect(isAwaitingReveal(rewound, finishedAt + HOUR)).toBe(true);
+
+    const revealed = markRevealed(rewound, finishedAt + HOUR);
+    expect(isAwaitingReveal(revealed, finishedAt + 2 * HOUR)).toBe(false);
+  });
+
+  it('does not reveal a delayed roll that is still loaded', () => {
+    const loaded = { ...createRollMeta(stock, 24, 'roll'), status: 'active', readyAt: finishedAt };
+    expect(isAwaitingReveal(loaded, finishedAt)).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+/* eslint-disable no-restricted-globals */
+// Offline shell for the camera. react-scripts compiles this with Workbox and
+// fills in self.__WB_MANIFEST with the hashed build assets.
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { builtInStocks } from './film/stocks';
+
+clientsClaim();
+
+// The built-in stocks' LUTs live in public/ and aren't in the build manifest,
+// so they are precached with the shell: a first launch offline still has them.
+// They aren't hashed; the build id makes a new build fetch them again.
+const LUT_REVISION = process.env.REACT_APP_BUILD_SHA || process.env.REACT_APP_VERSION || null;
+const stockLuts = builtInStocks
+  .filter(stock => typeof stock.lut === 'string')
+  .map(stock => ({ url: `${process.env.PUBLIC_URL}/${stock.lut}`, revision: LUT_REVISION }));
+
+precacheAndRoute([...self.__WB_MANIFEST, ...stockLuts]);
+
+// App shell: every navigation is answered with the precached index.html,
+// except URLs that look like files
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Other LUTs, icons and the manifest live in public/ and aren't part of the build manifest
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.cube'),
+  new CacheFirst({
+    cacheName: 'luts',
+    plugins: [new ExpirationPlugin({ maxEntries: 32 })],
+  })
+);
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|json|ico)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'static',
+    plugins: [new ExpirationPlugin({ maxEntries: 32 })],
+  })
+);
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,129 @@
+// User preferences in localStorage: one versioned JSON document read at start
+// and written on every change. Stored preferences are migrated to the current
+// version, then merged over the defaults, so a missing or malformed value
+// falls back to its default instead of breaking the app.
+import { DEFAULT_PROFILE, ASPECT_RATIOS, RESOLUTIONS, OUTPUT_FORMATS, QUALITIES } from '../capture/captureProfile';
+import { DEFAULT_IMPRINT, IMPRINT_CONTENTS, IMPRINT_POSITIONS } from '../capture/imprint';
+import { DEFAULT_BOOTH, BOOTH_LAYOUTS, BOOTH_BORDERS } from '../capture/photoBooth';
+import { DEFAULT_OVERLAYS } from '../camera/viewfinder';
+import { FLASH_MODES } from '../camera/flash';
+
+export const PREFERENCES_KEY = 'r1-analog:preferences';
+export const PREFERENCES_VERSION = 1;
+
+export const DEFAULT_PREFERENCES = {
+  version: PREFERENCES_VERSION,
+  // Rear or front camera and the resolution asked of it (see cameraManager.js)
+  camera: { facingMode: 'environment', width: 1920, height: 1080 },
+  // Last used shooting settings
+  capture: {
+    flashMode: 'off',
+    profile: DEFAULT_PROFILE,
+    overlays: DEFAULT_OVERLAYS,
+    imprint: DEFAULT_IMPRINT,
+    booth: DEFAULT_BOOTH,
+  },
+  // Load film defaults; null stock is the last loaded one, null length the stock's own
+  roll: { stockId: null, length: null },
+  // Swipe distance (px) that starts the camera
+  input: { swipeThreshold: 60 },
+  // Upload retries and the first retry delay (doubles each attempt)
+  upload: { maxAttempts: 5, retryDelayMs: 2000 },
+};
+
+// Choices offered on the settings screen
+export const PREFERENCE_CHOICES = {
+  facingMode: ['environment', 'user'],
+  cameraSize: [[1280, 720], [1920, 1080], [3840, 2160]],
+  rollLength: [null, 12, 24, 36],
+  swipeThreshold: [40, 60, 90],
+  maxAttempts: [3, 5, 8],
+  retryDelayMs: [1000, 2000, 5000],
+};
+
+const ids = (options) => options.map(option => option.id);
+
+// Allowed values, in the shape of DEFAULT_PREFERENCES; anything else falls
+// back to the default. The camera size is checked as a pair below.
+const ALLOWED = {
+  camera: { facingMode: PREFERENCE_CHOICES.facingMode },
+  capture: {
+    flashMode: FLASH_MODES,
+    profile: { aspect: ids(ASPECT_RATIOS), resolution: ids(RESOLUTIONS), format: ids(OUTPUT_FORMATS), quality: QUALITIES },
+    imprint: { content: ids(IMPRINT_CONTENTS), position: ids(IMPRINT_POSITIONS) },
+    booth: { layout: ids(BOOTH_LAYOUTS), border: ids(BOOTH_BORDERS) },
+  },
+  roll: { length: PREFERENCE_CHOICES.rollLength },
+  input: { swipeThreshold: PREFERENCE_CHOICES.swipeThreshold },
+  upload: { maxAttempts: PREFERENCE_CHOICES.maxAttempts, retryDelayMs: PREFERENCE_CHOICES.retryDelayMs },
+};
+
+// MIGRATIONS[n] turns a version n document into version n + 1. Documents
+// without a version are treated as version 0; add a step here whenever the
+// shape changes and bump PREFERENCES_VERSION.
+export const MIGRATIONS = [
+  (prefs) => ({ ...prefs, version: 1 }),
+];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Stored values replace defaults of the same type, and must be one of the
+// allowed values where ALLOWED lists them; null defaults take any number or
+// string. Unknown keys are dropped.
+const mergeDefaults = (defaults, stored, allowed = {}) => {
+  if (isPlainObject(defaults)) {
+    const source = isPlainObject(stored) ? stored : {};
+    return Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, mergeDefaults(value, source[key], allowed[key])]));
+  }
+  if (stored === undefined) return defaults;
+  if (Array.isArray(allowed)) return allowed.includes(stored) ? stored : defaults;
+  if (defaults === null) return stored === null || ['number', 'string'].includes(typeof stored) ? stored : defaults;
+  return typeof stored === typeof defaults && Array.isArray(stored) === Array.isArray(defaults) ? stored : defaults;
+};
+
+// Any stored value -> a complete current-version preferences object. A
+// document from a newer version of the app is ignored rather than guessed at.
+export const migratePreferences = (stored, migrations = MIGRATIONS) => {
+  if (!isPlainObject(stored)) return DEFAULT_PREFERENCES;
+  const target = migrations.length;
+  let prefs = stored;
+  let version = Number.isInteger(prefs.version) ? prefs.version : 0;
+  if (version > target) return DEFAULT_PREFERENCES;
+
+  while (version < target) {
+    prefs = migrations[version](prefs);
+    version += 1;
+  }
+  const merged = mergeDefaults(DEFAULT_PREFERENCES, prefs, ALLOWED);
+  const { width, height } = merged.camera;
+  const sizeAllowed = PREFERENCE_CHOICES.cameraSize.some(([w, h]) => w === width && h === height);
+  const camera = sizeAllowed ? merged.camera : { ...merged.camera, width: DEFAULT_PREFERENCES.camera.width, height: DEFAULT_PREFERENCES.camera.height };
+  return { ...merged, camera, version: target };
+};
+
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+export const loadPreferences = (storage = defaultStorage()) => {
+  try {
+    const raw = storage ? storage.getItem(PREFERENCES_KEY) : null;
+    return migratePreferences(raw ? JSON.parse(raw) : null);
+  } catch (err) {
+    // Unreadable JSON or storage disabled
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+// Throws when storage is unavailable or full; callers decide whether that matters
+export const savePreferences = (prefs, storage = defaultStorage()) => {
+  if (!storage) throw new Error('localStorage not available');
+  storage.setItem(PREFERENCES_KEY, JSON.stringify(prefs));
+};
+
+export const resetPreferences = (storage = defaultStorage()) => {
+  try {
+    if (storage) storage.removeItem(PREFERENCES_KEY);
+  } catch (err) {
+    // Nothing stored to clear
+  }
+  return DEFAULT_PREFERENCES;
+};
@@ -0,0 +1,108 @@
+import {
+  loadPreferences,
+  savePreferences,
+  resetPreferences,
+  migratePreferences,
+  DEFAULT_PREFERENCES,
+  PREFERENCES_KEY,
+  PREFERENCES_VERSION,
+} from './preferences';
+
+const fakeStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = value; },
+    removeItem: key => { delete data[key]; },
+    data,
+  };
+};
+
+describe('loadPreferences', () => {
+  it('starts from the defaults', () => {
+    expect(loadPreferences(fakeStorage())).toEqual(DEFAULT_PREFERENCES);
+  });
+
+  it('round-trips saved preferences', () => {
+    const storage = fakeStorage();
+    const prefs = { ...DEFAULT_PREFERENCES, input: { swipeThreshold: 90 } };
+    savePreferences(prefs, storage);
+    expect(loadPreferences(storage)).toEqual(prefs);
+  });
+
+  it('falls back to the defaults for unreadable JSON or storage', () => {
+    expect(loadPreferences(fakeStorage({ [PREFERENCES_KEY]: '{oops' }))).toEqual(DEFAULT_PREFERENCES);
+    expect(loadPreferences({ getItem: () => { throw new Error('SecurityError'); } })).toEqual(DEFAULT_PREFERENCES);
+  });
+
+  it('surfaces save failures', () => {
+    const full = { setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(() => savePreferences(DEFAULT_PREFERENCES, full)).toThrow('QuotaExceededError');
+  });
+});
+
+describe('migratePreferences', () => {
+  it('fills in missing values and drops malformed or unknown ones', () => {
+    const prefs = migratePreferences({
+      version: PREFERENCES_VERSION,
+      camera: { width: 'wide', facingMode: 'user' },
+      capture: { profile: { quality: 0.8 } },
+      roll: { length: 24 },
+      upload: null,
+      legacy: true,
+    });
+
+    expect(prefs.camera).toEqual({ facingMode: 'user', width: 1920, height: 1080 });
+    expect(prefs.capture.profile).toEqual({ ...DEFAULT_PREFERENCES.capture.profile, quality: 0.8 });
+    expect(prefs.roll).toEqual({ stockId: null, length: 24 });
+    expect(prefs.upload).toEqual(DEFAULT_PREFERENCES.upload);
+    expect(prefs).not.toHaveProperty('legacy');
+  });
+
+  it('drops values the settings screen does not offer', () => {
+    const prefs = migratePreferences({
+      version: PREFERENCES_VERSION,
+      camera: { facingMode: 'sideways', width: 99999, height: 1080 },
+      capture: { flashMode: 'strobe', profile: { format: 'tiff', quality: 0.8 }, imprint: { enabled: true, position: 'middle' } },
+      roll: { stockId: 'portra-400', length: 7 },
+      input: { swipeThreshold: -5 },
+      upload: { maxAttempts: 8, retryDelayMs: 0 },
+    });
+
+    expect(prefs.camera).toEqual(DEFAULT_PREFERENCES.camera);
+    expect(prefs.capture.flashMode).toBe('off');
+    expect(prefs.capture.profile).toEqual({ ...DEFAULT_PREFERENCES.capture.profile, quality: 0.8 });
+    expect(prefs.capture.imprint).toEqual({ ...DEFAULT_PREFERENCES.capture.imprint, enabled: true });
+    expect(prefs.roll).toEqual({ stockId: 'portra-400', length: null });
+    expect(prefs.input.swipeThreshold).toBe(60);
+    expect(prefs.upload).toEqual({ maxAttempts: 8, retryDelayMs: 2000 });
+  });
+
+  it('keeps the camera size only as an offered pair', () => {
+    const size = (width, height) => migratePreferences({ version: PREFERENCES_VERSION, camera: { width, height } }).camera;
+    expect(size(3840, 2160)).toEqual({ facingMode: 'environment', width: 3840, height: 2160 });
+    expect(size(3840, 720)).toEqual(DEFAULT_PREFERENCES.camera);
+  });
+
+  it('runs every migration from the stored version up', () => {
+    const migrations = [
+      (prefs) => ({ ...prefs, version: 1 }),
+      (prefs) => ({ ...prefs, version: 2, input: { swipeThreshold: prefs.swipe } }),
+    ];
+    const prefs = migratePreferences({ version: 1, swipe: 40 }, migrations);
+    expect(prefs.version).toBe(2);
+    expect(prefs.input.swipeThreshold).toBe(40);
+  });
+
+  it('ignores preferences from a newer version', () => {
+    expect(migratePreferences({ version: PREFERENCES_VERSION + 1, input: { swipeThreshold: 90 } })).toEqual(DEFAULT_PREFERENCES);
+  });
+});
+
+describe('resetPreferences', () => {
+  it('clears the stored document', () => {
+    const storage = fakeStorage({ [PREFERENCES_KEY]: '{}', other: 'kept' });
+    expect(resetPreferences(storage)).toEqual(DEFAULT_PREFERENCES);
+    expect(storage.data).toEqual({ other: 'kept' });
+  });
+});
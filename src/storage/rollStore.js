@@ -0,0 +1,164 @@
+// IndexedDB persistence for the film roll.
+// Frames are stored as JPEG Blobs (not data URLs) keyed by id, with a rollId
+// index so a whole roll can be loaded or discarded at once. Roll metadata
+// (shotsLeft, filter, timestamps) lives in its own store. Upload queue jobs
+// are kept alongside so an interrupted upload survives a reload.
+const DB_NAME = 'r1-analog';
+const DB_VERSION = 2;
+const ROLLS = 'rolls';
+const FRAMES = 'frames';
+const UPLOADS = 'uploads';
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB not supported'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(ROLLS)) {
+        db.createObjectStore(ROLLS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(FRAMES)) {
+        const frames = db.createObjectStore(FRAMES, { keyPath: 'id' });
+        frames.createIndex('rollId', 'rollId');
+      }
+      if (!db.objectStoreNames.contains(UPLOADS)) {
+        db.createObjectStore(UPLOADS, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// Run fn against the named stores inside one transaction and resolve once it commits
+const withStores = async (names, mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = names.map(name => tx.objectStore(name));
+    let result;
+    Promise.resolve(fn(...stores)).then(value => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const isQuotaError = (err) =>
+  !!err && (err.name === 'QuotaExceededError' || err.code === 22);
+
+// Rough headroom check before writing a frame; estimate() is not available everywhere
+export const getStorageEstimate = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota, available: quota - usage };
+};
+
+// Ask the browser not to evict our data under storage pressure
+export const requestPersistence = async () => {
+  if (!navigator.storage || !navigator.storage.persist) return false;
+  return navigator.storage.persist();
+};
+
+export const createRoll = async (meta = {}) => {
+  const now = Date.now();
+  const roll = { id: `roll-${now}`, status: 'active', createdAt: now, updatedAt: now, ...meta };
+  await withStores([ROLLS], 'readwrite', rolls => rolls.put(roll));
+  return roll;
+};
+
+export const saveRoll = async (roll) => {
+  const updated = { ...roll, updatedAt: Date.now() };
+  await withStores([ROLLS], 'readwrite', rolls => rolls.put(updated));
+  return updated;
+};
+
+export const getRoll = (rollId) =>
+  withStores([ROLLS], 'readonly', rolls => promisify(rolls.get(rollId)));
+
+export const listRolls = () =>
+  withStores([ROLLS], 'readonly', rolls => promisify(rolls.getAll()));
+
+// Most recently touched roll that hasn't been closed
+export const getActiveRoll = async () => {
+  const rolls = await listRolls();
+  return rolls
+    .filter(roll => roll.status === 'active')
+    .sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+};
+
+// Closed rolls for the history view, most recently finished first
+export const listArchivedRolls = async () => {
+  const rolls = await listRolls();
+  return rolls
+    .filter(roll => roll.status !== 'active')
+    .sort((a, b) => (b.finishedAt || b.updatedAt) - (a.finishedAt || a.updatedAt));
+};
+
+export const saveFrame = async (frame) => {
+  const estimate = await getStorageEstimate();
+  if (estimate && estimate.quota > 0 && estimate.available < frame.blob.size) {
+    const err = new Error('Storage full - delete frames or rolls to free space');
+    err.name = 'QuotaExceededError';
+    throw err;
+  }
+
+  await withStores([FRAMES], 'readwrite', frames => frames.put(frame));
+  return frame;
+};
+
+// Frames of a roll, newest first (same order as the in-memory photos list)
+export const loadFrames = async (rollId) => {
+  const frames = await withStores([FRAMES], 'readonly', store =>
+    promisify(store.index('rollId').getAll(rollId))
+  );
+  return frames.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const getFrame = (frameId) =>
+  withStores([FRAMES], 'readonly', frames => promisify(frames.get(frameId)));
+
+export const deleteFrame = (frameId) =>
+  withStores([FRAMES], 'readwrite', frames => frames.delete(frameId));
+
+export const deleteRoll = (rollId) =>
+  withStores([ROLLS, FRAMES], 'readwrite', (rolls, frames) => {
+    const request = frames.index('rollId').getAllKeys(rollId);
+    request.onsuccess = () => request.result.forEach(key => frames.delete(key));
+    rolls.delete(rollId);
+  });
+
+export const saveUploadJob = async (job) => {
+  const updated = { ...job, updatedAt: Date.now() };
+  await withStores([UPLOADS], 'readwrite', uploads => uploads.put(updated));
+  return updated;
+};
+
+// Upload jobs, oldest first
+export const listUploadJobs = async () => {
+  const jobs = await withStores([UPLOADS], 'readonly', uploads => promisify(uploads.getAll()));
+  return jobs.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const deleteUploadJob = (jobId) =>
+  withStores([UPLOADS], 'readwrite', uploads => uploads.delete(jobId));
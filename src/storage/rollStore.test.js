@@ -0,0 +1,101 @@
+import { IDBFactory } from 'fake-indexeddb';
+
+// Each test gets an empty database and a fresh module, so the cached
+// connection in rollStore.js doesn't leak between tests
+let rollStore;
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  jest.isolateModules(() => {
+    rollStore = require('./rollStore');
+  });
+});
+afterEach(() => {
+  delete global.indexedDB;
+  delete navigator.storage;
+});
+
+// The fake can't clone a Blob; the size is all rollStore reads from it
+const frame = (id, rollId, createdAt) => ({ id, rollId, createdAt, blob: { size: 4, type: 'image/jpeg' } });
+
+const openRaw = (version, upgrade) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('r1-analog', version);
+  request.onupgradeneeded = () => upgrade(request.result);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+describe('rollStore', () => {
+  it('creates the stores on first open', async () => {
+    await rollStore.listRolls();
+    const db = await openRaw(2, () => {});
+    expect([...db.objectStoreNames].sort()).toEqual(['frames', 'rolls', 'uploads']);
+    expect([...db.transaction('frames').objectStore('frames').indexNames]).toEqual(['rollId']);
+    db.close();
+  });
+
+  it('fails without IndexedDB', async () => {
+    delete global.indexedDB;
+    await expect(rollStore.listRolls()).rejects.toThrow('IndexedDB not supported');
+  });
+
+  it('keeps the most recently touched active roll', async () => {
+    const first = await rollStore.saveRoll({ id: 'roll-1', status: 'active' });
+    await rollStore.saveRoll({ id: 'roll-2', status: 'finished', finishedAt: first.updatedAt + 1 });
+    expect((await rollStore.getActiveRoll()).id).toBe('roll-1');
+    expect((await rollStore.listArchivedRolls()).map(roll => roll.id)).toEqual(['roll-2']);
+  });
+
+  it('loads a roll\'s frames newest first', async () => {
+    await rollStore.saveFrame(frame('a', 'roll-1', 1));
+    await rollStore.saveFrame(frame('b', 'roll-1', 2));
+    await rollStore.saveFrame(frame('c', 'roll-2', 3));
+
+    expect((await rollStore.loadFrames('roll-1')).map(f => f.id)).toEqual(['b', 'a']);
+    expect((await rollStore.getFrame('c')).rollId).toBe('roll-2');
+  });
+
+  it('refuses a frame that does not fit the storage estimate', async () => {
+    navigator.storage = { estimate: async () => ({ usage: 100, quota: 102 }) };
+    const err = await rollStore.saveFrame(frame('a', 'roll-1', 1)).catch(e => e);
+    expect(rollStore.isQuotaError(err)).toBe(true);
+    expect(await rollStore.getFrame('a')).toBeUndefined();
+  });
+
+  it('deletes a roll together with its frames', async () => {
+    await rollStore.saveRoll({ id: 'roll-1', status: 'active' });
+    await rollStore.saveFrame(frame('a', 'roll-1', 1));
+    await rollStore.saveFrame(frame('b', 'roll-2', 2));
+
+    await rollStore.deleteRoll('roll-1');
+    expect(await rollStore.getRoll('roll-1')).toBeUndefined();
+    expect(await rollStore.loadFrames('roll-1')).toEqual([]);
+    expect(await rollStore.loadFrames('roll-2')).toHaveLength(1);
+  });
+
+  it('upgrades a version 1 database without losing the roll', async () => {
+    const v1 = await openRaw(1, (db) => {
+      db.createObjectStore('rolls', { keyPath: 'id' });
+      db.createObjectStore('frames', { keyPath: 'id' }).createIndex('rollId', 'rollId');
+    });
+    await new Promise((resolve) => {
+      const tx = v1.transaction(['rolls', 'frames'], 'readwrite');
+      tx.objectStore('rolls').put({ id: 'roll-1', status: 'active', updatedAt: 1 });
+      tx.objectStore('frames').put(frame('a', 'roll-1', 1));
+      tx.oncomplete = resolve;
+    });
+    v1.close();
+
+    expect((await rollStore.getActiveRoll()).id).toBe('roll-1');
+    expect(await rollStore.loadFrames('roll-1')).toHaveLength(1);
+    expect(await rollStore.listUploadJobs()).toEqual([]);
+  });
+
+  it('keeps upload jobs oldest first', async () => {
+    await rollStore.saveUploadJob({ id: 'job-2', createdAt: 2 });
+    await rollStore.saveUploadJob({ id: 'job-1', createdAt: 1 });
+    expect((await rollStore.listUploadJobs()).map(job => job.id)).toEqual(['job-1', 'job-2']);
+
+    await rollStore.deleteUploadJob('job-1');
+    expect((await rollStore.listUploadJobs()).map(job => job.id)).toEqual(['job-2']);
+  });
+});
@@ -0,0 +1,63 @@
+// Cloudinary upload provider.
+// Signatures are requested from a signing endpoint that holds the API secret;
+// the browser only ever sees the public API key and a per-batch signature.
+export const createCloudinaryProvider = ({ cloudName, signUrl, folderPrefix }) => {
+  if (!cloudName || !signUrl) {
+    throw new Error('Cloudinary upload is not configured (REACT_APP_CLOUDINARY_CLOUD_NAME / REACT_APP_UPLOAD_SIGN_URL)');
+  }
+
+  const requestSignature = async (folder) => {
+    const response = await fetch(signUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ folder }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Signing failed: ${response.status}`);
+    }
+
+    return response.json();
+  };
+
+  // One folder + signature per batch, matching the old "one roll, one folder" layout
+  const beginBatch = async () => {
+    const folder = `${folderPrefix}-${Math.floor(Date.now() / 1000)}`;
+    const { signature, timestamp, apiKey } = await requestSignature(folder);
+    return { folder, signature, timestamp, apiKey };
+  };
+
+  const uploadPhoto = async (photo, batch) => {
+    const formData = new FormData();
+    formData.append('file', photo.blob || photo.url);
+    formData.append('api_key', batch.apiKey);
+    formData.append('timestamp', batch.timestamp);
+    formData.append('signature', batch.signature);
+    formData.append('folder', batch.folder);
+
+    const response = await fetch(
+      `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`,
+      {
+        method: 'POST',
+        body: formData,
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error?.message || `Upload failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return { id: data.public_id, url: data.secure_url };
+  };
+
+  // Cloudinary's URL-based archive: /image/archive with public_ids parameter
+  // triggers an automatic ZIP download of all images
+  const finalizeBatch = async (batch, uploaded) => {
+    const publicIdsParam = uploaded.map(item => `public_ids[]=${encodeURIComponent(item.id)}`).join('&');
+    return `https://res.cloudinary.com/${cloudName}/image/archive?${publicIdsParam}`;
+  };
+
+  return { name: 'cloudinary', beginBatch, uploadPhoto, finalizeBatch };
+};
@@ -0,0 +1,105 @@
+import { createCloudinaryProvider } from './cloudinaryProvider';
+import { createUploadProvider } from './index';
+import { createUploadQueue } from './uploadQueue';
+import { generateSignature, isAllowedFolder } from '../../server/signature';
+
+const SIGN_URL = 'http://sign.test/sign';
+const UPLOAD_URL = 'https://api.cloudinary.com/v1_1/demo/image/upload';
+const SECRET = 'shh';
+
+const respond = (status, body) => ({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+// fetch stand-in for the signing endpoint and Cloudinary. Cloudinary checks
+// the signature against its copy of the secret, like the real API does.
+const fakeNetwork = ({ signerSecret = SECRET, signStatus = 200 } = {}) => {
+  const uploads = [];
+  const fetch = jest.fn(async (url, { body }) => {
+    if (url === SIGN_URL) {
+      if (signStatus !== 200) return respond(signStatus, {});
+      const { folder } = JSON.parse(body);
+      const timestamp = 1700000000;
+      return respond(200, { signature: generateSignature({ folder, timestamp }, signerSecret), timestamp, apiKey: 'key-1' });
+    }
+
+    if (url === UPLOAD_URL) {
+      const folder = body.get('folder');
+      const expected = generateSignature({ folder, timestamp: body.get('timestamp') }, SECRET);
+      if (body.get('signature') !== expected) return respond(401, { error: { message: 'Invalid Signature' } });
+
+      const id = `${folder}/photo-${uploads.length + 1}`;
+      uploads.push({ id, file: body.get('file'), apiKey: body.get('api_key') });
+      return respond(200, { public_id: id, secure_url: `https://res.cloudinary.com/demo/${id}.jpg` });
+    }
+
+    return respond(404, {});
+  });
+  return { fetch, uploads };
+};
+
+const photos = [1, 2].map(id => ({ id, blob: new Blob([`frame ${id}`], { type: 'image/jpeg' }) }));
+
+const provider = () => createCloudinaryProvider({ cloudName: 'demo', signUrl: SIGN_URL, folderPrefix: 'r1-analog' });
+
+describe('generateSignature', () => {
+  it('matches the example in the Cloudinary docs', () => {
+    expect(generateSignature({ timestamp: 1315060510, public_id: 'sample_image' }, 'abcd'))
+      .toBe('b4ad47fb4e25c7bf5f92a20089f9db59bc302313');
+  });
+
+  it('only signs folders under the prefix', () => {
+    expect(isAllowedFolder('r1-analog-1700000000', 'r1-analog')).toBe(true);
+    expect(isAllowedFolder('elsewhere', 'r1-analog')).toBe(false);
+    expect(isAllowedFolder(undefined, 'r1-analog')).toBe(false);
+    expect(isAllowedFolder('r1-analog-', 'r1-analog')).toBe(false);
+    expect(isAllowedFolder('r1-analog-17x', 'r1-analog')).toBe(false);
+    // The prefix is plain text, not a pattern
+    expect(isAllowedFolder('r1xanalog-1700000000', 'r1.analog')).toBe(false);
+    expect(isAllowedFolder('anything-1700000000', '.*')).toBe(false);
+  });
+});
+
+describe('createCloudinaryProvider', () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('refuses to start without configuration', () => {
+    expect(() => createCloudinaryProvider({ cloudName: 'demo' })).toThrow(/not configured/);
+  });
+
+  it('signs one batch and uploads every photo into its folder', async () => {
+    const network = fakeNetwork();
+    global.fetch = network.fetch;
+    const job = await createUploadQueue({ provider: provider(), sleep: async () => {} }).upload(photos);
+
+    expect(job.status).toBe('done');
+    expect(network.fetch.mock.calls.filter(([url]) => url === SIGN_URL)).toHaveLength(1);
+    expect(network.uploads.map(upload => upload.apiKey)).toEqual(['key-1', 'key-1']);
+    expect(network.uploads[0].id).toMatch(/^r1-analog-\d+\/photo-1$/);
+    expect(job.albumUrl).toBe(
+      `https://res.cloudinary.com/demo/image/archive?${network.uploads.map(upload => `public_ids[]=${encodeURIComponent(upload.id)}`).join('&')}`
+    );
+  });
+
+  it("reports Cloudinary's error when the signature is rejected", async () => {
+    global.fetch = fakeNetwork({ signerSecret: 'wrong' }).fetch;
+    const job = await createUploadQueue({ provider: provider(), maxAttempts: 1 }).upload(photos);
+
+    expect(job.status).toBe('failed');
+    expect(job.items.map(item => item.error)).toEqual(['Invalid Signature', 'Invalid Signature']);
+  });
+
+  it('fails the batch when the signing endpoint does', async () => {
+    global.fetch = fakeNetwork({ signStatus: 500 }).fetch;
+    await expect(provider().beginBatch()).rejects.toThrow('Signing failed: 500');
+  });
+});
+
+describe('createUploadProvider', () => {
+  it('picks the provider from the config', () => {
+    expect(createUploadProvider({ provider: 'mock' }).name).toBe('mock');
+    expect(createUploadProvider({ provider: 'cloudinary', cloudName: 'demo', signUrl: SIGN_URL }).name).toBe('cloudinary');
+    expect(() => createUploadProvider({ provider: 'ftp' })).toThrow('Unknown upload provider: ftp');
+  });
+});
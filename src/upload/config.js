@@ -0,0 +1,15 @@
+// Upload configuration is baked in at build time from REACT_APP_* env vars.
+// Nothing secret belongs here: the Cloudinary API secret lives only on the
+// signing endpoint (see server/sign-upload.js).
+const env = process.env;
+
+export const uploadConfig = {
+  provider: env.REACT_APP_UPLOAD_PROVIDER || 'cloudinary',
+  cloudName: env.REACT_APP_CLOUDINARY_CLOUD_NAME || '',
+  signUrl: env.REACT_APP_UPLOAD_SIGN_URL || '',
+  folderPrefix: env.REACT_APP_UPLOAD_FOLDER_PREFIX || 'r1-analog',
+  // Share of mock uploads that fail, for exercising the retry queue offline
+  mockFailureRate: Number(env.REACT_APP_MOCK_UPLOAD_FAILURE_RATE) || 0,
+  // LAN share server for local exports (server/share-server.js); empty = share sheet / download only
+  shareServerUrl: env.REACT_APP_SHARE_SERVER_URL || '',
+};
@@ -0,0 +1,23 @@
+import { uploadConfig } from './config';
+import { createCloudinaryProvider } from './cloudinaryProvider';
+import { createMockProvider } from './mockProvider';
+
+// Upload provider interface:
+//   beginBatch()                    -> batch context shared by one upload run
+//   uploadPhoto(photo, batch)       -> { id, url } for a single photo
+//   finalizeBatch(batch, uploaded)  -> URL for the QR code (album / archive)
+const providers = {
+  cloudinary: createCloudinaryProvider,
+  mock: (config) => createMockProvider({ failureRate: config.mockFailureRate }),
+};
+
+export const createUploadProvider = (config = uploadConfig) => {
+  const factory = providers[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown upload provider: ${config.provider}`);
+  }
+  return factory(config);
+};
+
+export { uploadConfig };
+export { createUploadQueue, jobProgress } from './uploadQueue';
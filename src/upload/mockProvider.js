@@ -0,0 +1,29 @@
+// Local mock provider: exercises the whole upload flow with no network.
+// Uploaded photos are kept in memory so they can be inspected from the console.
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createMockProvider = ({ latency = 250, failureRate = 0, random = Math.random } = {}) => {
+  const batches = new Map();
+
+  const beginBatch = async () => {
+    await delay(latency);
+    const folder = `mock-${Date.now()}`;
+    batches.set(folder, []);
+    return { folder };
+  };
+
+  const uploadPhoto = async (photo, batch) => {
+    await delay(latency);
+    if (random() < failureRate) {
+      throw new Error('Mock upload failed');
+    }
+
+    const id = `${batch.folder}/${photo.id}`;
+    batches.get(batch.folder).push({ id, photo });
+    return { id, url: photo.url };
+  };
+
+  const finalizeBatch = async (batch) => `mock://album/${batch.folder}`;
+
+  return { name: 'mock', beginBatch, uploadPhoto, finalizeBatch, batches };
+};
@@ -0,0 +1,228 @@
+// Persistent upload queue. A job is one upload request (a selection or a whole
+// roll) and every photo in it is tracked on its own, so a flaky connection only
+// costs the photos that actually failed. Jobs are saved after every change:
+// an interrupted job resumes after a reload, and photos that an earlier job
+// already uploaded are reused instead of being sent again, unless they were
+// edited since (photo.editedAt, e.g. a new imprint).
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Exponential backoff: 2s, 4s, 8s ... capped at maxDelayMs
+export const backoffDelay = (attempt, { baseDelayMs = 2000, maxDelayMs = 60000 } = {}) =>
+  Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+
+export const jobProgress = (job) => {
+  const done = job.items.filter(item => item.status === 'done').length;
+  const failed = job.items.filter(item => item.status === 'failed').length;
+  return { total: job.items.length, done, failed, pending: job.items.length - done - failed };
+};
+
+// Job store with the same shape as the IndexedDB one, for tests and browsers without IndexedDB
+export const createMemoryJobStore = (initial = []) => {
+  const jobs = new Map(initial.map(job => [job.id, job]));
+  return {
+    save: async (job) => {
+      jobs.set(job.id, job);
+      return job;
+    },
+    list: async () => [...jobs.values()].sort((a, b) => a.createdAt - b.createdAt),
+    remove: async (jobId) => {
+      jobs.delete(jobId);
+    },
+  };
+};
+
+export const createUploadQueue = ({
+  provider,
+  store = createMemoryJobStore(),
+  loadPhoto = async () => null,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 60000,
+  // Finished jobs are kept so their uploads can be reused, up to this many
+  // and for this long
+  keepDone = 10,
+  keepDoneMs = 7 * DAY,
+  sleep = delay,
+  isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false,
+  onChange = () => {},
+  // log(message, level) with level 'info', 'warn' or 'error'
+  log = () => {},
+}) => {
+  // Retry policy; configure() changes it for the next attempt (settings screen)
+  let policy = { maxAttempts, baseDelayMs, maxDelayMs };
+  // Photos handed to enqueue this session; anything else is loaded from storage
+  const photos = new Map();
+  let running = null;
+  let lastId = 0;
+
+  const save = async (job) => {
+    const saved = await store.save(job);
+    onChange(saved);
+    return saved;
+  };
+
+  const get = async (jobId) => (await store.list()).find(job => job.id === jobId) || null;
+
+  // photoId -> the latest finished item for every photo a job has already uploaded
+  const uploadedItems = async () => {
+    const items = new Map();
+    (await store.list()).forEach(job => job.items.forEach(item => {
+      if (item.status === 'done' && item.result) items.set(item.photoId, item);
+    }));
+    return items;
+  };
+
+  // Drops finished jobs past keepDone or keepDoneMs, newest kept first
+  const prune = async () => {
+    const now = Date.now();
+    const done = (await store.list())
+      .filter(job => job.status === 'done')
+      .sort((a, b) => (b.finishedAt || b.createdAt) - (a.finishedAt || a.createdAt));
+    const expired = done.filter((job, i) => i >= keepDone || now - (job.finishedAt || job.createdAt) > keepDoneMs);
+    await Promise.all(expired.map(job => store.remove(job.id)));
+  };
+
+  const enqueue = async (selection) => {
+    await prune();
+    const uploaded = await uploadedItems();
+    selection.forEach(photo => photos.set(photo.id, photo));
+
+    const createdAt = Math.max(Date.now(), lastId + 1);
+    lastId = createdAt;
+    return save({
+      id: `upload-${createdAt}`,
+      status: 'pending',
+      createdAt,
+      albumUrl: null,
+      error: null,
+      items: selection.map(photo => {
+        const editedAt = photo.editedAt || null;
+        const previous = uploaded.get(photo.id);
+        const result = previous && (previous.editedAt || null) === editedAt ? previous.result : null;
+        return {
+          photoId: photo.id,
+          editedAt,
+          status: result ? 'done' : 'pending',
+          attempts: 0,
+          result: result || null,
+          error: null,
+        };
+      }),
+    });
+  };
+
+  const processJob = async (initial) => {
+    let job = await save({ ...initial, status: 'uploading', error: null });
+    let batch = null;
+
+    const updateItem = async (index, changes) => {
+      job = await save({ ...job, items: job.items.map((item, i) => (i === index ? { ...item, ...changes } : item)) });
+    };
+
+    for (let i = 0; i < job.items.length; i++) {
+      while (job.items[i].status === 'pending') {
+        const item = job.items[i];
+
+        // Offline attempts would only burn retries; wait for the next run instead
+        if (!isOnline()) {
+          log(`Upload ${job.id} paused: offline`, 'warn');
+          return save({ ...job, status: 'pending', error: 'Offline - waiting for a connection' });
+        }
+
+        const photo = photos.get(item.photoId) || await loadPhoto(item.photoId);
+        if (!photo) {
+          await updateItem(i, { status: 'failed', error: 'Frame is no longer stored' });
+          break;
+        }
+
+        let result;
+        try {
+          if (!batch) batch = await provider.beginBatch();
+          result = await provider.uploadPhoto(photo, batch);
+        } catch (err) {
+          const attempts = item.attempts + 1;
+          const failed = attempts >= policy.maxAttempts;
+          await updateItem(i, { status: failed ? 'failed' : 'pending', attempts, error: err.message });
+
+          if (failed) {
+            log(`Upload ${i + 1}/${job.items.length} failed after ${attempts} attempts: ${err.message}`, 'error');
+          } else {
+            const wait = backoffDelay(attempts, policy);
+            log(`Upload ${i + 1}/${job.items.length} error (${err.message}), retry in ${Math.round(wait / 1000)}s`, 'warn');
+            await sleep(wait);
+          }
+          continue;
+        }
+
+        await updateItem(i, { status: 'done', attempts: item.attempts + 1, result, error: null });
+        log(`Uploaded ${i + 1}/${job.items.length}: ${result.id}`);
+      }
+    }
+
+    const { total, failed } = jobProgress(job);
+    if (failed > 0) {
+      return save({ ...job, status: 'failed', error: `${failed} of ${total} photos failed` });
+    }
+
+    try {
+      if (!batch) batch = await provider.beginBatch();
+      const albumUrl = await provider.finalizeBatch(batch, job.items.map(item => item.result));
+      return save({ ...job, status: 'done', albumUrl, error: null, finishedAt: Date.now() });
+    } catch (err) {
+      return save({ ...job, status: 'failed', error: err.message });
+    }
+  };
+
+  // Works through unfinished jobs oldest first, including ones interrupted by a
+  // reload ('uploading'). Jobs enqueued while a run is going join that run.
+  const drain = async () => {
+    const processed = [];
+    for (;;) {
+      const next = (await store.list()).find(job =>
+        (job.status === 'pending' || job.status === 'uploading') && !processed.some(p => p.id === job.id)
+      );
+      if (!next) return processed;
+      processed.push(await processJob(next));
+    }
+  };
+
+  const run = () => {
+    if (!running) {
+      running = drain().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  // Enqueue and wait for the job to finish (or pause / fail)
+  const upload = async (selection) => {
+    const job = await enqueue(selection);
+    await run();
+    return get(job.id);
+  };
+
+  // Gives failed photos a fresh set of attempts
+  const retry = async (jobId) => {
+    const job = await get(jobId);
+    if (!job) return null;
+    await save({
+      ...job,
+      status: 'pending',
+      error: null,
+      items: job.items.map(item => (item.status === 'failed' ? { ...item, status: 'pending', attempts: 0, error: null } : item)),
+    });
+    await run();
+    return get(jobId);
+  };
+
+  const unfinished = async () => (await store.list()).filter(job => job.status !== 'done');
+
+  const configure = (changes) => {
+    policy = { ...policy, ...changes };
+  };
+
+  return { enqueue, upload, run, retry, get, unfinished, remove: store.remove, configure };
+};
@@ -0,0 +1,196 @@
+import { createUploadQueue, createMemoryJobStore, backoffDelay, jobProgress } from './uploadQueue';
+import { createMockProvider } from './mockProvider';
+
+const photos = [1, 2, 3].map(id => ({ id, url: `blob:${id}` }));
+
+// random() values for the mock provider: anything below failureRate fails
+const sequence = (values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+const setup = ({ random = () => 1, online = () => true, ...options } = {}) => {
+  const provider = createMockProvider({ latency: 0, failureRate: 0.5, random });
+  const store = createMemoryJobStore();
+  const waits = [];
+  const queue = createUploadQueue({
+    provider,
+    store,
+    sleep: async (ms) => { waits.push(ms); },
+    isOnline: online,
+    ...options,
+  });
+  return { provider, store, queue, waits };
+};
+
+describe('backoffDelay', () => {
+  it('doubles per attempt up to the cap', () => {
+    expect([1, 2, 3, 4].map(attempt => backoffDelay(attempt))).toEqual([2000, 4000, 8000, 16000]);
+    expect(backoffDelay(10, { baseDelayMs: 1000, maxDelayMs: 30000 })).toBe(30000);
+  });
+});
+
+describe('createUploadQueue', () => {
+  it('uploads every photo and finalizes the batch', async () => {
+    const { queue, provider } = setup();
+    const job = await queue.upload(photos);
+
+    expect(job.status).toBe('done');
+    expect(job.albumUrl).toMatch(/^mock:\/\/album\/mock-/);
+    expect(jobProgress(job)).toEqual({ total: 3, done: 3, failed: 0, pending: 0 });
+    const [folder] = provider.batches.keys();
+    expect(provider.batches.get(folder)).toHaveLength(3);
+  });
+
+  it('retries a failed photo with backoff without restarting the batch', async () => {
+    // Photo 1 ok, photo 2 fails twice, then everything succeeds
+    const { queue, provider, waits } = setup({ random: sequence([1, 0, 0, 1, 1]) });
+    const job = await queue.upload(photos);
+
+    expect(job.status).toBe('done');
+    expect(job.items.map(item => item.attempts)).toEqual([1, 3, 1]);
+    expect(waits).toEqual([2000, 4000]);
+    const uploaded = [...provider.batches.values()].flat().map(entry => entry.photo.id);
+    expect(uploaded).toEqual([1, 2, 3]);
+  });
+
+  it('keeps the uploaded photos when one runs out of attempts, and retries only the failed one', async () => {
+    const { queue, provider } = setup({ random: sequence([1, 0, 0, 1]), maxAttempts: 2 });
+    const failed = await queue.upload(photos);
+
+    expect(failed.status).toBe('failed');
+    expect(failed.items.map(item => item.status)).toEqual(['done', 'failed', 'done']);
+
+    const retried = await queue.retry(failed.id);
+    expect(retried.status).toBe('done');
+    const uploaded = [...provider.batches.values()].flat().map(entry => entry.photo.id);
+    expect(uploaded.sort()).toEqual([1, 2, 3]);
+  });
+
+  it('takes new retry settings between runs', async () => {
+    const { queue, waits } = setup({ random: sequence([1, 0, 0, 1, 1]) });
+    queue.configure({ maxAttempts: 2, baseDelayMs: 500 });
+    const job = await queue.upload(photos);
+
+    expect(job.items.map(item => item.status)).toEqual(['done', 'failed', 'done']);
+    expect(waits).toEqual([500]);
+  });
+
+  it('pauses while offline and carries on when the connection is back', async () => {
+    let online = false;
+    const { queue } = setup({ online: () => online });
+    const paused = await queue.upload(photos);
+
+    expect(paused.status).toBe('pending');
+    expect(jobProgress(paused).done).toBe(0);
+
+    online = true;
+    const [resumed] = await queue.run();
+    expect(resumed.status).toBe('done');
+  });
+
+  it('resumes an interrupted job from storage after a reload', async () => {
+    const store = createMemoryJobStore([{
+      id: 'upload-1',
+      status: 'uploading',
+      createdAt: 1,
+      items: [
+        { photoId: 1, status: 'done', attempts: 1, result: { id: 'old/1', url: 'blob:1' }, error: null },
+        { photoId: 2, status: 'pending', attempts: 0, result: null, error: null },
+      ],
+    }]);
+    const loadPhoto = jest.fn(async (id) => ({ id, url: `blob:${id}` }));
+    const { queue, provider } = setup({ store, loadPhoto });
+
+    const [job] = await queue.run();
+
+    expect(job.status).toBe('done');
+    expect(loadPhoto).toHaveBeenCalledTimes(1);
+    expect(loadPhoto).toHaveBeenCalledWith(2);
+    expect([...provider.batches.values()].flat().map(entry => entry.photo.id)).toEqual([2]);
+  });
+
+  it('does not upload photos an earlier job already sent', async () => {
+    const { queue, provider } = setup();
+    await queue.upload(photos.slice(0, 2));
+    const job = await queue.upload(photos);
+
+    expect(job.status).toBe('done');
+    expect(job.items.map(item => item.attempts)).toEqual([0, 0, 1]);
+    const uploaded = [...provider.batches.values()].flat().map(entry => entry.photo.id);
+    expect(uploaded).toEqual([1, 2, 3]);
+  });
+
+  it('uploads a photo again once it has been edited', async () => {
+    const { queue, provider } = setup();
+    await queue.upload(photos);
+    const edited = { ...photos[1], url: 'blob:2-imprint', editedAt: 1700000000000 };
+    const job = await queue.upload([photos[0], edited]);
+
+    expect(job.items.map(item => item.attempts)).toEqual([0, 1]);
+    const uploaded = [...provider.batches.values()].flat().map(entry => entry.photo.url);
+    expect(uploaded).toEqual(['blob:1', 'blob:2', 'blob:3', 'blob:2-imprint']);
+
+    // The edited upload is the one reused from now on
+    const again = await queue.upload([edited]);
+    expect(again.items[0].result).toEqual(job.items[1].result);
+  });
+
+  it('fails a photo whose frame is gone instead of retrying it', async () => {
+    const store = createMemoryJobStore([{
+      id: 'upload-1',
+      status: 'pending',
+      createdAt: 1,
+      items: [{ photoId: 9, status: 'pending', attempts: 0, result: null, error: null }],
+    }]);
+    const { queue, waits } = setup({ store });
+
+    const [job] = await queue.run();
+
+    expect(job.status).toBe('failed');
+    expect(job.items[0].error).toBe('Frame is no longer stored');
+    expect(waits).toEqual([]);
+  });
+
+  it('finishes a resumed photo whose frame has no url', async () => {
+    const store = createMemoryJobStore([{
+      id: 'upload-1',
+      status: 'uploading',
+      createdAt: 1,
+      items: [{ photoId: 9, status: 'pending', attempts: 0, result: null, error: null }],
+    }]);
+    const log = jest.fn();
+    const { queue } = setup({ store, log, loadPhoto: async (id) => ({ id, blob: { size: 4 } }) });
+
+    const [job] = await queue.run();
+
+    expect(job.status).toBe('done');
+    expect(job.items[0]).toMatchObject({ status: 'done', attempts: 1 });
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/^Uploaded 1\/1: mock-\d+\/9$/));
+  });
+
+  it('forgets finished jobs past the limit or too old to reuse', async () => {
+    const now = Date.now();
+    const done = (id, finishedAt) => ({
+      id,
+      status: 'done',
+      createdAt: finishedAt,
+      finishedAt,
+      items: [{ photoId: id, status: 'done', attempts: 1, result: { id: `r-${id}` }, error: null }],
+    });
+    const store = createMemoryJobStore([
+      done('old', now - 8 * 24 * 60 * 60 * 1000),
+      ...[1, 2, 3].map(i => done(`job-${i}`, now - i)),
+      { id: 'failed', status: 'failed', createdAt: 1, items: [] },
+    ]);
+    const { queue } = setup({ store, keepDone: 2 });
+
+    const job = await queue.upload([{ id: 'job-3', url: 'blob:3' }]);
+
+    const kept = (await store.list()).map(j => j.id);
+    expect(kept).toEqual(expect.arrayContaining(['failed', 'job-1', 'job-2', job.id]));
+    expect(kept).toHaveLength(4);
+    // job-3's upload was pruned, so the photo went up again
+    expect(job.items[0].attempts).toBe(1);
+  });
+});
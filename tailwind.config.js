@@ -0,0 +1,8 @@
+// Compiled at build time by react-scripts (PostCSS), so the app styles itself offline
+module.exports = {
+  content: ['./src/**/*.{js,jsx}', './public/index.html'],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};